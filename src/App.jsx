@@ -4,17 +4,22 @@ import { BrowserRouter, Routes, Route, Navigate } from "react-router-dom";
 import { AuthProvider } from "./context/AuthContext.jsx";
 import { ThemeProvider } from "./context/ThemeContext.jsx";
 import ProtectedRoute from "./components/ProtectedRoute.jsx";
+import { PERMISSIONS } from "./data/permissions.js";
 
 // pages (assumed converted)
 import Login from "./pages/Auth/Login.jsx";
 import Register from "./pages/Auth/Register.jsx";
+import Setup from "./pages/Auth/Setup.jsx";
 import MainLayout from "./layouts/MainLayout.jsx";
 import Dashboard from "./pages/Dashboard.jsx";
 import Projects from "./pages/Projects.jsx";
+import ProjectDetail from "./pages/ProjectDetail.jsx";
 import Tasks from "./pages/Tasks.jsx";
 import Gallery from "./pages/Gallery.jsx"
+import Calendar from "./pages/Calendar.jsx";
 import Profile from "./pages/Profile.jsx";
 import Settings from "./pages/Settings.jsx";
+import AdminUsers from "./pages/AdminUsers.jsx";
 
 export default function App() {
   return (
@@ -24,6 +29,7 @@ export default function App() {
           <Routes>
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/setup" element={<Setup />} />
 
             <Route
               path="/"
@@ -56,6 +62,26 @@ export default function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/projects/:projectId"
+              element={
+                <ProtectedRoute>
+                  <MainLayout>
+                    <ProjectDetail />
+                  </MainLayout>
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/projects/:projectId/tasks"
+              element={
+                <ProtectedRoute>
+                  <MainLayout>
+                    <Tasks />
+                  </MainLayout>
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/tasks"
               element={
@@ -66,6 +92,16 @@ export default function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/calendar"
+              element={
+                <ProtectedRoute>
+                  <MainLayout>
+                    <Calendar />
+                  </MainLayout>
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/gallery"
               element={
@@ -96,6 +132,16 @@ export default function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/admin/users"
+              element={
+                <ProtectedRoute permissions={[PERMISSIONS.USERS_MANAGE]}>
+                  <MainLayout>
+                    <AdminUsers />
+                  </MainLayout>
+                </ProtectedRoute>
+              }
+            />
 
             <Route path="*" element={<Navigate to="/dashboard" replace />} />
           </Routes>
@@ -0,0 +1,93 @@
+// src/components/CsvMapping.jsx
+// Column mapping step for CSV imports: pick which spreadsheet column feeds each
+// record field (pre-filled from the header row, see guessMapping in
+// src/data/csv.js). onApply receives the mapped records, which the page then
+// validates and reviews exactly like a JSON import.
+import { useState } from "react";
+import { guessMapping, mapRows } from "../data/csv.js";
+
+const PREVIEW_ROWS = 3;
+
+/**
+ * @param {{ title: string, table: string[][], fields: import("../data/csv.js").CsvField[],
+ *   makeId: (i: number) => string|number, onCancel: () => void, onApply: (records: Object[]) => void }} props
+ */
+export default function CsvMapping({ title, table, fields, makeId, onCancel, onApply }) {
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState(() => guessMapping(table[0], fields));
+
+  const width = Math.max(...table.map((r) => r.length));
+  const columnName = (i) => (hasHeader ? table[0][i] || `Kolom ${i + 1}` : `Kolom ${i + 1}`);
+  const body = hasHeader ? table.slice(1) : table;
+  const missing = fields.filter((f) => f.required && !(mapping[f.key] >= 0));
+
+  const apply = () => onApply(mapRows(table, mapping, { fields, hasHeader, makeId }));
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50" onClick={onCancel} />
+      <div className="relative bg-white dark:bg-gray-900 rounded-xl p-6 z-50 w-full max-w-2xl shadow-lg max-h-[85vh] flex flex-col">
+        <h3 className="text-lg font-semibold mb-1">{title}</h3>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">{body.length} baris data. Pilih kolom untuk setiap field.</p>
+
+        <div className="overflow-y-auto space-y-4">
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+            Baris pertama adalah header
+          </label>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {fields.map((f) => (
+              <label key={f.key} className="text-sm">
+                <span className="text-gray-600 dark:text-gray-300">
+                  {f.label}
+                  {f.required && <span className="text-red-500"> *</span>}
+                </span>
+                <select
+                  value={mapping[f.key] ?? -1}
+                  onChange={(e) => setMapping((m) => ({ ...m, [f.key]: Number(e.target.value) }))}
+                  className="w-full mt-1 border rounded px-2 py-1.5 dark:bg-gray-800 dark:text-gray-100"
+                >
+                  <option value={-1}>— lewati —</option>
+                  {Array.from({ length: width }, (_, i) => (
+                    <option key={i} value={i}>{columnName(i)}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          <div className="overflow-x-auto border rounded-lg dark:border-gray-700">
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50 dark:bg-gray-800 text-gray-500 dark:text-gray-400">
+                <tr>
+                  {Array.from({ length: width }, (_, i) => (
+                    <th key={i} className="text-left font-medium px-2 py-1 whitespace-nowrap">{columnName(i)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {body.slice(0, PREVIEW_ROWS).map((cells, r) => (
+                  <tr key={r} className="border-t dark:border-gray-700">
+                    {Array.from({ length: width }, (_, i) => (
+                      <td key={i} className="px-2 py-1 max-w-[12rem] truncate">{cells[i]}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {!(mapping.id >= 0) && <p className="text-xs text-gray-500 dark:text-gray-400">Tanpa kolom ID setiap baris diimpor sebagai record baru.</p>}
+        </div>
+
+        <div className="flex items-center justify-end gap-3 mt-4">
+          {missing.length > 0 && <span className="text-xs text-red-600 mr-auto">Wajib dipetakan: {missing.map((f) => f.label).join(", ")}</span>}
+          <button onClick={onCancel} className="px-4 py-2 rounded border">Batal</button>
+          <button onClick={apply} disabled={missing.length > 0 || body.length === 0} className="px-4 py-2 rounded bg-blue-600 text-white disabled:opacity-50">
+            Lanjut
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,306 @@
+// src/components/DashboardCharts.jsx
+import React, { useMemo, useState } from "react";
+import {
+  toDayKey,
+  completedPerPeriod,
+  cumulativeFlow,
+  burndown,
+  projectTypeDistribution,
+} from "../data/analytics.js";
+
+/**
+ * Analytics section of the Dashboard: completed tasks per day/week, burndown
+ * per project, cumulative flow and project types, for a selectable date range.
+ * Plain SVG (no chart dependency); series come from src/data/analytics.js.
+ */
+
+const RANGE_PRESETS = [
+  { id: "7", label: "7 hari", days: 7 },
+  { id: "30", label: "30 hari", days: 30 },
+  { id: "90", label: "90 hari", days: 90 },
+  { id: "custom", label: "Custom" },
+];
+
+const FLOW_SERIES = [
+  { id: "completed", label: "Completed", color: "#16a34a" },
+  { id: "inprogress", label: "In progress", color: "#f59e0b" },
+  { id: "pending", label: "Pending", color: "#94a3b8" },
+];
+
+const TYPE_COLORS = ["#2563eb", "#9333ea", "#16a34a", "#f59e0b", "#dc2626", "#0891b2", "#64748b"];
+
+const W = 600;
+const H = 200;
+const PAD = { top: 10, right: 10, bottom: 24, left: 32 };
+const innerW = W - PAD.left - PAD.right;
+const innerH = H - PAD.top - PAD.bottom;
+
+const shortDate = (key) => {
+  const d = new Date(`${key}T12:00:00`);
+  return d.toLocaleDateString([], { day: "numeric", month: "short" });
+};
+
+const daysAgo = (n) => {
+  const d = new Date();
+  d.setDate(d.getDate() - (n - 1));
+  return toDayKey(d);
+};
+
+/* ---------- chart primitives ---------- */
+function Axes({ labels, max }) {
+  const every = Math.max(1, Math.ceil(labels.length / 8));
+  return (
+    <g className="text-gray-400" fill="currentColor" fontSize="10">
+      <line x1={PAD.left} y1={PAD.top + innerH} x2={W - PAD.right} y2={PAD.top + innerH} stroke="currentColor" strokeOpacity="0.4" />
+      {[0, 0.5, 1].map((f) => (
+        <text key={f} x={PAD.left - 6} y={PAD.top + innerH - f * innerH + 3} textAnchor="end">
+          {Math.round(max * f)}
+        </text>
+      ))}
+      {labels.map((l, i) =>
+        i % every === 0 ? (
+          <text key={l} x={PAD.left + (labels.length === 1 ? innerW / 2 : (i / (labels.length - 1)) * innerW)} y={H - 6} textAnchor="middle">
+            {shortDate(l)}
+          </text>
+        ) : null
+      )}
+    </g>
+  );
+}
+
+function BarChart({ data, color = "#2563eb" }) {
+  const max = Math.max(1, ...data.map((d) => d.count));
+  const slot = innerW / Math.max(data.length, 1);
+  const every = Math.max(1, Math.ceil(data.length / 8));
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+      <g className="text-gray-400" fill="currentColor" fontSize="10">
+        <line x1={PAD.left} y1={PAD.top + innerH} x2={W - PAD.right} y2={PAD.top + innerH} stroke="currentColor" strokeOpacity="0.4" />
+        <text x={PAD.left - 6} y={PAD.top + 3} textAnchor="end">{max}</text>
+      </g>
+      {data.map((d, i) => {
+        const h = (d.count / max) * innerH;
+        return (
+          <g key={d.key}>
+            <rect x={PAD.left + i * slot + slot * 0.15} y={PAD.top + innerH - h} width={slot * 0.7} height={h} rx="2" fill={color}>
+              <title>{`${shortDate(d.key)}: ${d.count}`}</title>
+            </rect>
+            {i % every === 0 && (
+              <text x={PAD.left + i * slot + slot / 2} y={H - 6} textAnchor="middle" fontSize="10" className="fill-gray-400">
+                {shortDate(d.key)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function LineChart({ labels, series }) {
+  const max = Math.max(1, ...series.flatMap((s) => s.values));
+  const x = (i) => PAD.left + (labels.length === 1 ? innerW / 2 : (i / (labels.length - 1)) * innerW);
+  const y = (v) => PAD.top + innerH - (v / max) * innerH;
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+      <Axes labels={labels} max={max} />
+      {series.map((s) => (
+        <polyline
+          key={s.id}
+          fill="none"
+          stroke={s.color}
+          strokeWidth="2"
+          strokeDasharray={s.dashed ? "5 4" : undefined}
+          points={s.values.map((v, i) => `${x(i)},${y(v)}`).join(" ")}
+        />
+      ))}
+    </svg>
+  );
+}
+
+// series are stacked bottom-up in the given order
+function StackedArea({ labels, series }) {
+  const totals = labels.map((_, i) => series.reduce((sum, s) => sum + s.values[i], 0));
+  const max = Math.max(1, ...totals);
+  const x = (i) => PAD.left + (labels.length === 1 ? innerW / 2 : (i / (labels.length - 1)) * innerW);
+  const y = (v) => PAD.top + innerH - (v / max) * innerH;
+  const base = labels.map(() => 0);
+  const layers = series.map((s) => {
+    const lower = [...base];
+    s.values.forEach((v, i) => (base[i] += v));
+    const upper = [...base];
+    const top = upper.map((v, i) => `${x(i)},${y(v)}`);
+    const bottom = lower.map((v, i) => `${x(i)},${y(v)}`).reverse();
+    return { ...s, points: [...top, ...bottom].join(" ") };
+  });
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+      <Axes labels={labels} max={max} />
+      {layers.map((l) => (
+        <polygon key={l.id} points={l.points} fill={l.color} fillOpacity="0.75" />
+      ))}
+    </svg>
+  );
+}
+
+function Legend({ items }) {
+  return (
+    <div className="flex flex-wrap gap-3 text-xs text-gray-600 dark:text-gray-300 mt-2">
+      {items.map((it) => (
+        <span key={it.label} className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-sm" style={{ background: it.color }} />
+          {it.label}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+function Card({ title, children, actions }) {
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-3xl p-6 shadow-lg">
+      <div className="flex justify-between items-center gap-3 mb-3">
+        <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100">{title}</h3>
+        {actions}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+/* ---------- section ---------- */
+export default function DashboardCharts({ projects = [], tasks = [] }) {
+  const [preset, setPreset] = useState("30");
+  const [customFrom, setCustomFrom] = useState(() => daysAgo(30));
+  const [customTo, setCustomTo] = useState(() => toDayKey(new Date()));
+  const [period, setPeriod] = useState("day");
+  const [burnProject, setBurnProject] = useState("");
+
+  const { from, to } = useMemo(() => {
+    if (preset !== "custom") return { from: daysAgo(RANGE_PRESETS.find((p) => p.id === preset).days), to: toDayKey(new Date()) };
+    return customFrom <= customTo ? { from: customFrom, to: customTo } : { from: customTo, to: customFrom };
+  }, [preset, customFrom, customTo]);
+
+  // projects that own at least one task list, for the burndown picker
+  const burnOptions = useMemo(() => {
+    const ids = new Set(tasks.map((t) => String(t.projectId ?? "")));
+    return [
+      ...projects.filter((p) => ids.has(String(p.id))).map((p) => ({ id: String(p.id), name: p.name })),
+      ...(ids.has("") ? [{ id: "", name: "Tanpa project" }] : []),
+    ];
+  }, [projects, tasks]);
+  const burnId = burnOptions.some((o) => o.id === burnProject) ? burnProject : burnOptions[0]?.id ?? "";
+
+  const perPeriod = useMemo(() => completedPerPeriod(tasks, from, to, period), [tasks, from, to, period]);
+  const flow = useMemo(() => cumulativeFlow(tasks, from, to), [tasks, from, to]);
+  const burn = useMemo(() => burndown(tasks, burnId, from, to), [tasks, burnId, from, to]);
+  const types = useMemo(() => projectTypeDistribution(projects), [projects]);
+  const typeTotal = types.reduce((s, t) => s + t.count, 0);
+
+  const selectCls = "px-2 py-1 text-sm border rounded-lg dark:bg-gray-900 dark:text-gray-200 dark:border-gray-700";
+
+  return (
+    <section className="space-y-6" data-aos="fade-up">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-3">
+        <h2 className="text-2xl font-bold text-gray-800 dark:text-gray-100">Analytics</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          {RANGE_PRESETS.map((p) => (
+            <button
+              key={p.id}
+              onClick={() => setPreset(p.id)}
+              className={`px-3 py-1 rounded-full text-sm border transition ${
+                preset === p.id
+                  ? "bg-blue-600 text-white border-blue-600"
+                  : "border-gray-300 dark:border-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+              }`}
+            >
+              {p.label}
+            </button>
+          ))}
+          {preset === "custom" && (
+            <>
+              <input type="date" value={customFrom} onChange={(e) => e.target.value && setCustomFrom(e.target.value)} className={selectCls} />
+              <span className="text-gray-500">–</span>
+              <input type="date" value={customTo} onChange={(e) => e.target.value && setCustomTo(e.target.value)} className={selectCls} />
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Card
+          title="Tasks completed"
+          actions={
+            <select value={period} onChange={(e) => setPeriod(e.target.value)} className={selectCls}>
+              <option value="day">Per hari</option>
+              <option value="week">Per minggu</option>
+            </select>
+          }
+        >
+          <BarChart data={perPeriod} color="#16a34a" />
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            Total {perPeriod.reduce((s, d) => s + d.count, 0)} task selesai dalam rentang ini
+          </p>
+        </Card>
+
+        <Card
+          title="Burndown"
+          actions={
+            burnOptions.length > 0 && (
+              <select value={burnId} onChange={(e) => setBurnProject(e.target.value)} className={`${selectCls} max-w-[12rem]`}>
+                {burnOptions.map((o) => (
+                  <option key={o.id || "none"} value={o.id}>{o.name}</option>
+                ))}
+              </select>
+            )
+          }
+        >
+          {burnOptions.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 py-8 text-center">Belum ada task.</p>
+          ) : (
+            <>
+              <LineChart
+                labels={burn.map((b) => b.key)}
+                series={[
+                  { id: "remaining", color: "#2563eb", values: burn.map((b) => b.remaining) },
+                  { id: "ideal", color: "#94a3b8", dashed: true, values: burn.map((b) => b.ideal) },
+                ]}
+              />
+              <Legend items={[{ label: "Sisa task", color: "#2563eb" }, { label: "Ideal", color: "#94a3b8" }]} />
+            </>
+          )}
+        </Card>
+
+        <Card title="Cumulative flow">
+          <StackedArea
+            labels={flow.map((f) => f.key)}
+            series={FLOW_SERIES.map((s) => ({ ...s, values: flow.map((f) => f[s.id]) }))}
+          />
+          <Legend items={FLOW_SERIES} />
+        </Card>
+
+        <Card title="Project types">
+          {types.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 py-8 text-center">Belum ada project.</p>
+          ) : (
+            <ul className="space-y-3">
+              {types.map((t, i) => (
+                <li key={t.type}>
+                  <div className="flex justify-between text-sm text-gray-700 dark:text-gray-200 mb-1">
+                    <span>{t.type}</span>
+                    <span className="text-gray-500 dark:text-gray-400">
+                      {t.count} ({Math.round((t.count / typeTotal) * 100)}%)
+                    </span>
+                  </div>
+                  <div className="w-full bg-gray-200 dark:bg-gray-700 h-3 rounded-full overflow-hidden">
+                    <div className="h-3 rounded-full" style={{ width: `${(t.count / typeTotal) * 100}%`, background: TYPE_COLORS[i % TYPE_COLORS.length] }} />
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+      </div>
+    </section>
+  );
+}
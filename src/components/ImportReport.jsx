@@ -0,0 +1,180 @@
+// src/components/ImportReport.jsx
+// Pre-import review for JSON and CSV imports: how many records passed
+// src/data/validators.js, and every rejected row with its reasons. List imports
+// also pass a merge `plan` (src/data/importMerge.js): each record is shown as
+// added / updated / unchanged / conflicting with a field diff, and conflicts get
+// a keep-local / take-incoming / keep-both choice. Nothing is written until the
+// user confirms.
+import { useState } from "react";
+import { MERGE_KINDS, summarizePlan } from "../data/importMerge.js";
+
+const KIND_LABELS = {
+  added: { label: "Baru", cls: "bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300" },
+  updated: { label: "Diperbarui", cls: "bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300" },
+  unchanged: { label: "Sama", cls: "bg-gray-100 text-gray-600 dark:bg-gray-800 dark:text-gray-300" },
+  conflicting: { label: "Konflik", cls: "bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-200" },
+};
+
+const RESOLUTIONS = [
+  { id: "local", label: "Pakai lokal" },
+  { id: "incoming", label: "Pakai file" },
+  { id: "both", label: "Simpan keduanya" },
+];
+
+// short display of one field value in the diff
+function formatValue(v) {
+  if (v == null || v === "") return "—";
+  if (Array.isArray(v)) return `${v.length} entri`;
+  if (typeof v === "object") return JSON.stringify(v).slice(0, 60);
+  const s = String(v);
+  if (s.startsWith("data:image")) return "(gambar)";
+  return s.length > 60 ? `${s.slice(0, 57)}...` : s;
+}
+
+// rows that write something
+const writes = (row) => (row.resolution === "incoming" && row.kind !== "unchanged") || row.resolution === "both";
+
+/**
+ * @param {{ title: string, report: import("../data/validators.js").ImportReport & { note?: string },
+ *   plan?: import("../data/importMerge.js").MergeRow[],
+ *   onResolve?: (id: string, resolution: "local"|"incoming"|"both") => void,
+ *   busy?: boolean, onCancel: () => void, onConfirm: () => void }} props
+ */
+export default function ImportReport({ title, report, plan, onResolve, busy = false, onCancel, onConfirm }) {
+  const { accepted, rejected, fatal, note } = report;
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const counts = plan ? summarizePlan(plan) : null;
+  const writeCount = plan ? plan.filter(writes).length : accepted.length;
+  const rows = plan ? plan.filter((r) => showUnchanged || r.kind !== "unchanged") : [];
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50" onClick={busy ? undefined : onCancel} />
+      <div className="relative bg-white dark:bg-gray-900 rounded-xl p-6 z-50 w-full max-w-2xl shadow-lg max-h-[85vh] flex flex-col">
+        <h3 className="text-lg font-semibold mb-3">{title}</h3>
+
+        {fatal ? (
+          <p className="text-sm text-red-600">{fatal}</p>
+        ) : (
+          <div className="overflow-y-auto space-y-3">
+            <p className="text-sm text-gray-700 dark:text-gray-200">
+              ✅ <span className="font-medium">{accepted.length}</span> record valid
+              {rejected.length > 0 && (
+                <>
+                  , ❌ <span className="font-medium text-red-600">{rejected.length}</span> ditolak
+                </>
+              )}
+            </p>
+            {note && <p className="text-xs text-gray-500 dark:text-gray-400">{note}</p>}
+
+            {counts && (
+              <div className="flex flex-wrap items-center gap-2 text-xs">
+                {MERGE_KINDS.map((k) => (
+                  <span key={k} className={`px-2 py-1 rounded-full ${KIND_LABELS[k].cls}`}>
+                    {KIND_LABELS[k].label}: {counts[k]}
+                  </span>
+                ))}
+                {counts.conflicting > 1 && onResolve && (
+                  <span className="text-gray-500 dark:text-gray-400">
+                    Semua konflik:{" "}
+                    {RESOLUTIONS.map((r, i) => (
+                      <span key={r.id}>
+                        {i > 0 && " · "}
+                        <button type="button" onClick={() => plan.filter((row) => row.kind === "conflicting").forEach((row) => onResolve(row.id, r.id))} className="underline">
+                          {r.label.toLowerCase()}
+                        </button>
+                      </span>
+                    ))}
+                  </span>
+                )}
+                {counts.unchanged > 0 && (
+                  <button type="button" onClick={() => setShowUnchanged((s) => !s)} className="underline text-gray-500 dark:text-gray-400">
+                    {showUnchanged ? "Sembunyikan yang sama" : "Tampilkan yang sama"}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {rows.length > 0 && (
+              <ul className="border rounded-lg divide-y dark:border-gray-700 dark:divide-gray-700 text-sm">
+                {rows.map((row) => (
+                  <MergeRowItem key={row.id} row={row} onResolve={onResolve} />
+                ))}
+              </ul>
+            )}
+
+            {rejected.length > 0 && (
+              <ul className="border rounded-lg divide-y dark:border-gray-700 dark:divide-gray-700 text-sm">
+                {rejected.map((r) => (
+                  <li key={r.row} className="px-3 py-2">
+                    <span className="font-medium">Baris {r.row}</span>
+                    {r.id && <span className="text-gray-500 dark:text-gray-400"> · id {r.id}</span>}
+                    <ul className="list-disc pl-5 text-red-600 dark:text-red-400">
+                      {r.reasons.map((reason, i) => <li key={i}>{reason}</li>)}
+                    </ul>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-3 mt-4">
+          <button onClick={onCancel} disabled={busy} className="px-4 py-2 rounded border">Batal</button>
+          {!fatal && writeCount > 0 && (
+            <button onClick={onConfirm} disabled={busy} className="px-4 py-2 rounded bg-blue-600 text-white disabled:opacity-50">
+              {busy ? "Importing..." : `Import ${writeCount}`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- one record of the merge plan ---------- */
+function MergeRowItem({ row, onResolve }) {
+  const kind = KIND_LABELS[row.kind];
+  const name = row.incoming.title || row.incoming.name || row.id;
+  return (
+    <li className="px-3 py-2 space-y-2">
+      <div className="flex items-center gap-2">
+        <span className={`px-2 py-0.5 rounded-full text-xs ${kind.cls}`}>{kind.label}</span>
+        <span className="font-medium truncate">{name}</span>
+        <span className="text-xs text-gray-400 ml-auto shrink-0">id {row.id}</span>
+      </div>
+
+      {row.changes.length > 0 && (
+        <table className="w-full text-xs">
+          <thead className="text-gray-500 dark:text-gray-400">
+            <tr>
+              <th className="text-left font-normal w-1/5">Field</th>
+              <th className="text-left font-normal">Lokal</th>
+              <th className="text-left font-normal">File</th>
+            </tr>
+          </thead>
+          <tbody>
+            {row.changes.map((c) => (
+              <tr key={c.field} className="align-top">
+                <td className="pr-2 text-gray-500 dark:text-gray-400">{c.field}</td>
+                <td className={`pr-2 break-all ${row.resolution === "incoming" ? "line-through opacity-60" : ""}`}>{formatValue(c.local)}</td>
+                <td className={`break-all ${row.resolution === "local" ? "line-through opacity-60" : ""}`}>{formatValue(c.incoming)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {row.kind === "conflicting" && onResolve && (
+        <div className="flex flex-wrap gap-3 text-xs">
+          {RESOLUTIONS.map((r) => (
+            <label key={r.id} className="flex items-center gap-1">
+              <input type="radio" name={`resolve-${row.id}`} checked={row.resolution === r.id} onChange={() => onResolve(row.id, r.id)} />
+              {r.label}
+            </label>
+          ))}
+        </div>
+      )}
+    </li>
+  );
+}
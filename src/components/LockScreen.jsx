@@ -0,0 +1,71 @@
+// src/components/LockScreen.jsx
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import useAuth from "../hooks/useAuth";
+
+// Full-screen overlay shown by MainLayout after the idle timeout
+export default function LockScreen() {
+  const navigate = useNavigate();
+  const { user, unlock, logout } = useAuth();
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    if (!password) return setError("Password wajib diisi");
+    setLoading(true);
+    const ok = await unlock(password);
+    setLoading(false);
+    if (!ok) {
+      setError("Password salah");
+      setPassword("");
+    }
+  };
+
+  const handleLogout = () => {
+    logout();
+    navigate("/login");
+  };
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-slate-900/70 backdrop-blur-md px-4">
+      <form onSubmit={handleUnlock} className="w-full max-w-sm p-8 rounded-2xl shadow-2xl bg-white dark:bg-slate-800 text-slate-900 dark:text-white">
+        <div className="flex flex-col items-center mb-6">
+          <div className="w-14 h-14 rounded-full bg-[#1e3a8a] text-white flex items-center justify-center mb-3">
+            <i className="fa-solid fa-lock text-xl"></i>
+          </div>
+          <h2 className="text-xl font-bold">Sesi terkunci</h2>
+          <p className="text-sm opacity-70 text-center mt-1">
+            {user?.name || user?.email}, masukkan password untuk melanjutkan.
+          </p>
+        </div>
+
+        <input
+          type="password"
+          autoFocus
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => {
+            setPassword(e.target.value);
+            setError("");
+          }}
+          placeholder="••••••"
+          className="w-full px-4 py-3 rounded-xl border bg-white dark:bg-slate-900 border-gray-200 dark:border-slate-700"
+        />
+        {error && <p className="text-red-500 text-xs mt-2">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={loading}
+          className={`w-full mt-4 py-3 rounded-xl font-semibold text-white bg-[#1e3a8a] hover:bg-[#162a67] ${loading ? "opacity-60 cursor-not-allowed" : ""}`}
+        >
+          {loading ? "Checking..." : "Unlock"}
+        </button>
+        <button type="button" onClick={handleLogout} className="w-full mt-3 text-sm underline opacity-80">
+          Logout
+        </button>
+      </form>
+    </div>
+  );
+}
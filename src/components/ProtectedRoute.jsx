@@ -1,11 +1,32 @@
 // src/components/ProtectedRoute.jsx
 import React from "react";
-import { Navigate } from "react-router-dom";
+import { Link, Navigate, useLocation } from "react-router-dom";
 import useAuth from "../hooks/useAuth.js";
 
-export default function ProtectedRoute({ children }) {
-  const { user } = useAuth();
+/**
+ * <ProtectedRoute permissions={[...]}> — requires a logged-in user and, when
+ * given, every listed permission (see src/data/permissions.js). Logged-out
+ * visitors go to /login with state.from so they come back here afterwards.
+ */
+export default function ProtectedRoute({ children, permissions = [] }) {
+  const { user, can } = useAuth();
+  const location = useLocation();
 
-  if (!user) return <Navigate to="/login" replace />;
+  if (!user) return <Navigate to="/login" replace state={{ from: location }} />;
+  // first-run admin / force-reset accounts must set a password first
+  if (user.passChangeRequired) return <Navigate to="/setup" replace />;
+
+  if (!can(permissions)) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-100 dark:bg-gray-900 px-4">
+        <div className="max-w-md text-center bg-white dark:bg-gray-800 rounded-2xl shadow p-8">
+          <i className="fa-solid fa-lock text-3xl text-red-500 mb-3"></i>
+          <h1 className="text-xl font-semibold text-gray-800 dark:text-gray-100">Akses ditolak</h1>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">Role akun kamu tidak punya izin untuk membuka halaman ini.</p>
+          <Link to="/dashboard" className="inline-block mt-4 px-4 py-2 bg-blue-600 text-white rounded-md">Kembali ke Dashboard</Link>
+        </div>
+      </div>
+    );
+  }
   return children;
 }
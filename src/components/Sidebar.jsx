@@ -1,21 +1,26 @@
 import { NavLink, useNavigate } from "react-router-dom";
 import ThemeToggle from "./ThemeToggle";
 import Logo from "../assets/icons/astrava.png"
+import useAuth from "../hooks/useAuth";
+import { PERMISSIONS } from "../data/permissions";
 
 export default function Sidebar({ isOpen, setIsOpen }) {
   const navigate = useNavigate();
+  const { logout, can } = useAuth();
 
   const navItems = [
     { label: "Dashboard", path: "/dashboard", icon: "fa-chart-line" },
     { label: "Projects", path: "/projects", icon: "fa-folder-tree" }, // free
     { label: "Tasks", path: "/tasks", icon: "fa-list-check" },
+    { label: "Calendar", path: "/calendar", icon: "fa-calendar-days" },
     { label: "Gallery", path: "/gallery", icon: "fa-image" },
     { label: "Profile", path: "/profile", icon: "fa-user" },
     { label: "Settings", path: "/settings", icon: "fa-gear" },
-  ];
+    { label: "Users", path: "/admin/users", icon: "fa-users-gear", permission: PERMISSIONS.USERS_MANAGE },
+  ].filter((item) => !item.permission || can(item.permission));
 
   const handleLogout = () => {
-    localStorage.removeItem("currentUser");
+    logout();
     navigate("/login");
   };
 
@@ -0,0 +1,72 @@
+// src/components/StorageAlert.jsx
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  getFailedWrites,
+  subscribeWriteErrors,
+  retryFailedWrites,
+  discardFailedWrite,
+} from "../data/initStorage";
+
+// Download the unsaved values so nothing is lost while storage is full
+function offloadWrites(writes) {
+  const payload = { exportedAt: new Date().toISOString(), data: Object.fromEntries(writes.map((w) => [w.key, w.value])) };
+  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `unsaved_data_${Date.now()}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+export default function StorageAlert() {
+  const navigate = useNavigate();
+  const [writes, setWrites] = useState(getFailedWrites);
+
+  useEffect(() => subscribeWriteErrors(setWrites), []);
+
+  if (!writes.length) return null;
+
+  const quota = writes.some((w) => w.quota);
+  const keys = writes.map((w) => w.key).join(", ");
+
+  return (
+    <div
+      role="alert"
+      className="fixed bottom-4 left-4 right-4 md:left-72 z-50 p-4 rounded-xl shadow-lg bg-red-600 text-white flex flex-col md:flex-row md:items-center gap-3"
+    >
+      <div className="flex-1 text-sm">
+        <div className="font-semibold">
+          <i className="fa-solid fa-triangle-exclamation mr-2"></i>
+          {quota ? "Penyimpanan penuh — perubahan belum tersimpan" : "Gagal menyimpan perubahan"}
+        </div>
+        <div className="opacity-90 mt-1 break-all">Belum tersimpan: {keys}</div>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => {
+            if (retryFailedWrites() > 0) alert("Masih gagal menyimpan. Kosongkan ruang penyimpanan terlebih dahulu.");
+          }}
+          className="px-3 py-1.5 rounded bg-white text-red-700 text-sm font-medium"
+        >
+          Retry
+        </button>
+        <button onClick={() => offloadWrites(writes)} className="px-3 py-1.5 rounded bg-red-800 text-sm">
+          Download data
+        </button>
+        <button onClick={() => navigate("/settings", { state: { tab: "storage" } })} className="px-3 py-1.5 rounded bg-red-800 text-sm">
+          Kelola storage
+        </button>
+        <button
+          onClick={() => {
+            if (confirm("Buang perubahan yang belum tersimpan?")) writes.forEach((w) => discardFailedWrite(w.key));
+          }}
+          className="px-3 py-1.5 rounded bg-red-800 text-sm"
+        >
+          Dismiss
+        </button>
+      </div>
+    </div>
+  );
+}
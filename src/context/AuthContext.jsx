@@ -4,37 +4,70 @@ import {
   validateCredentials,
   registerUser,
   getCurrentUser as getCU,
-  logout as logoutLS
+  logout as logoutLS,
+  getSession,
+  lockSession,
+  unlockSession,
+  USERS_KEY,
+  SESSION_KEY
 } from "../data/usersData.js";
+import { subscribeData } from "../data/initStorage.js";
+import { can as canUser } from "../data/permissions.js";
 
 export const AuthContext = createContext({
   user: null,
   setUser: () => {},
   login: async () => {},
   register: async () => {},
-  logout: () => {}
+  logout: () => {},
+  can: () => false,
+  session: null,
+  lock: () => {},
+  unlock: async () => false
 });
 
 export function AuthProvider({ children }) {
-  const [user, setUser] = useState(getCU());
+  const [user, setUser] = useState(getCU);
+  const [session, setSession] = useState(getSession);
 
+  // session or account changed (here or in another tab): re-read the session
   useEffect(() => {
-    setUser(getCU());
+    return subscribeData((key) => {
+      if (key === null || key === SESSION_KEY || key === USERS_KEY) {
+        setUser(getCU());
+        setSession(getSession());
+      }
+    });
   }, []);
 
-  const login = ({ email, pass }) => {
-    const u = validateCredentials(email, pass);
-    if (u) {
-      setUser(u);
-      return { ok: true, user: u };
+  // drop the user the moment the session expires
+  useEffect(() => {
+    if (!session) return;
+    const ms = Date.parse(session.expiresAt) - Date.now();
+    const t = setTimeout(() => {
+      setUser(getCU());
+      setSession(getSession());
+    }, Math.min(Math.max(ms, 0), 2 ** 31 - 1));
+    return () => clearTimeout(t);
+  }, [session]);
+
+  const login = async ({ email, pass, remember = false }) => {
+    try {
+      const u = await validateCredentials(email, pass, { remember });
+      if (u) {
+        setUser(u);
+        return { ok: true, user: u };
+      }
+    } catch (e) {
+      return { ok: false, message: e.message };
     }
     return { ok: false, message: "Email atau password salah" };
   };
 
-  const register = ({ id, name, email, pass }) => {
+  const register = async ({ id, name, email, pass }) => {
     try {
-      const createdId = registerUser({ id, name, email, pass });
-      setUser({ id: createdId, name, email });
+      const createdId = await registerUser({ id, name, email, pass });
+      setUser(getCU());
       return { ok: true, id: createdId };
     } catch (e) {
       return { ok: false, message: e.message };
@@ -46,8 +79,15 @@ export function AuthProvider({ children }) {
     setUser(null);
   };
 
+  // can(permission | permission[]) for the logged-in user
+  const can = (permissions) => canUser(user, permissions);
+
+  // idle lock screen (MainLayout); unlock re-checks the password
+  const lock = () => lockSession();
+  const unlock = (pass) => unlockSession(pass);
+
   return (
-    <AuthContext.Provider value={{ user, setUser, login, register, logout }}>
+    <AuthContext.Provider value={{ user, setUser, login, register, logout, can, session, lock, unlock }}>
       {children}
     </AuthContext.Provider>
   );
@@ -0,0 +1,35 @@
+// src/data/activityFormat.js
+// Display text for ActivityEvents (see logActivity in src/data/db.js), shared
+// by the Dashboard feed and the project timeline.
+
+export const ENTITY_ICONS = { project: "📁", task: "✅", gallery: "📸", note: "📝" };
+
+export const ACTION_LABELS = {
+  created: "dibuat",
+  updated: "diperbarui",
+  deleted: "dihapus",
+  completed: "selesai",
+  reopened: "dibuka kembali",
+  uploaded: "diunggah",
+};
+
+// one line of text for an ActivityEvent (see src/data/db.js)
+export function describeActivity(ev) {
+  const p = ev.payload || {};
+  if (ev.entityType === "note") return p.text || "";
+  const kind = { project: "Project", task: "Task", gallery: "Dokumentasi" }[ev.entityType] || ev.entityType;
+  const name = p.name || p.title || ev.entityId || "";
+  return `${kind} "${name}" ${ACTION_LABELS[ev.action] || ev.action}`;
+}
+
+export const dayKey = (iso) => new Date(iso).toDateString();
+
+export function dayLabel(iso) {
+  const d = new Date(iso);
+  const today = new Date();
+  const yesterday = new Date(today);
+  yesterday.setDate(today.getDate() - 1);
+  if (d.toDateString() === today.toDateString()) return "Hari ini";
+  if (d.toDateString() === yesterday.toDateString()) return "Kemarin";
+  return d.toLocaleDateString([], { weekday: "long", day: "numeric", month: "long", year: "numeric" });
+}
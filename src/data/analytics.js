@@ -0,0 +1,146 @@
+// src/data/analytics.js
+// Pure series builders for the Dashboard charts. Dates are bucketed by local
+// calendar day ("YYYY-MM-DD"); a task's status on a day is its status at the
+// end of that day, read from task.statusHistory (see applyTaskStatus in db.js).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const FLOW_STATUSES = ["pending", "inprogress", "completed"];
+
+const pad = (n) => String(n).padStart(2, "0");
+export const toDayKey = (d) => {
+  const x = new Date(d);
+  return `${x.getFullYear()}-${pad(x.getMonth() + 1)}-${pad(x.getDate())}`;
+};
+// built from the date parts: new Date("YYYY-MM-DD") would be UTC midnight
+export const atLocalTime = (dayKey, h = 0, m = 0, s = 0, ms = 0) => {
+  const [y, mo, d] = dayKey.split("-").map(Number);
+  return new Date(y, mo - 1, d, h, m, s, ms);
+};
+const endOfDay = (dayKey) => atLocalTime(dayKey, 23, 59, 59, 999).getTime();
+
+/** "YYYY-MM-DD" of a stored deadline (tasks store the day, projects its ISO string), or null */
+export function deadlineDay(deadline) {
+  return typeof deadline === "string" && /^\d{4}-\d{2}-\d{2}/.test(deadline) ? deadline.slice(0, 10) : null;
+}
+
+/** deadline as a local date label ("" when unset) */
+export function formatDeadline(deadline) {
+  const day = deadlineDay(deadline);
+  return day ? atLocalTime(day).toLocaleDateString() : "";
+}
+
+// a deadline lasts until the end of that local day; null when unset/invalid
+export function deadlineEnd(task) {
+  const day = deadlineDay(task?.deadline);
+  return day ? endOfDay(day) : null;
+}
+
+/** inclusive list of day keys from `from` to `to` (Date or "YYYY-MM-DD") */
+export function dayRange(from, to) {
+  const days = [];
+  const start = new Date(`${toDayKey(from)}T12:00:00`);
+  const end = new Date(`${toDayKey(to)}T12:00:00`);
+  for (let t = start.getTime(); t <= end.getTime(); t += DAY_MS) days.push(toDayKey(t));
+  return days;
+}
+
+// Monday of the day's week
+function weekKey(dayKey) {
+  const d = new Date(`${dayKey}T12:00:00`);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return toDayKey(d);
+}
+
+const normStatus = (s) => {
+  const v = String(s || "").toLowerCase();
+  if (v === "done" || v === "completed") return "completed";
+  return v === "inprogress" ? "inprogress" : "pending";
+};
+
+/**
+ * [{ status, at }] oldest first. Tasks saved before statusHistory existed get
+ * one derived from createdAt (pending) and, when not pending, updatedAt.
+ */
+export function taskHistory(task) {
+  if (Array.isArray(task.statusHistory) && task.statusHistory.length) {
+    return task.statusHistory.map((h) => ({ status: normStatus(h.status), at: h.at })).sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+  }
+  const created = task.createdAt || task.updatedAt;
+  if (!created) return [];
+  const status = normStatus(task.status);
+  const history = [{ status: "pending", at: created }];
+  if (status !== "pending") history.push({ status, at: task.updatedAt || created });
+  return history;
+}
+
+/** status at the end of `dayKey`, or null when the task didn't exist yet */
+export function statusOn(history, dayKey) {
+  const limit = endOfDay(dayKey);
+  let status = null;
+  for (const h of history) {
+    if (Date.parse(h.at) > limit) break;
+    status = h.status;
+  }
+  return status;
+}
+
+// moments a task became completed
+export function completions(history) {
+  return history.filter((h, i) => h.status === "completed" && history[i - 1]?.status !== "completed").map((h) => h.at);
+}
+
+/** tasks completed per day or per week (weeks start on Monday) -> [{ key, count }] */
+export function completedPerPeriod(tasks, from, to, period = "day") {
+  const days = dayRange(from, to);
+  const bucketOf = period === "week" ? weekKey : (k) => k;
+  const buckets = new Map(days.map((d) => [bucketOf(d), 0]));
+  for (const t of tasks) {
+    for (const at of completions(taskHistory(t))) {
+      const key = bucketOf(toDayKey(at));
+      if (buckets.has(key)) buckets.set(key, buckets.get(key) + 1);
+    }
+  }
+  return [...buckets].map(([key, count]) => ({ key, count }));
+}
+
+/** pending / inprogress / completed counts at the end of each day -> [{ key, pending, inprogress, completed }] */
+export function cumulativeFlow(tasks, from, to) {
+  const histories = tasks.map(taskHistory);
+  return dayRange(from, to).map((key) => {
+    const row = { key, pending: 0, inprogress: 0, completed: 0 };
+    for (const h of histories) {
+      const s = statusOn(h, key);
+      if (s) row[s]++;
+    }
+    return row;
+  });
+}
+
+/**
+ * Remaining (not completed) tasks of one project per day, plus the ideal line
+ * from the first day's scope down to zero -> [{ key, remaining, ideal }]
+ */
+export function burndown(tasks, projectId, from, to) {
+  const histories = tasks.filter((t) => String(t.projectId ?? "") === String(projectId ?? "")).map(taskHistory);
+  const days = dayRange(from, to);
+  const rows = days.map((key) => ({
+    key,
+    remaining: histories.filter((h) => {
+      const s = statusOn(h, key);
+      return s && s !== "completed";
+    }).length,
+  }));
+  const start = rows[0]?.remaining || 0;
+  const steps = Math.max(rows.length - 1, 1);
+  return rows.map((r, i) => ({ ...r, ideal: Math.round((start * (steps - i)) / steps * 10) / 10 }));
+}
+
+/** project count per type (Web, AI, ...) -> [{ type, count }] largest first */
+export function projectTypeDistribution(projects) {
+  const counts = new Map();
+  for (const p of projects) {
+    const type = p.type || "Other";
+    counts.set(type, (counts.get(type) || 0) + 1);
+  }
+  return [...counts].map(([type, count]) => ({ type, count })).sort((a, b) => b.count - a.count);
+}
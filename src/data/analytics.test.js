@@ -0,0 +1,40 @@
+// src/data/analytics.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dayRange, taskHistory, statusOn, deadlineEnd, toDayKey } from "./analytics.js";
+
+test("dayRange is inclusive and crosses month ends", () => {
+  assert.deepEqual(dayRange("2026-09-29", "2026-10-02"), ["2026-09-29", "2026-09-30", "2026-10-01", "2026-10-02"]);
+  assert.deepEqual(dayRange("2026-10-02", "2026-10-02"), ["2026-10-02"]);
+});
+
+test("a task's status on a day is its last change up to the end of that day", () => {
+  const history = taskHistory({
+    status: "completed",
+    statusHistory: [
+      { status: "inprogress", at: new Date(2026, 9, 3, 9).toISOString() },
+      { status: "pending", at: new Date(2026, 9, 1, 9).toISOString() },
+      { status: "completed", at: new Date(2026, 9, 3, 23).toISOString() },
+    ],
+  });
+  assert.equal(statusOn(history, "2026-09-30"), null);
+  assert.equal(statusOn(history, "2026-10-02"), "pending");
+  assert.equal(statusOn(history, "2026-10-03"), "completed");
+});
+
+test("a deadline ends on its own local day, also west of UTC", () => {
+  const tz = process.env.TZ;
+  try {
+    for (const zone of ["America/New_York", "UTC", "Asia/Jakarta"]) {
+      process.env.TZ = zone;
+      const end = new Date(deadlineEnd({ deadline: "2026-10-21" }));
+      assert.equal(toDayKey(end), "2026-10-21", zone);
+      assert.deepEqual([end.getHours(), end.getMinutes()], [23, 59], zone);
+      assert.equal(toDayKey(deadlineEnd({ deadline: "2026-10-21T00:00:00.000Z" })), "2026-10-21", zone);
+    }
+  } finally {
+    if (tz === undefined) delete process.env.TZ;
+    else process.env.TZ = tz;
+  }
+  assert.equal(deadlineEnd({ deadline: "" }), null);
+});
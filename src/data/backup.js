@@ -0,0 +1,234 @@
+// src/data/backup.js
+// Whole-workspace backup: every localStorage key the current user owns (see
+// getUserDataKeys) plus their IndexedDB gallery images, in one JSON archive.
+// Keys are stored with the user id replaced by USER_PLACEHOLDER, so an archive
+// can be restored by a different account or in another browser.
+import { loadData, saveData, removeData } from "./initStorage.js";
+import {
+  KEY_STATS,
+  KEY_ACTIVITY,
+  ACTIVITY_LIMIT,
+  getProjectsKey,
+  getSettingsKey,
+  getProfileKey,
+  getActivityKey,
+  getTasksKey,
+  isUserTaskKey,
+  getUserDataKeys,
+  loadGallery,
+  saveGalleryEntry,
+  removeGalleryEntry,
+  blobToDataUrl,
+} from "./db.js";
+import { SCHEMA_VERSION } from "./migrations.js";
+import {
+  validateRecords,
+  validateObject,
+  validateProject,
+  validateTask,
+  validateGalleryEntry,
+  validateProfile,
+  validateSettings,
+  validateActivity,
+  IMPORT_LIMITS,
+} from "./validators.js";
+
+export const BACKUP_FORMAT = "astrava-workspace-backup";
+export const BACKUP_VERSION = 1;
+export const USER_PLACEHOLDER = "{user}";
+
+/**
+ * @typedef {Object} BackupArchive
+ * @property {{ format: string, version: number, schemaVersion: number,
+ *   createdAt: string, sourceUser: string, counts: BackupCounts }} manifest
+ * @property {Object<string, *>} data   templated key -> stored value
+ * @property {Object[]} gallery          gallery entries with `image` as a data URL
+ *
+ * @typedef {Object} BackupCounts
+ * @property {number} projects
+ * @property {number} tasks
+ * @property {number} taskLists
+ * @property {number} images
+ * @property {number} activities
+ * @property {boolean} settings
+ * @property {boolean} profile
+ */
+
+const toTemplate = (key, userId) => key.replace(`_${userId}`, `_${USER_PLACEHOLDER}`);
+const fromTemplate = (key, userId) => key.replace(`_${USER_PLACEHOLDER}`, `_${userId}`);
+const familyOf = (templated) => templated.split("_")[0];
+
+// dashboardStats is derived from projects and tasks; the Dashboard recomputes it
+const isDerived = (templated) => familyOf(templated) === KEY_STATS;
+
+/** @returns {BackupCounts} */
+export function countBackup(data = {}, gallery = []) {
+  const counts = { projects: 0, tasks: 0, taskLists: 0, images: gallery.length, activities: 0, settings: false, profile: false };
+  for (const [key, value] of Object.entries(data)) {
+    const family = familyOf(key);
+    if (family === "projects" && Array.isArray(value)) counts.projects += value.length;
+    if (family === "tasks" && Array.isArray(value)) {
+      counts.tasks += value.length;
+      counts.taskLists++;
+    }
+    if (family === "activityLog" && Array.isArray(value)) counts.activities += value.length;
+    if (family === "settings") counts.settings = true;
+    if (family === "userProfile") counts.profile = true;
+  }
+  return counts;
+}
+
+/** @returns {Promise<BackupArchive>} */
+export async function createBackup(userId) {
+  if (!userId) throw new Error("createBackup: no user");
+  const data = {};
+  for (const key of getUserDataKeys(userId)) {
+    const templated = toTemplate(key, userId);
+    if (!isDerived(templated)) data[templated] = loadData(key);
+  }
+
+  const gallery = [];
+  for (const entry of await loadGallery(userId)) {
+    const { blob, ownerId: _owner, ...rest } = entry;
+    gallery.push({ ...rest, image: blob ? await blobToDataUrl(blob) : entry.url || "" });
+  }
+
+  return {
+    manifest: {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      schemaVersion: SCHEMA_VERSION,
+      createdAt: new Date().toISOString(),
+      sourceUser: userId,
+      counts: countBackup(data, gallery),
+    },
+    data,
+    gallery,
+  };
+}
+
+// record validators per key family; activityLog is also sorted/capped on restore
+const LIST_VALIDATORS = { projects: validateProject, tasks: validateTask, [KEY_ACTIVITY]: validateActivity };
+const OBJECT_VALIDATORS = { settings: validateSettings, userProfile: validateProfile };
+
+// the templated keys getUserDataKeys can produce; anything else in an archive is skipped
+const EXACT_KEYS = [getProjectsKey, getSettingsKey, getProfileKey, getActivityKey].map((get) => get(USER_PLACEHOLDER));
+function isKnownKey(templated) {
+  if (EXACT_KEYS.includes(templated)) return true;
+  const suffix = templated.slice(getTasksKey(USER_PLACEHOLDER).length + 1);
+  return isUserTaskKey(USER_PLACEHOLDER, templated) && suffix.length <= IMPORT_LIMITS.shortText;
+}
+
+/**
+ * Run every record through src/data/validators.js. Rejected records are left
+ * out of the returned data/gallery and listed in `rejected` (row is prefixed
+ * with the key, e.g. "tasks_{user}_p1 #3"); so are keys isKnownKey refuses.
+ */
+function sanitizeBackup(archive) {
+  const data = {};
+  const rejected = [];
+  const note = (label, report) => report.rejected.forEach((r) => rejected.push({ ...r, row: `${label} #${r.row}` }));
+  for (const [key, value] of Object.entries(archive.data)) {
+    const family = familyOf(key);
+    if (!isKnownKey(key)) {
+      if (!isDerived(key)) rejected.push({ row: key, id: null, reasons: ["key tidak dikenal, dilewati"] });
+    } else if (LIST_VALIDATORS[family]) {
+      const report = validateRecords(value, LIST_VALIDATORS[family]);
+      if (report.fatal) rejected.push({ row: key, id: null, reasons: [report.fatal] });
+      else data[key] = report.accepted;
+      note(key, report);
+    } else if (OBJECT_VALIDATORS[family]) {
+      const report = validateObject(value, OBJECT_VALIDATORS[family]);
+      if (report.fatal) rejected.push({ row: key, id: null, reasons: [report.fatal] });
+      else data[key] = report.accepted[0];
+      note(key, report);
+    }
+  }
+  const images = validateRecords(archive.gallery || [], validateGalleryEntry);
+  if (images.fatal) rejected.push({ row: "gallery", id: null, reasons: [images.fatal] });
+  note("gallery", images);
+  return { data, gallery: images.accepted, rejected };
+}
+
+/**
+ * Check a parsed archive before anything is written. Structural problems make
+ * it unusable (`ok: false`); bad individual records are only reported in
+ * `rejected` and skipped by restoreBackup.
+ * @returns {{ ok: boolean, errors: string[], counts?: BackupCounts,
+ *   rejected?: { row: string, id: string|null, reasons: string[] }[] }}
+ */
+export function validateBackup(archive) {
+  const errors = [];
+  const m = archive?.manifest;
+  if (!m || m.format !== BACKUP_FORMAT) errors.push("Bukan file backup workspace.");
+  else {
+    if (m.version > BACKUP_VERSION) errors.push(`Format backup v${m.version} belum didukung versi aplikasi ini.`);
+    if (Number(m.schemaVersion) > SCHEMA_VERSION) errors.push("Backup dibuat oleh versi aplikasi yang lebih baru.");
+  }
+  if (!archive?.data || typeof archive.data !== "object" || Array.isArray(archive.data)) errors.push("Bagian data tidak valid.");
+  if (archive?.gallery != null && !Array.isArray(archive.gallery)) errors.push("Bagian gallery tidak valid.");
+  if (errors.length) return { ok: false, errors };
+
+  for (const key of Object.keys(archive.data)) {
+    if (!key.includes(`_${USER_PLACEHOLDER}`)) errors.push(`Key tidak dikenal: ${key}`);
+  }
+  if (errors.length) return { ok: false, errors };
+  const { data, gallery, rejected } = sanitizeBackup(archive);
+  return { ok: true, errors, counts: countBackup(data, gallery), rejected };
+}
+
+// merge two stored values: record lists by id (newer updatedAt wins), objects field by field
+function mergeValue(current, incoming) {
+  if (Array.isArray(current) && Array.isArray(incoming)) {
+    const byId = new Map(current.map((r) => [String(r?.id), r]));
+    for (const r of incoming) {
+      const id = String(r?.id);
+      const mine = byId.get(id);
+      if (!mine || Date.parse(r?.updatedAt || 0) > Date.parse(mine?.updatedAt || 0)) byId.set(id, r);
+    }
+    return [...byId.values()];
+  }
+  if (current && incoming && typeof current === "object" && typeof incoming === "object") return { ...current, ...incoming };
+  return incoming ?? current;
+}
+
+/**
+ * Write a validated archive into `userId`'s workspace.
+ * mode "replace" clears the user's data and gallery first. "merge" keeps
+ * existing records, overwriting only those the archive has a newer copy of;
+ * settings/profile objects take the archive's fields; existing images stay.
+ * @returns {Promise<{ keys: number, images: number }>}
+ */
+export async function restoreBackup(userId, archive, { mode = "merge" } = {}) {
+  if (!userId) throw new Error("restoreBackup: no user");
+  const check = validateBackup(archive);
+  if (!check.ok) throw new Error(check.errors.join("\n"));
+  const { data, gallery } = sanitizeBackup(archive);
+
+  const existingImages = await loadGallery(userId);
+  if (mode === "replace") {
+    getUserDataKeys(userId).forEach((k) => removeData(k));
+    for (const g of existingImages) await removeGalleryEntry(userId, g.id);
+  }
+
+  let keys = 0;
+  for (const [templated, value] of Object.entries(data)) {
+    if (isDerived(templated)) continue;
+    const key = fromTemplate(templated, userId);
+    let next = mode === "merge" ? mergeValue(loadData(key), value) : value;
+    if (familyOf(templated) === KEY_ACTIVITY && Array.isArray(next)) {
+      next = [...next].sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp)).slice(0, ACTIVITY_LIMIT);
+    }
+    if (saveData(key, next)) keys++;
+  }
+
+  const have = new Set(mode === "merge" ? existingImages.map((g) => String(g.id)) : []);
+  let images = 0;
+  for (const g of gallery) {
+    if (have.has(String(g.id))) continue;
+    // an id held by another account is saved under a new one (see saveGalleryEntry)
+    await saveGalleryEntry(userId, g);
+    images++;
+  }
+  return { keys, images };
+}
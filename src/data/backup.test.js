@@ -0,0 +1,62 @@
+// src/data/backup.test.js
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+
+// backup.js pulls in the repository layer, which expects a browser
+let validateBackup, BACKUP_FORMAT;
+before(async () => {
+  globalThis.localStorage = { getItem: () => null, setItem() {}, removeItem() {}, key: () => null, length: 0 };
+  globalThis.BroadcastChannel = undefined;
+  ({ validateBackup, BACKUP_FORMAT } = await import("./backup.js"));
+});
+
+const archive = (data) => ({ manifest: { format: BACKUP_FORMAT, version: 1, schemaVersion: 1 }, data, gallery: [] });
+const event = (over = {}) => ({
+  id: "a_1",
+  timestamp: "2026-01-02T03:04:05.000Z",
+  actor: "u1",
+  entityType: "task",
+  entityId: "t1",
+  action: "created",
+  payload: { title: "Write docs" },
+  ...over,
+});
+
+test("keys outside the workspace families are reported and not restored", () => {
+  const check = validateBackup(
+    archive({
+      "projects_{user}": [{ id: "p1", name: "Site" }],
+      "tasks_{user}_p1": [{ id: "t1", title: "Write docs" }],
+      "auth_{user}": { role: "admin" },
+      "tasks_{user}x": [],
+    })
+  );
+
+  assert.equal(check.ok, true);
+  assert.equal(check.counts.projects, 1);
+  assert.equal(check.counts.taskLists, 1);
+  assert.deepEqual(
+    check.rejected.map((r) => r.row),
+    ["auth_{user}", "tasks_{user}x"]
+  );
+});
+
+test("activity events go through the validator and the payload limits", () => {
+  const check = validateBackup(
+    archive({
+      "activityLog_{user}": [
+        event(),
+        event({ id: "a_2", entityType: "account" }),
+        event({ id: "a_3", payload: { nested: { html: "<img>" } } }),
+        event({ id: "a_4", payload: { text: "x".repeat(10001) } }),
+        event({ id: "a_5", timestamp: "yesterday" }),
+      ],
+    })
+  );
+
+  assert.equal(check.counts.activities, 1);
+  assert.deepEqual(
+    check.rejected.map((r) => r.id),
+    ["a_2", "a_3", "a_4", "a_5"]
+  );
+});
@@ -0,0 +1,81 @@
+// src/data/calendar.js
+// Deadline calendar (src/pages/Calendar.jsx): every task and project of the
+// user with a deadline, placed on its local calendar day ("YYYY-MM-DD", see
+// toDayKey in analytics.js). Weeks start on Monday like the Dashboard charts.
+//
+// Task deadlines are stored as "YYYY-MM-DD"; project deadlines as the ISO
+// string of that day (saveProject in Projects.jsx), so only the date part is
+// read and written back.
+import { toDayKey, atLocalTime, deadlineDay } from "./analytics.js";
+
+export const CALENDAR_MODES = ["month", "week"];
+export const WEEKDAY_LABELS = ["Sen", "Sel", "Rab", "Kam", "Jum", "Sab", "Min"];
+
+// noon avoids DST edges when stepping whole days
+const atNoon = (dayKey) => atLocalTime(dayKey, 12);
+
+export function addDays(dayKey, n) {
+  const d = atNoon(dayKey);
+  d.setDate(d.getDate() + n);
+  return toDayKey(d);
+}
+
+export function startOfWeek(dayKey) {
+  const d = atNoon(dayKey);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return toDayKey(d);
+}
+
+/** the days shown for `anchor`: 7 for a week, whole weeks covering the month otherwise */
+export function visibleDays(anchor, mode) {
+  const first = mode === "week" ? startOfWeek(anchor) : startOfWeek(`${anchor.slice(0, 7)}-01`);
+  let count = 7;
+  if (mode !== "week") {
+    const d = atNoon(anchor);
+    const lastOfMonth = toDayKey(new Date(d.getFullYear(), d.getMonth() + 1, 0, 12));
+    while (addDays(first, count - 1) < lastOfMonth) count += 7;
+  }
+  return Array.from({ length: count }, (_, i) => addDays(first, i));
+}
+
+/** anchor moved one period back (-1) or forward (+1) */
+export function shiftAnchor(anchor, mode, step) {
+  if (mode === "week") return addDays(anchor, 7 * step);
+  const d = atNoon(`${anchor.slice(0, 7)}-01`);
+  d.setMonth(d.getMonth() + step);
+  return toDayKey(d);
+}
+
+/**
+ * @typedef {Object} CalendarItem
+ * @property {string} key        unique across kinds ("task:<project>:<id>" / "project:<id>")
+ * @property {"task"|"project"} kind
+ * @property {string|number} id
+ * @property {string|null} projectId  the task list's project (tasks only)
+ * @property {string} title
+ * @property {string} day
+ * @property {boolean} done
+ * @property {boolean} overdue    deadline day is before today and not done
+ * @property {string} [priority]
+ */
+
+/** @returns {CalendarItem[]} sorted by day, projects before tasks */
+export function calendarItems(tasks, projects, today = toDayKey(new Date())) {
+  const items = [];
+  for (const p of projects) {
+    const day = deadlineDay(p.deadline);
+    if (!day) continue;
+    const done = p.status === "Completed";
+    items.push({ key: `project:${p.id}`, kind: "project", id: p.id, projectId: null, title: p.name, day, done, overdue: !done && day < today });
+  }
+  for (const t of tasks) {
+    const day = deadlineDay(t.deadline);
+    if (!day) continue;
+    const done = t.status === "completed";
+    items.push({ key: `task:${t.projectId ?? ""}:${t.id}`, kind: "task", id: t.id, projectId: t.projectId ?? null, title: t.title, day, done, overdue: !done && day < today, priority: t.priority });
+  }
+  return items.sort((a, b) => a.day.localeCompare(b.day) || (a.kind === b.kind ? 0 : a.kind === "project" ? -1 : 1));
+}
+
+/** new stored deadline for an item moved to `day` (keeps each kind's format) */
+export const rescheduledDeadline = (kind, day) => (kind === "project" ? new Date(day).toISOString() : day);
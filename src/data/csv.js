@@ -0,0 +1,222 @@
+// src/data/csv.js
+// CSV export/import for tasks and projects (spreadsheet reporting). Export
+// columns are fixed per record type. Imports are parsed here, mapped to record
+// fields by the user (src/components/CsvMapping.jsx), and then go through the
+// same validators and merge plan as JSON imports.
+import { IMPORT_LIMITS, PROJECT_TYPES } from "./validators.js";
+import { projectProgress } from "./subprojects.js";
+
+/* ---------- writing ---------- */
+// cells a spreadsheet app would run as a formula get a ' prefix (stripped again
+// by cleanCell on import): = + @ tab CR, and - unless a space or digit follows,
+// so notes like "- catatan" and negative numbers are written as they are
+const FORMULA_START = /^(?:[=+@\t\r]|-(?![\s\d]|$))/;
+
+function quote(value) {
+  let s = value == null ? "" : String(value);
+  if (FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * @param {Object[]} rows
+ * @param {{ header: string, value: (row: Object, ctx: Object) => * }[]} columns
+ * @param {Object} [ctx]  passed to every column's value()
+ * @returns {string} CSV text with a UTF-8 BOM so spreadsheet apps detect the encoding
+ */
+export function toCsv(rows, columns, ctx = {}) {
+  const lines = [columns.map((c) => quote(c.header)).join(",")];
+  for (const row of rows) lines.push(columns.map((c) => quote(c.value(row, ctx))).join(","));
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+/* ---------- reading ---------- */
+// spreadsheets in comma-decimal locales save with ";"
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const count = (ch) => firstLine.split(ch).length - 1;
+  return count(";") > count(",") ? ";" : ",";
+}
+
+/** RFC 4180 parser (quoted fields, "" escapes, CRLF/LF, newlines inside quotes) -> rows of cells; blank rows dropped */
+export function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch !== '"') field += ch;
+      else if (src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else inQuotes = false;
+    } else if (ch === '"') inQuotes = true;
+    else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+/** Read a File as CSV. Resolves { table } (rows of cells) or { error }. */
+export function readCsvFile(file) {
+  return new Promise((resolve) => {
+    if (!file) return resolve({ error: "Tidak ada file." });
+    if (file.size > IMPORT_LIMITS.fileBytes) {
+      return resolve({ error: `File terlalu besar (maks ${Math.round(IMPORT_LIMITS.fileBytes / 1024 / 1024)}MB).` });
+    }
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      const table = parseCsv(ev.target.result);
+      resolve(table.length ? { table } : { error: "File CSV kosong." });
+    };
+    reader.onerror = () => resolve({ error: "File tidak bisa dibaca." });
+    reader.readAsText(file);
+  });
+}
+
+export const isCsvFile = (file) => /\.csv$/i.test(file?.name || "") || file?.type === "text/csv";
+
+/* ---------- cell normalisers ---------- */
+const cleanCell = (v) => {
+  const s = String(v ?? "").trim();
+  return s.startsWith("'") && FORMULA_START.test(s.slice(1)) ? s.slice(1) : s;
+};
+const squash = (v) => v.toLowerCase().replace(/[\s_-]+/g, "");
+
+// YYYY-MM-DD, or D/M/YYYY and D-M-YYYY as typed in Indonesian spreadsheets
+function toIsoDay(v) {
+  const dmy = v.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dmy) return `${dmy[3]}-${dmy[2].padStart(2, "0")}-${dmy[1].padStart(2, "0")}`;
+  return v.slice(0, 10);
+}
+
+const TASK_STATUS_ALIASES = { pending: "pending", todo: "pending", inprogress: "inprogress", doing: "inprogress", completed: "completed", done: "completed", selesai: "completed" };
+const PROJECT_STATUS_ALIASES = { inprogress: "In Progress", active: "In Progress", completed: "Completed", done: "Completed", selesai: "Completed" };
+
+/* ---------- record types ---------- */
+/**
+ * @typedef {Object} CsvField
+ * @property {string} key        record field
+ * @property {string} label
+ * @property {boolean} [required]
+ * @property {string[]} [aliases] header names matched automatically (lowercase)
+ * @property {(v: string) => *} [normalize]
+ */
+
+// "done/total (pct%)"; pct is the weighted progress
+const subprojectProgress = (p) => {
+  const subs = p.subprojects || [];
+  if (!subs.length) return "";
+  const done = subs.filter((s) => s.status === "Completed").length;
+  return `${done}/${subs.length} (${projectProgress(p)}%)`;
+};
+
+export const TASK_CSV = {
+  columns: [
+    { header: "id", value: (t) => t.id },
+    { header: "title", value: (t) => t.title },
+    { header: "description", value: (t) => t.description },
+    { header: "deadline", value: (t) => t.deadline },
+    { header: "priority", value: (t) => t.priority },
+    { header: "status", value: (t) => t.status },
+    { header: "project", value: (t, ctx) => ctx.projectName || "" },
+  ],
+  /** @type {CsvField[]} */
+  fields: [
+    { key: "id", label: "ID", aliases: ["id"] },
+    { key: "title", label: "Title", required: true, aliases: ["title", "judul", "task", "tugas", "name"] },
+    { key: "description", label: "Description", aliases: ["description", "deskripsi", "desc", "notes"] },
+    { key: "deadline", label: "Deadline", aliases: ["deadline", "due", "due date", "tenggat"], normalize: toIsoDay },
+    { key: "priority", label: "Priority", aliases: ["priority", "prioritas"], normalize: (v) => v.toLowerCase() },
+    { key: "status", label: "Status", aliases: ["status"], normalize: (v) => TASK_STATUS_ALIASES[squash(v)] || v },
+  ],
+};
+
+export const PROJECT_CSV = {
+  columns: [
+    { header: "id", value: (p) => p.id },
+    { header: "name", value: (p) => p.name },
+    { header: "type", value: (p) => p.type },
+    { header: "tech", value: (p) => p.tech },
+    { header: "status", value: (p) => p.status },
+    { header: "deadline", value: (p) => p.deadline },
+    { header: "subproject progress", value: subprojectProgress },
+  ],
+  /** @type {CsvField[]} */
+  fields: [
+    { key: "id", label: "ID", aliases: ["id"] },
+    { key: "name", label: "Name", required: true, aliases: ["name", "nama", "project", "project name"] },
+    { key: "description", label: "Description", aliases: ["description", "deskripsi", "desc"] },
+    {
+      key: "type",
+      label: "Type",
+      aliases: ["type", "tipe", "jenis"],
+      normalize: (v) => PROJECT_TYPES.find((t) => t.toLowerCase() === v.toLowerCase()) || v,
+    },
+    { key: "tech", label: "Tech", aliases: ["tech", "stack", "tech stack", "teknologi"] },
+    { key: "status", label: "Status", aliases: ["status"], normalize: (v) => PROJECT_STATUS_ALIASES[squash(v)] || v },
+    { key: "deadline", label: "Deadline", aliases: ["deadline", "due", "due date", "tenggat"], normalize: toIsoDay },
+  ],
+};
+
+/* ---------- mapping ---------- */
+/** header row -> { fieldKey: columnIndex } (-1 = not mapped) by field key, label or alias */
+export function guessMapping(headers, fields) {
+  const names = headers.map((h) => cleanCell(h).toLowerCase());
+  const mapping = {};
+  for (const f of fields) {
+    const candidates = [f.key.toLowerCase(), f.label.toLowerCase(), ...(f.aliases || [])];
+    mapping[f.key] = names.findIndex((n) => candidates.includes(n));
+  }
+  return mapping;
+}
+
+/**
+ * Table rows -> plain records holding only mapped, non-empty cells (normalised).
+ * Rows without an id get one from makeId so they can be validated and merged.
+ */
+export function mapRows(table, mapping, { fields, hasHeader = true, makeId }) {
+  const rows = hasHeader ? table.slice(1) : table;
+  return rows.map((cells, i) => {
+    const record = {};
+    for (const f of fields) {
+      const col = mapping[f.key];
+      if (col == null || col < 0) continue;
+      const value = cleanCell(cells[col]);
+      if (value !== "") record[f.key] = f.normalize ? f.normalize(value) : value;
+    }
+    if (record.id == null && makeId) record.id = makeId(i);
+    return record;
+  });
+}
+
+/**
+ * CSV rows only carry the mapped columns: lay rows whose id exists locally over
+ * the local record so unmapped fields (subprojects, history, timestamps) survive.
+ * The local id is kept as-is (ids read from CSV are strings). A row without a
+ * timestamp of its own counts as edited `now`, so the review offers its changes
+ * as updates instead of conflicts that keep the local record.
+ */
+export function overlayLocal(records, localList, now = new Date().toISOString()) {
+  const byId = new Map(localList.map((r) => [String(r.id), r]));
+  return records.map((r) => {
+    const local = byId.get(String(r.id));
+    return local ? { ...local, ...r, id: local.id, updatedAt: r.updatedAt || now } : r;
+  });
+}
@@ -0,0 +1,47 @@
+// src/data/csv.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv, parseCsv, mapRows, overlayLocal } from "./csv.js";
+import { planImport, TASK_MERGE_FIELDS } from "./importMerge.js";
+
+const columns = [
+  { header: "id", value: (r) => r.id },
+  { header: "title", value: (r) => r.title },
+];
+
+test("quoted cells, commas and line breaks survive a round trip", () => {
+  const rows = [{ id: 1, title: 'Rapat, "penting"' }, { id: 2, title: "baris 1\nbaris 2" }];
+  assert.deepEqual(parseCsv(toCsv(rows, columns)), [["id", "title"], ["1", 'Rapat, "penting"'], ["2", "baris 1\nbaris 2"]]);
+});
+
+test("semicolon files from comma-decimal locales are detected", () => {
+  assert.deepEqual(parseCsv("id;title\r\n1;Halo, dunia\r\n\r\n"), [["id", "title"], ["1", "Halo, dunia"]]);
+});
+
+test("mapped rows without a timestamp are offered as updates, not conflicts", () => {
+  const local = [
+    { id: 1, title: "Old title", status: "pending", updatedAt: "2026-10-01T08:00:00.000Z" },
+    { id: 2, title: "Same", status: "pending", updatedAt: "2026-10-01T08:00:00.000Z" },
+    { id: 3, title: "Edited here", status: "pending", updatedAt: "2026-10-18T08:00:00.000Z" },
+  ];
+  const rows = [
+    { id: "1", title: "New title" },
+    { id: "2", title: "Same" },
+    { id: "3", title: "From file", updatedAt: "2026-10-02T08:00:00.000Z" },
+  ];
+  const plan = planImport(local, overlayLocal(rows, local, "2026-10-19T08:00:00.000Z"), { fields: TASK_MERGE_FIELDS });
+  assert.deepEqual(plan.map((p) => [p.kind, p.resolution]), [["updated", "incoming"], ["unchanged", "local"], ["conflicting", "local"]]);
+});
+
+const cellsOf = (titles) => parseCsv(toCsv(titles.map((title, id) => ({ id, title })), columns)).slice(1).map((r) => r[1]);
+
+test("cells a spreadsheet would run as a formula are prefixed with '", () => {
+  assert.deepEqual(cellsOf(["=SUM(A1:A9)", "+1", "@cmd", "-A1", "-cmd|' /C calc'!A0"]), ["'=SUM(A1:A9)", "'+1", "'@cmd", "'-A1", "'-cmd|' /C calc'!A0"]);
+  const fields = [{ key: "id" }, { key: "title" }];
+  const table = parseCsv(toCsv([{ id: 1, title: "=1+1" }], columns));
+  assert.equal(mapRows(table, { id: 0, title: 1 }, { fields })[0].title, "=1+1");
+});
+
+test("notes and negative numbers starting with - are written as they are", () => {
+  assert.deepEqual(cellsOf(["- catatan", "-5", "-0.25", "-", "'-5"]), ["- catatan", "-5", "-0.25", "-", "'-5"]);
+});
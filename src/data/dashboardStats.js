@@ -0,0 +1,69 @@
+// src/data/dashboardStats.js
+// Pure aggregation behind the Dashboard numbers. Inputs come from
+// loadProjects(userId) and loadAllTasks(userId) (src/data/db.js), so every
+// task list the user owns is counted: tasks_<user> and tasks_<user>_<project>.
+import { deadlineEnd } from "./analytics.js";
+import { computeProductivity } from "./productivity.js";
+
+const isProjectDone = (p) => String(p?.status || "").toLowerCase() === "completed";
+const isTaskDone = (t) => ["done", "completed"].includes(String(t?.status || "").toLowerCase());
+
+// a deadline counts until the end of that day, same as Tasks.jsx
+export function isOverdue(task, now = new Date()) {
+  const end = deadlineEnd(task);
+  return end != null && !isTaskDone(task) && end < now.getTime();
+}
+
+// equal apart from computedAt, i.e. saving `next` would change nothing
+export function sameStats(a, b) {
+  if (!a || !b) return false;
+  const { computedAt: _a, ...restA } = a;
+  const { computedAt: _b, ...restB } = b;
+  return JSON.stringify(restA) === JSON.stringify(restB);
+}
+
+const rate = (done, total) => Math.round((done / Math.max(total, 1)) * 100);
+
+/**
+ * @param {import("./db.js").Project[]} projects
+ * @param {(import("./db.js").Task & { projectId: string|null })[]} tasks
+ * @param {Object} [scoring]  the user's settings.scoring (see src/data/productivity.js)
+ * @param {Date} [now]
+ */
+export function computeDashboardStats(projects = [], tasks = [], scoring, now = new Date()) {
+  const totalProjects = projects.length;
+  const completedProjects = projects.filter(isProjectDone).length;
+  const totalTasks = tasks.length;
+  const completedTasks = tasks.filter(isTaskDone).length;
+  const overdueTasks = tasks.filter((t) => isOverdue(t, now)).length;
+
+  // per-project breakdown; tasks without a project are grouped under projectId null
+  const byProject = new Map(projects.map((p) => [String(p.id), { projectId: String(p.id), name: p.name, total: 0, completed: 0, overdue: 0 }]));
+  for (const t of tasks) {
+    const id = t.projectId == null ? null : String(t.projectId);
+    const key = id ?? "";
+    if (!byProject.has(key)) byProject.set(key, { projectId: id, name: id ? id : "Tanpa project", total: 0, completed: 0, overdue: 0 });
+    const row = byProject.get(key);
+    row.total++;
+    if (isTaskDone(t)) row.completed++;
+    if (isOverdue(t, now)) row.overdue++;
+  }
+
+  const { score, config: _config, ...productivityBreakdown } = computeProductivity(tasks, scoring, now);
+
+  return {
+    totalProjects,
+    completedProjects,
+    activeProjects: totalProjects - completedProjects,
+    totalTasks,
+    completedTasks,
+    pendingTasks: totalTasks - completedTasks,
+    overdueTasks,
+    projectCompletionRate: rate(completedProjects, totalProjects),
+    taskCompletionRate: rate(completedTasks, totalTasks),
+    productivityScore: score,
+    productivityBreakdown,
+    byProject: [...byProject.values()].map((r) => ({ ...r, completionRate: rate(r.completed, r.total) })),
+    computedAt: now.toISOString(),
+  };
+}
@@ -1,11 +1,102 @@
 // src/data/db.js
-import { loadData, saveData } from "../utils/initStorage.js";
+// Repository layer — every page reads and writes app data through these
+// helpers, so key naming, error handling and change notification live here.
+import { loadData, saveData, removeData, listKeys, subscribeData, notify } from "./initStorage.js";
+import { saveImage, getAllImages, getImage, getImagesByOwner, deleteImage } from "../lib/db.js";
 
+/**
+ * @typedef {Object} Subproject
+ * @property {string|number} id
+ * @property {string} name
+ * @property {string} status  "In Progress" | "Completed"
+ * @property {string} deadline  yyyy-mm-dd or ""
+ * @property {string} owner     free text (who is responsible)
+ * @property {string} notes
+ * @property {number} weight    share of the project progress, 0..10 (see subprojects.js)
+ *
+ * @typedef {Object} Project
+ * @property {string|number} id
+ * @property {string} name
+ * @property {string} description
+ * @property {string} type    Web | Mobile | Desktop | Game | IoT | AI
+ * @property {string} tech
+ * @property {string} status  "In Progress" | "Completed"
+ * @property {Subproject[]} subprojects  in display order
+ * @property {string} deadline  ISO string or ""
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ *
+ * @typedef {Object} Task
+ * @property {string} id
+ * @property {string} title
+ * @property {string} description
+ * @property {string} deadline  yyyy-mm-dd or ""
+ * @property {string} priority  low | medium | high
+ * @property {string} status    pending | inprogress | completed
+ * @property {{ status: string, at: string }[]} [statusHistory]  every status change, oldest first
+ * @property {string|number|null} projectId
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ *
+ * @typedef {Object} GalleryEntry
+ * @property {string} id
+ * @property {string} type   project | task | manual
+ * @property {string|null} refId
+ * @property {string|null} ownerId  user the entry belongs to
+ * @property {string} title
+ * @property {string} description
+ * @property {Blob|null} blob  image data (stored in IndexedDB)
+ * @property {string} [url]    remote image for entries that were never a data URL
+ * @property {string} createdAt
+ * @property {string} [updatedAt]  set when title/description are edited
+ *
+ * @typedef {Object} ActivityEvent
+ * @property {string} id
+ * @property {string} timestamp   ISO string
+ * @property {string|null} actor  user id that caused it
+ * @property {string} entityType  project | task | gallery | note
+ * @property {string|null} entityId
+ * @property {string} action      created | updated | deleted | completed | reopened | uploaded | noted
+ * @property {Object} payload     display data captured at the time (name, title, status, text...)
+ */
+
+// legacy localStorage key; entries now live in the IndexedDB store (src/lib/db.js)
+export const KEY_GALLERY = "gallery";
+export const KEY_STATS = "dashboardStats";
+export const KEY_ACTIVITY = "activityLog";
+// oldest events are dropped past this many
+export const ACTIVITY_LIMIT = 500;
+export const SETTINGS_GLOBAL_KEY = "settings_global";
+
+export const DEFAULT_SETTINGS = {
+  theme: "system",
+  accentColor: "blue",
+  customAccent: "",
+  font: "inter",
+  fontSize: 16,
+};
+
+export const DEFAULT_STATS = {
+  totalProjects: 0,
+  completedProjects: 0,
+  activeProjects: 0,
+  totalTasks: 0,
+  completedTasks: 0,
+  pendingTasks: 0,
+  overdueTasks: 0,
+  projectCompletionRate: 0,
+  taskCompletionRate: 0,
+  byProject: [],
+  productivityScore: 0,
+};
+
+/* ---------- keys ---------- */
+// Projects, tasks, settings, profile, dashboard stats and gallery entries all
+// belong to one user; the un-suffixed keys only remain for logged-out fallbacks.
 export function getKeyUserPrefix(userId) {
   return userId ? `${userId}_` : "";
 }
 
-// convenience: return projects key (global for now)
 export function getProjectsKey(userId) {
   return userId ? `projects_${userId}` : "projects";
 }
@@ -15,16 +106,303 @@ export function getTasksKey(userId, projectId = null) {
   return projectId ? `tasks_${projectId}` : "tasks_global";
 }
 
-// simple wrappers
+export function getSettingsKey(userId) {
+  return userId ? `settings_${userId}` : SETTINGS_GLOBAL_KEY;
+}
+
+export function getProfileKey(userId) {
+  return userId ? `userProfile_${userId}` : null;
+}
+
+export function getStatsKey(userId) {
+  return userId ? `${KEY_STATS}_${userId}` : KEY_STATS;
+}
+
+export function getActivityKey(userId) {
+  return userId ? `${KEY_ACTIVITY}_${userId}` : KEY_ACTIVITY;
+}
+
+/* ---------- list helpers ---------- */
+const sameId = (a, b) => String(a) === String(b);
+
+function loadList(key) {
+  const v = loadData(key);
+  return Array.isArray(v) ? v : [];
+}
+
+// replace the record with the same id, or prepend it when new
+function upsertIn(list, record) {
+  const idx = list.findIndex((x) => sameId(x.id, record.id));
+  if (idx < 0) return [record, ...list];
+  const copy = list.slice();
+  copy[idx] = record;
+  return copy;
+}
+
+/* ---------- projects ---------- */
+/** @returns {Project[]} */
 export function loadProjects(userId) {
-  return loadData(getProjectsKey(userId)) || [];
+  return loadList(getProjectsKey(userId));
 }
+/** @param {Project[]} projects */
 export function saveProjects(userId, projects) {
   return saveData(getProjectsKey(userId), projects);
 }
+/** @returns {Project|null} */
+export function getProject(userId, id) {
+  return loadProjects(userId).find((p) => sameId(p.id, id)) || null;
+}
+/** @param {Project} project */
+export function upsertProject(userId, project) {
+  return saveProjects(userId, upsertIn(loadProjects(userId), project));
+}
+// the project's task list goes with it (the Dashboard would list it under the raw id)
+export function removeProject(userId, id) {
+  removeTaskList(userId, id);
+  return saveProjects(userId, loadProjects(userId).filter((p) => !sameId(p.id, id)));
+}
+
+/* ---------- tasks ---------- */
+/** @returns {Task[]} */
 export function loadTasks(userId, projectId) {
-  return loadData(getTasksKey(userId, projectId)) || [];
+  return loadList(getTasksKey(userId, projectId));
 }
+/** @param {Task[]} tasks */
 export function saveTasks(userId, projectId, tasks) {
   return saveData(getTasksKey(userId, projectId), tasks);
 }
+/** @param {Task} task */
+export function upsertTask(userId, projectId, task) {
+  return saveTasks(userId, projectId, upsertIn(loadTasks(userId, projectId), task));
+}
+export function removeTask(userId, projectId, id) {
+  return saveTasks(userId, projectId, loadTasks(userId, projectId).filter((t) => !sameId(t.id, id)));
+}
+/** drop a project's whole task list (the global list has no project and is kept) */
+export function removeTaskList(userId, projectId) {
+  return projectId == null || projectId === "" ? false : removeData(getTasksKey(userId, projectId));
+}
+
+/**
+ * Return `task` with `status` applied: updatedAt bumped and the change appended
+ * to statusHistory (the Dashboard charts read it). A first history entry for
+ * the previous status is added when the task has none yet.
+ * @returns {Task}
+ */
+export function applyTaskStatus(task, status, at = new Date().toISOString()) {
+  const history = Array.isArray(task.statusHistory) && task.statusHistory.length
+    ? task.statusHistory
+    : [{ status: task.status || "pending", at: task.createdAt || at }];
+  if (task.status === status) return { ...task, statusHistory: history };
+  return { ...task, status, updatedAt: at, statusHistory: [...history, { status, at }] };
+}
+
+// is `key` one of the user's task lists: tasks_<id> or tasks_<id>_<project>
+export function isUserTaskKey(userId, key) {
+  if (!userId || !key) return false;
+  const base = getTasksKey(userId);
+  return key === base || key.startsWith(`${base}_`);
+}
+
+export function getUserTaskKeys(userId) {
+  return listKeys().filter((k) => isUserTaskKey(userId, k));
+}
+
+/** @returns {(Task & { projectId: string|null })[]} all of the user's tasks, tagged with their list's project */
+export function loadAllTasks(userId) {
+  const base = getTasksKey(userId);
+  return getUserTaskKeys(userId).flatMap((k) => {
+    const projectId = k === base ? null : k.slice(base.length + 1);
+    return loadList(k).map((t) => ({ ...t, projectId }));
+  });
+}
+
+/* ---------- gallery (IndexedDB) ---------- */
+export async function dataUrlToBlob(dataUrl) {
+  const res = await fetch(dataUrl);
+  return res.blob();
+}
+
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// entry.image may be a Blob/File, a data URL or a plain URL; entry.blob wins
+async function toImageRecord(entry, ownerId = entry.ownerId) {
+  const { image, blob, refId, ...rest } = entry;
+  const record = {
+    ...rest,
+    id: String(entry.id),
+    ownerId: ownerId == null ? null : String(ownerId),
+    relatedId: refId == null || refId === "" ? null : String(refId),
+    createdAt: entry.createdAt || new Date().toISOString(),
+    blob: null,
+  };
+  if (blob instanceof Blob) record.blob = blob;
+  else if (image instanceof Blob) record.blob = image;
+  else if (typeof image === "string" && image.startsWith("data:")) record.blob = await dataUrlToBlob(image);
+  else if (typeof image === "string" && image && !image.startsWith("blob:")) record.url = image;
+  return record;
+}
+
+/** @returns {GalleryEntry} */
+function fromImageRecord(record) {
+  const { relatedId, ...rest } = record;
+  return { ...rest, refId: relatedId ?? null };
+}
+
+// One-time move of the old base64 "gallery" array into IndexedDB
+// (registered in src/data/migrations.js). The localStorage key is only
+// removed once every entry has been written; without IndexedDB it stays.
+export async function migrateLegacyGallery(store = { get: loadData, remove: removeData }) {
+  if (typeof indexedDB === "undefined") return 0;
+  const legacy = store.get(KEY_GALLERY);
+  if (!Array.isArray(legacy)) return 0;
+  for (const entry of legacy) {
+    if (entry && entry.id != null) await saveImage(await toImageRecord(entry));
+  }
+  store.remove(KEY_GALLERY);
+  console.info(`[db] Migrated ${legacy.length} gallery entries to IndexedDB`);
+  return legacy.length;
+}
+
+// Give every entry without an owner to `ownerId` (registered in src/data/migrations.js)
+export async function assignGalleryOwner(ownerId) {
+  if (typeof indexedDB === "undefined") return 0;
+  const orphans = (await getAllImages()).filter((r) => r.ownerId == null);
+  for (const r of orphans) await saveImage({ ...r, ownerId: String(ownerId) });
+  return orphans.length;
+}
+
+/** @returns {Promise<GalleryEntry[]>} the user's entries */
+export async function loadGallery(userId) {
+  if (!userId) return [];
+  return (await getImagesByOwner(String(userId))).map(fromImageRecord);
+}
+/**
+ * Image ids are global in IndexedDB, so an id that already belongs to another
+ * account is never overwritten: the entry is stored under a fresh id instead.
+ * `images` is the IndexedDB store (swapped in tests).
+ * @returns {Promise<GalleryEntry>} the stored entry (image converted to a Blob, id as saved)
+ */
+export async function saveGalleryEntry(userId, entry, images = { get: getImage, put: saveImage }) {
+  if (!userId) throw new Error("saveGalleryEntry: no user");
+  const clash = await images.get(String(entry.id));
+  const id = clash && String(clash.ownerId) !== String(userId) ? `${entry.id}_${Date.now().toString(36)}` : entry.id;
+  const record = await toImageRecord({ ...entry, id }, userId);
+  await images.put(record);
+  notify(KEY_GALLERY, { broadcast: true });
+  return fromImageRecord(record);
+}
+export async function removeGalleryEntry(userId, id) {
+  const record = await getImage(String(id));
+  if (!record) return false;
+  if (String(record.ownerId) !== String(userId)) throw new Error("removeGalleryEntry: not the owner");
+  await deleteImage(String(id));
+  notify(KEY_GALLERY, { broadcast: true });
+  return true;
+}
+
+/* ---------- settings ---------- */
+// fallback is returned untouched when nothing is stored (pass null to detect absence)
+export function loadSettings(userId, fallback = DEFAULT_SETTINGS) {
+  const stored = loadData(getSettingsKey(userId));
+  if (!stored || typeof stored !== "object") return fallback;
+  return { ...DEFAULT_SETTINGS, ...stored };
+}
+export function saveSettings(userId, settings) {
+  return saveData(getSettingsKey(userId), settings);
+}
+export function updateSettings(userId, patch) {
+  return saveSettings(userId, { ...(loadData(getSettingsKey(userId)) || {}), ...patch });
+}
+
+/* ---------- profile ---------- */
+export function loadProfile(userId, fallback = null) {
+  const key = getProfileKey(userId);
+  return (key && loadData(key)) || fallback;
+}
+export function saveProfile(userId, profile) {
+  const key = getProfileKey(userId);
+  return key ? saveData(key, profile) : false;
+}
+export function removeProfile(userId) {
+  const key = getProfileKey(userId);
+  return key ? removeData(key) : false;
+}
+
+/* ---------- per-user data ---------- */
+// every key that belongs to one user: tasks_<id>[_<project>], projects_<id>,
+// settings_<id>, userProfile_<id>, dashboardStats_<id>, activityLog_<id>
+export function getUserDataKeys(userId) {
+  if (!userId) return [];
+  const exact = [getProjectsKey(userId), getSettingsKey(userId), getProfileKey(userId), getStatsKey(userId), getActivityKey(userId)];
+  return [...listKeys().filter((k) => exact.includes(k)), ...getUserTaskKeys(userId)];
+}
+
+/** Remove a user's stored data and gallery entries; resolves with the keys removed. */
+export async function purgeUserData(userId) {
+  const keys = getUserDataKeys(userId);
+  keys.forEach((k) => removeData(k));
+  const images = userId ? await getImagesByOwner(String(userId)) : [];
+  for (const r of images) await deleteImage(r.id);
+  if (images.length) notify(KEY_GALLERY, { broadcast: true });
+  return keys;
+}
+
+/* ---------- dashboard stats ---------- */
+export function loadStats(userId) {
+  return loadData(getStatsKey(userId)) || { ...DEFAULT_STATS };
+}
+export function saveStats(userId, stats) {
+  return saveData(getStatsKey(userId), stats);
+}
+
+/* ---------- activity log ---------- */
+/** @returns {ActivityEvent[]} newest first */
+export function loadActivityLog(userId) {
+  return loadList(getActivityKey(userId));
+}
+/**
+ * Record what a user just did. Pages call this from their handlers after the
+ * change is applied, e.g. logActivity(uid, { entityType: "task", entityId, action: "created", payload: { title } }).
+ * @returns {ActivityEvent}
+ */
+export function logActivity(userId, { entityType, entityId = null, action, payload = {} }) {
+  const event = {
+    id: `a_${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`,
+    timestamp: new Date().toISOString(),
+    actor: userId ?? null,
+    entityType,
+    entityId: entityId == null ? null : String(entityId),
+    action,
+    payload,
+  };
+  saveData(getActivityKey(userId), [event, ...loadActivityLog(userId)].slice(0, ACTIVITY_LIMIT));
+  return event;
+}
+export function clearActivityLog(userId) {
+  return saveData(getActivityKey(userId), []);
+}
+
+/* ---------- change notification ---------- */
+// subscribe(listener) -> unsubscribe; listener receives (key, { remote })
+export { subscribeData as subscribe };
+
+/**
+ * findConflict - has the record an edit started from (`base`) been changed or
+ * deleted since, e.g. by another tab? Compares updatedAt against `latest`.
+ * @returns {null | { type: "modified" | "deleted", latest: Object|null }}
+ */
+export function findConflict(base, latestList) {
+  if (!base) return null;
+  const latest = (latestList || []).find((x) => sameId(x.id, base.id)) || null;
+  if (!latest) return { type: "deleted", latest: null };
+  if ((latest.updatedAt || "") !== (base.updatedAt || "")) return { type: "modified", latest };
+  return null;
+}
@@ -0,0 +1,36 @@
+// src/data/db.test.js
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+
+// the repository layer expects a browser; gallery writes go to an in-memory store
+let saveGalleryEntry;
+before(async () => {
+  globalThis.localStorage = { getItem: () => null, setItem() {}, removeItem() {}, key: () => null, length: 0 };
+  globalThis.BroadcastChannel = undefined;
+  ({ saveGalleryEntry } = await import("./db.js"));
+});
+
+const memoryImages = () => {
+  const rows = new Map();
+  return { rows, get: async (id) => rows.get(id) ?? null, put: async (r) => void rows.set(r.id, r) };
+};
+
+test("an entry id owned by another user is saved under a new id", async () => {
+  const images = memoryImages();
+  await saveGalleryEntry("alice", { id: "g1", title: "Alice's", image: "https://example.com/a.png" }, images);
+  const saved = await saveGalleryEntry("bob", { id: "g1", title: "Bob's", image: "https://example.com/b.png" }, images);
+
+  assert.notEqual(saved.id, "g1");
+  assert.equal(images.rows.get("g1").ownerId, "alice");
+  assert.equal(images.rows.get("g1").title, "Alice's");
+  assert.equal(images.rows.get(saved.id).ownerId, "bob");
+});
+
+test("the owner keeps updating the entry under its own id", async () => {
+  const images = memoryImages();
+  await saveGalleryEntry("alice", { id: "g1", title: "v1", image: "https://example.com/a.png" }, images);
+  const saved = await saveGalleryEntry("alice", { id: "g1", title: "v2", image: "https://example.com/a.png" }, images);
+  assert.equal(saved.id, "g1");
+  assert.deepEqual([...images.rows.keys()], ["g1"]);
+  assert.equal(images.rows.get("g1").title, "v2");
+});
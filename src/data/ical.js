@@ -0,0 +1,288 @@
+// src/data/ical.js
+// iCalendar (RFC 5545) export and import of deadlines, so they show up in
+// desktop calendar apps without any online service.
+//
+// Export: one all-day component per task/project with a deadline. Projects are
+// VEVENTs; tasks are VEVENTs (shown by every calendar app) or VTODOs (to-do
+// apps). UIDs are stable — task/<project>/<id>@astrava (project empty for the
+// global list) and project/<id>@astrava, each part URI-encoded so ids holding
+// "-" or "/" split back unambiguously — so re-exporting updates the events
+// instead of duplicating them. Task status and priority also travel as
+// X-ASTRAVA-* properties because VEVENT has no place for them.
+//
+// Import: VEVENT and VTODO components become task records for the Tasks list
+// being imported into, which validates and reviews them like a JSON import.
+// Our own task UIDs map back to the original task id; tasks exported from
+// another list (another project, or the global list) are skipped rather than
+// copied in. Other UIDs get a stable "ics-" id so importing the same file twice
+// updates instead of duplicating. Our project events are skipped.
+import { IMPORT_LIMITS } from "./validators.js";
+import { toDayKey, deadlineDay } from "./analytics.js";
+
+export const ICS_DOMAIN = "astrava";
+const PRODID = "-//Astrava//Deadlines//ID";
+
+const enc = (v) => encodeURIComponent(String(v));
+export const taskUid = (task, projectId) => `task/${projectId == null ? "" : enc(projectId)}/${enc(task.id)}@${ICS_DOMAIN}`;
+export const projectUid = (project) => `project/${enc(project.id)}@${ICS_DOMAIN}`;
+
+const OWN_TASK = new RegExp(`^task/([^/]*)/([^/]+)@${ICS_DOMAIN}$`);
+const OWN_PROJECT = new RegExp(`^project/([^/]+)@${ICS_DOMAIN}$`);
+// files exported before the UIDs were encoded: task-<numeric project|global>-<id>
+const OWN_TASK_V1 = new RegExp(`^task-(\\d+|global)-(.+)@${ICS_DOMAIN}$`);
+const OWN_PROJECT_V1 = new RegExp(`^project-(.+)@${ICS_DOMAIN}$`);
+
+const decode = (v) => {
+  try {
+    return decodeURIComponent(v);
+  } catch {
+    return v;
+  }
+};
+
+/** our UID -> { kind: "task", projectId, id } | { kind: "project", id }; null for foreign UIDs */
+export function parseUid(uid) {
+  let m = OWN_TASK.exec(uid);
+  if (m) return { kind: "task", projectId: m[1] === "" ? null : decode(m[1]), id: decode(m[2]) };
+  m = OWN_PROJECT.exec(uid);
+  if (m) return { kind: "project", id: decode(m[1]) };
+  m = OWN_TASK_V1.exec(uid);
+  if (m) return { kind: "task", projectId: m[1] === "global" ? null : m[1], id: m[2] };
+  m = OWN_PROJECT_V1.exec(uid);
+  return m ? { kind: "project", id: m[1] } : null;
+}
+
+/* ---------- writing ---------- */
+const escapeText = (v) => String(v ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// content lines are folded at 75 octets; continuation lines start with a space
+function fold(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    if (bytes + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+const compactDay = (day) => day.replace(/-/g, "");
+const utcStamp = (iso) => new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+const nextDay = (day) => {
+  const d = new Date(`${day}T12:00:00`);
+  d.setDate(d.getDate() + 1);
+  return toDayKey(d);
+};
+const validIso = (v) => typeof v === "string" && !Number.isNaN(Date.parse(v));
+
+const TASK_TODO_STATUS = { pending: "NEEDS-ACTION", inprogress: "IN-PROCESS", completed: "COMPLETED" };
+const TASK_PRIORITY = { high: 1, medium: 5, low: 9 };
+
+function component(type, props) {
+  return [`BEGIN:${type}`, ...props.filter(([, v]) => v != null && v !== "").map(([k, v]) => `${k}:${v}`), `END:${type}`];
+}
+
+function common(uid, summary, description, record, now) {
+  return [
+    ["UID", uid],
+    ["DTSTAMP", utcStamp(now)],
+    ["SUMMARY", escapeText(summary)],
+    ["DESCRIPTION", description ? escapeText(description) : null],
+    ["CREATED", validIso(record.createdAt) ? utcStamp(record.createdAt) : null],
+    ["LAST-MODIFIED", validIso(record.updatedAt) ? utcStamp(record.updatedAt) : null],
+  ];
+}
+
+/**
+ * @param {{ tasks?: (import("./db.js").Task & { projectId?: string|null })[], projects?: import("./db.js").Project[],
+ *   tasksAs?: "VEVENT"|"VTODO", now?: string }} input  tasks carry the projectId of their list
+ * @returns {string} the .ics text (items without a deadline are left out)
+ */
+export function toIcs({ tasks = [], projects = [], tasksAs = "VEVENT", now = new Date().toISOString() }) {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN", "X-WR-CALNAME:Astrava deadlines"];
+
+  for (const p of projects) {
+    const day = deadlineDay(p.deadline);
+    if (!day) continue;
+    lines.push(
+      ...component("VEVENT", [
+        ...common(projectUid(p), `📁 ${p.name}`, p.description, p, now),
+        ["DTSTART;VALUE=DATE", compactDay(day)],
+        ["DTEND;VALUE=DATE", compactDay(nextDay(day))],
+        ["TRANSP", "TRANSPARENT"],
+        ["CATEGORIES", "Project"],
+      ])
+    );
+  }
+
+  for (const t of tasks) {
+    const day = deadlineDay(t.deadline);
+    if (!day) continue;
+    const base = [
+      ...common(taskUid(t, t.projectId), t.title, t.description, t, now),
+      ["X-ASTRAVA-STATUS", t.status],
+      ["X-ASTRAVA-PRIORITY", t.priority],
+      ["CATEGORIES", "Task"],
+    ];
+    if (tasksAs === "VTODO") {
+      lines.push(
+        ...component("VTODO", [
+          ...base,
+          ["DUE;VALUE=DATE", compactDay(day)],
+          ["STATUS", TASK_TODO_STATUS[t.status]],
+          ["PRIORITY", TASK_PRIORITY[t.priority]],
+        ])
+      );
+    } else {
+      lines.push(
+        ...component("VEVENT", [
+          ...base,
+          ["DTSTART;VALUE=DATE", compactDay(day)],
+          ["DTEND;VALUE=DATE", compactDay(nextDay(day))],
+          ["TRANSP", "TRANSPARENT"],
+        ])
+      );
+    }
+  }
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(fold).join("\r\n")}\r\n`;
+}
+
+/* ---------- reading ---------- */
+const unescapeText = (v) => v.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+
+/**
+ * .ics text -> components: [{ type: "VEVENT"|"VTODO", props: { NAME: { value, params } } }].
+ * Lines are unfolded first; nested components (VALARM) and everything outside
+ * VEVENT/VTODO are ignored. Repeated properties keep the first value.
+ */
+export function parseIcs(text) {
+  const lines = String(text).replace(/^\uFEFF/, "").replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const components = [];
+  let current = null;
+  let depth = 0; // nesting inside the current component
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const begin = line.match(/^BEGIN:(\w+)/i);
+    const end = line.match(/^END:(\w+)/i);
+    if (begin) {
+      const type = begin[1].toUpperCase();
+      if (!current && (type === "VEVENT" || type === "VTODO")) current = { type, props: {} };
+      else if (current) depth++;
+      continue;
+    }
+    if (end) {
+      if (current && depth > 0) depth--;
+      else if (current && end[1].toUpperCase() === current.type) {
+        components.push(current);
+        current = null;
+      }
+      continue;
+    }
+    if (!current || depth > 0) continue;
+    const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    if (colon < 0) continue;
+    const [name, ...paramParts] = line.slice(0, colon).split(";");
+    const params = Object.fromEntries(paramParts.map((p) => p.split("=")).map(([k, v = ""]) => [k.toUpperCase(), v.replace(/^"|"$/g, "")]));
+    const key = name.toUpperCase();
+    if (!(key in current.props)) current.props[key] = { value: line.slice(colon + 1), params };
+  }
+  return components;
+}
+
+// DATE (YYYYMMDD) or DATE-TIME; UTC times are moved to the local day, floating/TZID ones keep their date
+function icsDay(prop) {
+  const m = prop?.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  if (m[7]) return toDayKey(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]));
+  return `${m[1]}-${m[2]}-${m[3]}`;
+}
+function icsTime(prop) {
+  const m = prop?.value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  return m ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6])).toISOString() : null;
+}
+
+// small stable hash for foreign UIDs (FNV-1a)
+function hashUid(uid) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < uid.length; i++) {
+    h ^= uid.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+const FROM_TODO_STATUS = { "NEEDS-ACTION": "pending", "IN-PROCESS": "inprogress", COMPLETED: "completed" };
+const fromPriority = (n) => (!n ? null : n <= 4 ? "high" : n === 5 ? "medium" : "low");
+
+/**
+ * Components -> plain task records holding only what the file says (the Tasks
+ * page lays them over the local records, like mapped CSV rows).
+ * @param {{ projectId?: string|null }} [target]  the task list being imported into (null = global list)
+ * @returns {{ records: Object[], skippedProjects: number, otherList: number }}
+ *   skippedProjects: our own project events; otherList: our tasks exported from another list
+ */
+export function icsToTasks(components, { projectId = null } = {}) {
+  const records = [];
+  let skippedProjects = 0;
+  let otherList = 0;
+  components.forEach((c, i) => {
+    const p = c.props;
+    const uid = p.UID ? unescapeText(p.UID.value) : "";
+    const own = parseUid(uid);
+    if (own?.kind === "project") {
+      skippedProjects++;
+      return;
+    }
+    if (own && String(own.projectId ?? "") !== String(projectId ?? "")) {
+      otherList++;
+      return;
+    }
+    const record = { id: own ? own.id : uid ? `ics-${hashUid(uid)}` : `ics-${Date.now().toString(36)}-${i}` };
+    if (p.SUMMARY) record.title = unescapeText(p.SUMMARY.value).trim();
+    if (p.DESCRIPTION) record.description = unescapeText(p.DESCRIPTION.value);
+    const day = icsDay(c.type === "VTODO" ? p.DUE || p.DTSTART : p.DTSTART);
+    if (day) record.deadline = day;
+    const status = p["X-ASTRAVA-STATUS"]?.value || FROM_TODO_STATUS[p.STATUS?.value?.toUpperCase()] || (p.COMPLETED ? "completed" : null);
+    if (status) record.status = status;
+    const priority = p["X-ASTRAVA-PRIORITY"]?.value || fromPriority(Number(p.PRIORITY?.value));
+    if (priority) record.priority = priority;
+    const created = icsTime(p.CREATED);
+    const modified = icsTime(p["LAST-MODIFIED"]) || icsTime(p.DTSTAMP);
+    if (created) record.createdAt = created;
+    if (modified) record.updatedAt = modified;
+    records.push(record);
+  });
+  return { records, skippedProjects, otherList };
+}
+
+/** Read a File as iCalendar into the task list `target`. Resolves icsToTasks' result or { error }. */
+export function readIcsFile(file, target) {
+  return new Promise((resolve) => {
+    if (!file) return resolve({ error: "Tidak ada file." });
+    if (file.size > IMPORT_LIMITS.fileBytes) {
+      return resolve({ error: `File terlalu besar (maks ${Math.round(IMPORT_LIMITS.fileBytes / 1024 / 1024)}MB).` });
+    }
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      const text = String(ev.target.result);
+      if (!/BEGIN:VCALENDAR/i.test(text)) return resolve({ error: "Bukan file iCalendar (.ics)." });
+      const components = parseIcs(text);
+      resolve(components.length ? icsToTasks(components, target) : { error: "Tidak ada event atau to-do di file." });
+    };
+    reader.onerror = () => resolve({ error: "File tidak bisa dibaca." });
+    reader.readAsText(file);
+  });
+}
+
+export const isIcsFile = (file) => /\.(ics|ical|ifb)$/i.test(file?.name || "") || file?.type === "text/calendar";
@@ -0,0 +1,51 @@
+// src/data/ical.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toIcs, parseIcs, icsToTasks, parseUid, taskUid } from "./ical.js";
+
+const task = (id, extra = {}) => ({ id, title: `Task ${id}`, deadline: "2026-10-21", status: "inprogress", priority: "high", ...extra });
+const roundTrip = (tasks, target) => icsToTasks(parseIcs(toIcs({ tasks })), target);
+
+test("tasks survive an export/import round trip", () => {
+  const tasks = [{ id: "1", title: "Tulis laporan; bab 1, 2", description: "baris 1\nbaris 2", deadline: "2026-10-21", status: "inprogress", priority: "high" }];
+  const { records } = icsToTasks(parseIcs(toIcs({ tasks })));
+  assert.deepEqual(
+    records.map(({ id, title, description, deadline, status, priority }) => ({ id, title, description, deadline, status, priority })),
+    tasks
+  );
+});
+
+test("task ids and project ids containing '-' survive a round trip", () => {
+  const { records, otherList } = roundTrip([task("171-import-x1", { projectId: "p-1" }), task("123", { projectId: "p-1" })], { projectId: "p-1" });
+  assert.equal(otherList, 0);
+  assert.deepEqual(records.map((r) => r.id), ["171-import-x1", "123"]);
+  assert.deepEqual(parseUid(taskUid({ id: "a/b-c" }, "p-1")), { kind: "task", projectId: "p-1", id: "a/b-c" });
+});
+
+test("tasks exported from another list are skipped, not copied in", () => {
+  const file = toIcs({ tasks: [task("1", { projectId: "p-1" }), task("2", { projectId: null }), task("3", { projectId: "p-2" })] });
+  const intoP2 = icsToTasks(parseIcs(file), { projectId: "p-2" });
+  assert.deepEqual(intoP2.records.map((r) => r.id), ["3"]);
+  assert.equal(intoP2.otherList, 2);
+  const intoGlobal = icsToTasks(parseIcs(file), { projectId: null });
+  assert.deepEqual(intoGlobal.records.map((r) => r.id), ["2"]);
+});
+
+test("project events are skipped; foreign events get a stable id", () => {
+  const file = toIcs({ projects: [{ id: "p-1", name: "P", deadline: "2026-10-30T00:00:00.000Z" }] }).replace(
+    "END:VCALENDAR",
+    "BEGIN:VEVENT\r\nUID:abc@example.com\r\nSUMMARY:Rapat\r\nDTSTART;VALUE=DATE:20261022\r\nEND:VEVENT\r\nEND:VCALENDAR"
+  );
+  const first = icsToTasks(parseIcs(file));
+  const second = icsToTasks(parseIcs(file));
+  assert.equal(first.skippedProjects, 1);
+  assert.equal(first.records.length, 1);
+  assert.equal(first.records[0].id, second.records[0].id);
+  assert.equal(first.records[0].deadline, "2026-10-22");
+});
+
+test("UIDs written before encoding still map back", () => {
+  assert.deepEqual(parseUid("task-global-123@astrava"), { kind: "task", projectId: null, id: "123" });
+  assert.deepEqual(parseUid("task-9-171-import-x1@astrava"), { kind: "task", projectId: "9", id: "171-import-x1" });
+  assert.equal(parseUid("abc@example.com"), null);
+});
@@ -0,0 +1,90 @@
+// src/data/importMerge.js
+// Merge plan for list imports (Tasks, Gallery). Every validated incoming record
+// is compared with the local record of the same id:
+//   added        no local record with that id
+//   unchanged    same content (compared fields only)
+//   updated      content differs and the incoming updatedAt is newer
+//   conflicting  content differs and the incoming copy is not newer (older,
+//                same timestamp, or no timestamps) — the user decides
+// Each plan row carries a resolution: "incoming" (take the file's copy),
+// "local" (keep ours) or "both" (keep ours and add the file's copy under a new id).
+// Defaults: added/updated -> incoming, unchanged/conflicting -> local.
+
+export const MERGE_KINDS = ["added", "updated", "unchanged", "conflicting"];
+
+// content compared per record type (ids and timestamps are not content)
+export const PROJECT_MERGE_FIELDS = ["name", "description", "type", "tech", "status", "deadline", "subprojects"];
+export const TASK_MERGE_FIELDS = ["title", "description", "deadline", "priority", "status"];
+export const GALLERY_MERGE_FIELDS = ["type", "refId", "title", "description", "image"];
+
+/**
+ * @typedef {Object} MergeRow
+ * @property {string} id
+ * @property {"added"|"updated"|"unchanged"|"conflicting"} kind
+ * @property {Object|null} local
+ * @property {Object} incoming
+ * @property {{ field: string, local: *, incoming: * }[]} changes
+ * @property {"incoming"|"local"|"both"} resolution
+ */
+
+const time = (r) => Date.parse(r?.updatedAt || r?.createdAt || "") || 0;
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/** fields whose values differ; `fields` defaults to every key of either record */
+export function diffRecords(local, incoming, fields) {
+  const keys = fields || [...new Set([...Object.keys(local || {}), ...Object.keys(incoming || {})])];
+  return keys.filter((f) => !same(local?.[f], incoming?.[f])).map((field) => ({ field, local: local?.[field], incoming: incoming?.[field] }));
+}
+
+/**
+ * @param {Object[]} localList   records currently stored
+ * @param {Object[]} incomingList validated records from the file
+ * @param {{ fields: string[] }} options  fields compared for the diff (timestamps are not content)
+ * @returns {MergeRow[]}
+ */
+export function planImport(localList, incomingList, { fields }) {
+  const byId = new Map(localList.map((r) => [String(r.id), r]));
+  return incomingList.map((incoming) => {
+    const id = String(incoming.id);
+    const local = byId.get(id) || null;
+    if (!local) return { id, kind: "added", local, incoming, changes: [], resolution: "incoming" };
+    const changes = diffRecords(local, incoming, fields);
+    if (!changes.length) return { id, kind: "unchanged", local, incoming, changes, resolution: "local" };
+    if (time(incoming) > time(local)) return { id, kind: "updated", local, incoming, changes, resolution: "incoming" };
+    return { id, kind: "conflicting", local, incoming, changes, resolution: "local" };
+  });
+}
+
+/** counts per kind -> { added, updated, unchanged, conflicting } */
+export function summarizePlan(plan) {
+  const counts = Object.fromEntries(MERGE_KINDS.map((k) => [k, 0]));
+  plan.forEach((row) => counts[row.kind]++);
+  return counts;
+}
+
+/** new id for the incoming copy of a "keep both" row */
+export const copyId = (id) => `${id}-import-${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+
+/**
+ * What a plan writes: `put` are records to save (new or replacing a local one),
+ * `copies` are the "keep both" records with their new ids.
+ * @returns {{ put: Object[], copies: Object[] }}
+ */
+export function resolvePlan(plan) {
+  const put = [];
+  const copies = [];
+  for (const row of plan) {
+    if (row.resolution === "incoming" && row.kind !== "unchanged") put.push(row.incoming);
+    if (row.resolution === "both" && row.local) copies.push({ ...row.incoming, id: copyId(row.id) });
+  }
+  return { put, copies };
+}
+
+/** apply a plan to a stored list: replaced records stay in place, added ones go to the end */
+export function applyPlan(localList, plan) {
+  const { put, copies } = resolvePlan(plan);
+  const replace = new Map(put.map((r) => [String(r.id), r]));
+  const merged = localList.map((r) => replace.get(String(r.id)) || r);
+  const have = new Set(localList.map((r) => String(r.id)));
+  return [...merged, ...put.filter((r) => !have.has(String(r.id))), ...copies];
+}
@@ -1,4 +1,106 @@
-// src/utils/initStorage.js
+// src/data/initStorage.js
+const listeners = new Set();
+
+/**
+ * subscribeData - register a callback fired with the changed key after every
+ * successful save/remove (null when everything was cleared). The second
+ * argument is { remote } — true when the change came from another tab.
+ * Returns an unsubscribe function.
+ */
+export function subscribeData(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// localStorage writes reach other tabs through the "storage" event; stores that
+// live elsewhere (IndexedDB gallery) announce their changes on this channel.
+const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel("astrava-data") : null;
+
+/**
+ * notify - tell subscribers that `key` changed. Pass { broadcast: true } for
+ * data outside localStorage so other tabs hear about it too.
+ */
+export function notify(key, { remote = false, broadcast = false } = {}) {
+  if (broadcast && !remote && channel) {
+    try {
+      channel.postMessage({ key });
+    } catch (e) {
+      console.error("notify broadcast error", e);
+    }
+  }
+  listeners.forEach((fn) => {
+    try {
+      fn(key, { remote });
+    } catch (e) {
+      console.error("subscribeData listener error", e);
+    }
+  });
+}
+
+if (channel) channel.onmessage = (e) => notify(e.data?.key ?? null, { remote: true });
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (e) => {
+    if (e.storageArea && e.storageArea !== window.localStorage) return;
+    notify(e.key, { remote: true });
+  });
+}
+
+/* ---------- failed writes ---------- */
+// key -> { key, value, quota, message, at }; only the latest value per key is kept
+const failedWrites = new Map();
+const errorListeners = new Set();
+
+export function isQuotaError(e) {
+  return !!e && (e.name === "QuotaExceededError" || e.name === "NS_ERROR_DOM_QUOTA_REACHED" || e.code === 22 || e.code === 1014);
+}
+
+/**
+ * subscribeWriteErrors - callback receives the current list of writes that
+ * did not reach localStorage (empty once they were retried or discarded).
+ */
+export function subscribeWriteErrors(listener) {
+  errorListeners.add(listener);
+  return () => errorListeners.delete(listener);
+}
+
+export function getFailedWrites() {
+  return [...failedWrites.values()];
+}
+
+function emitWriteErrors() {
+  const list = getFailedWrites();
+  errorListeners.forEach((fn) => {
+    try {
+      fn(list);
+    } catch (e) {
+      console.error("subscribeWriteErrors listener error", e);
+    }
+  });
+}
+
+// returns the number of writes still failing
+export function retryFailedWrites() {
+  getFailedWrites().forEach((w) => saveData(w.key, w.value));
+  return failedWrites.size;
+}
+
+export function discardFailedWrite(key) {
+  if (failedWrites.delete(key)) emitWriteErrors();
+}
+
+export function listKeys() {
+  const out = [];
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      if (k) out.push(k);
+    }
+  } catch (e) {
+    console.error("listKeys error", e);
+  }
+  return out;
+}
+
 export function loadData(key) {
   try {
     const raw = localStorage.getItem(key);
@@ -12,9 +114,13 @@ export function loadData(key) {
 export function saveData(key, value) {
   try {
     localStorage.setItem(key, JSON.stringify(value));
+    if (failedWrites.delete(key)) emitWriteErrors();
+    notify(key);
     return true;
   } catch (e) {
     console.error("saveData error", e);
+    failedWrites.set(key, { key, value, quota: isQuotaError(e), message: e?.message || String(e), at: Date.now() });
+    emitWriteErrors();
     return false;
   }
 }
@@ -22,6 +128,8 @@ export function saveData(key, value) {
 export function removeData(key) {
   try {
     localStorage.removeItem(key);
+    if (failedWrites.delete(key)) emitWriteErrors();
+    notify(key);
     return true;
   } catch {
     return false;
@@ -31,6 +139,7 @@ export function removeData(key) {
 export function clearAllData() {
   try {
     localStorage.clear();
+    notify(null);
     return true;
   } catch {
     return false;
@@ -0,0 +1,379 @@
+// src/data/migrations.js
+// Versioned schema migrations for stored data. Runs once at boot (main.jsx)
+// before any page mounts; the applied version is kept under SCHEMA_VERSION_KEY.
+import { saveData, removeData, listKeys } from "./initStorage.js";
+import { getTasksKey, getProjectsKey, getStatsKey, getActivityKey, migrateLegacyGallery, assignGalleryOwner } from "./db.js";
+import { migrateLegacyAuth } from "./usersData.js";
+import { ROLES, DEFAULT_ROLE } from "./permissions.js";
+import { normalizeSubproject } from "./subprojects.js";
+
+export const SCHEMA_VERSION_KEY = "schemaVersion";
+
+/**
+ * Store interface used by migrations, so they can run against a plain
+ * in-memory object in tests:
+ *   { get(key), set(key, value), remove(key), keys() }
+ */
+export const localStore = {
+  // legacy code stored some values unencoded (astrava_user = "Jane"); keep those as strings
+  get: (key) => {
+    const raw = localStorage.getItem(key);
+    if (raw == null) return null;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  },
+  set: (key, value) => saveData(key, value),
+  remove: (key) => removeData(key),
+  keys: () => listKeys(),
+};
+
+export function createMemoryStore(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    get: (key) => (data.has(key) ? data.get(key) : null),
+    set: (key, value) => {
+      data.set(key, value);
+      return true;
+    },
+    remove: (key) => data.delete(key),
+    keys: () => [...data.keys()],
+    dump: () => Object.fromEntries(data),
+  };
+}
+
+/* ---------- record normalizers (pure) ---------- */
+const LEGACY_PROJECT_KEYS = ["projectList", "project_data", "PROJECTS"];
+const SHIPPED_ADMIN_PASS = "150410"; // the password older seed.js versions gave the admin
+// data written before per-user scoping (global projects, tasks_global, gallery) goes to the seeded admin
+export const LEGACY_OWNER_ID = "admin";
+const TASK_STATUS = { done: "completed", complete: "completed", completed: "completed", inprogress: "inprogress", "in progress": "inprogress", "in-progress": "inprogress", pending: "pending", todo: "pending" };
+
+export function normalizeProject(p, now = new Date().toISOString()) {
+  return {
+    ...p,
+    id: p?.id ?? p?.projectId ?? Date.now() + Math.floor(Math.random() * 9999),
+    name: p?.name ?? p?.title ?? "Untitled",
+    description: p?.description ?? p?.desc ?? "",
+    type: p?.type ?? "Web",
+    tech: p?.tech ?? "",
+    status: p?.status ?? (p?.completed ? "Completed" : "In Progress"),
+    subprojects: Array.isArray(p?.subprojects) ? p.subprojects : [],
+    deadline: p?.deadline ?? "",
+    createdAt: p?.createdAt ?? now,
+    updatedAt: p?.updatedAt ?? now,
+  };
+}
+
+export function normalizeTask(t, now = new Date().toISOString()) {
+  const status = TASK_STATUS[String(t?.status || "").toLowerCase()] || "pending";
+  const priority = ["low", "medium", "high"].includes(t?.priority) ? t.priority : "medium";
+  return {
+    ...t,
+    id: String(t?.id ?? Date.now() + Math.floor(Math.random() * 9999)),
+    title: t?.title ?? "",
+    description: t?.description ?? "",
+    deadline: t?.deadline ?? "",
+    priority,
+    status,
+    createdAt: t?.createdAt ?? t?.updatedAt ?? now,
+    updatedAt: t?.updatedAt ?? t?.createdAt ?? now,
+  };
+}
+
+/* ---------- gallery copy (IndexedDB) ---------- */
+// IndexedDB can be missing or refuse writes (private mode, quota). That must
+// not stop the auth and role migrations behind it, so a failed copy is logged
+// and the legacy "gallery" key stays for retryLegacyGallery on a later boot.
+async function copyLegacyGallery(store) {
+  try {
+    await migrateLegacyGallery(store);
+    return true;
+  } catch (e) {
+    console.warn("[migrations] gallery copy to IndexedDB failed; legacy key kept", e);
+    return false;
+  }
+}
+
+async function claimGalleryForLegacyOwner() {
+  try {
+    await assignGalleryOwner(LEGACY_OWNER_ID);
+  } catch (e) {
+    console.warn("[migrations] assigning gallery owner failed", e);
+  }
+}
+
+/* ---------- registry ---------- */
+// Append only; versions must be strictly increasing.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "legacy-project-keys",
+    // fold projectList / project_data / PROJECTS into "projects"
+    up(store) {
+      const current = store.get("projects");
+      if (Array.isArray(current) && current.length) return;
+      for (const k of LEGACY_PROJECT_KEYS) {
+        const raw = store.get(k);
+        if (Array.isArray(raw) && raw.length) {
+          store.set("projects", raw.map((p) => normalizeProject(p)));
+          return;
+        }
+      }
+    },
+  },
+  {
+    version: 2,
+    name: "normalize-project-records",
+    up(store) {
+      for (const k of store.keys()) {
+        if (k !== "projects" && !k.startsWith("projects_")) continue;
+        const list = store.get(k);
+        if (Array.isArray(list)) store.set(k, list.filter(Boolean).map((p) => normalizeProject(p)));
+      }
+    },
+  },
+  {
+    version: 3,
+    name: "legacy-task-key",
+    // the pre-multi-user "tasks" key becomes "tasks_global"
+    up(store) {
+      const legacy = store.get("tasks");
+      const global = store.get("tasks_global");
+      if (Array.isArray(legacy) && legacy.length && !(Array.isArray(global) && global.length)) {
+        store.set("tasks_global", legacy);
+      }
+    },
+  },
+  {
+    version: 4,
+    name: "normalize-task-records",
+    // string ids, known status/priority values, timestamps present
+    up(store) {
+      for (const k of store.keys()) {
+        if (k === "tasks" || !k.startsWith("tasks_")) continue;
+        const list = store.get(k);
+        if (Array.isArray(list)) store.set(k, list.filter(Boolean).map((t) => normalizeTask(t)));
+      }
+    },
+  },
+  {
+    version: 5,
+    name: "gallery-to-indexeddb",
+    up: (store) => copyLegacyGallery(store),
+  },
+  {
+    version: 6,
+    name: "single-auth-session",
+    up: (store) => migrateLegacyAuth(store),
+  },
+  {
+    version: 7,
+    name: "admin-first-run",
+    // the admin still on the shipped default password must go through setup
+    up(store) {
+      const users = store.get("users");
+      if (!Array.isArray(users)) return;
+      store.set(
+        "users",
+        users.map((u) => {
+          if (u?.id !== "admin") return u;
+          const admin = { ...u, role: u.role || "admin" };
+          if (admin.pass !== SHIPPED_ADMIN_PASS) return admin;
+          const { pass: _pass, ...rest } = admin;
+          return { ...rest, passChangeRequired: true };
+        })
+      );
+    },
+  },
+  {
+    version: 8,
+    name: "user-roles",
+    // every account gets an explicit role; unknown values fall back to member
+    up(store) {
+      const users = store.get("users");
+      if (!Array.isArray(users)) return;
+      store.set(
+        "users",
+        users.map((u) => (u && !ROLES.includes(u.role) ? { ...u, role: u.id === "admin" ? "admin" : DEFAULT_ROLE } : u))
+      );
+    },
+  },
+  {
+    version: 9,
+    name: "per-user-ownership",
+    // global projects / dashboardStats / tasks_global / tasks_<project> and
+    // un-owned gallery entries move to LEGACY_OWNER_ID
+    async up(store) {
+      const owner = LEGACY_OWNER_ID;
+      const projects = store.get("projects");
+      if (Array.isArray(projects)) {
+        const target = getProjectsKey(owner);
+        const own = Array.isArray(store.get(target)) ? store.get(target) : [];
+        const ids = new Set(own.map((p) => String(p.id)));
+        store.set(target, [...own, ...projects.filter((p) => p && !ids.has(String(p.id)))]);
+
+        for (const p of projects) {
+          const legacy = `tasks_${p?.id}`;
+          const list = store.get(legacy);
+          const dest = getTasksKey(owner, p?.id);
+          if (Array.isArray(list) && !(Array.isArray(store.get(dest)) && store.get(dest).length)) store.set(dest, list);
+          if (list != null) store.remove(legacy);
+        }
+        store.remove("projects");
+      }
+
+      const global = store.get("tasks_global");
+      if (Array.isArray(global)) {
+        const dest = getTasksKey(owner);
+        if (!(Array.isArray(store.get(dest)) && store.get(dest).length)) store.set(dest, global);
+        store.remove("tasks_global");
+      }
+
+      const stats = store.get("dashboardStats");
+      if (stats != null) {
+        if (store.get(getStatsKey(owner)) == null) store.set(getStatsKey(owner), stats);
+        store.remove("dashboardStats");
+      }
+
+      await claimGalleryForLegacyOwner();
+    },
+  },
+  {
+    version: 10,
+    name: "structured-activity-log",
+    // "[hh:mm] text" strings in dashboardStats_<user>.recentActivities become
+    // note events in activityLog_<user>; their date was never stored, so they
+    // are stamped with today's date and flagged payload.legacy
+    up(store) {
+      const today = new Date();
+      for (const k of store.keys()) {
+        if (!k.startsWith("dashboardStats_")) continue;
+        const stats = store.get(k);
+        if (!stats || !Array.isArray(stats.recentActivities)) continue;
+        const userId = k.slice("dashboardStats_".length);
+
+        const events = stats.recentActivities.map((raw, i) => {
+          const m = String(raw).match(/^\[(\d{1,2})[:.](\d{2})\]\s*(.*)$/);
+          const at = new Date(today);
+          if (m) at.setHours(Number(m[1]), Number(m[2]), 0, 0);
+          return {
+            id: `a_legacy_${i}`,
+            timestamp: at.toISOString(),
+            actor: userId,
+            entityType: "note",
+            entityId: null,
+            action: "noted",
+            payload: { text: m ? m[3] : String(raw), legacy: true },
+          };
+        });
+        const existing = store.get(getActivityKey(userId));
+        store.set(getActivityKey(userId), [...(Array.isArray(existing) ? existing : []), ...events.reverse()]);
+
+        const { recentActivities: _old, ...rest } = stats;
+        store.set(k, rest);
+      }
+    },
+  },
+  {
+    version: 11,
+    name: "project-from-route",
+    // Tasks read its project from a global "currentProject" key; the project
+    // now comes from the URL (/projects/:projectId/tasks)
+    up(store) {
+      store.remove("currentProject");
+    },
+  },
+  {
+    version: 12,
+    name: "subproject-records",
+    // subprojects get deadline/owner/notes/weight; editing a project used to
+    // append every subproject again, so same-named copies (case-insensitive)
+    // collapse into the first one, Completed if any copy was
+    up(store) {
+      for (const k of store.keys()) {
+        if (!k.startsWith("projects_")) continue;
+        const list = store.get(k);
+        if (!Array.isArray(list)) continue;
+        store.set(
+          k,
+          list.map((p) => {
+            if (!p || !Array.isArray(p.subprojects)) return p;
+            const byName = new Map();
+            for (const raw of p.subprojects) {
+              if (!raw) continue;
+              const sub = normalizeSubproject(raw);
+              const name = sub.name.toLowerCase();
+              const first = byName.get(name);
+              if (!first) byName.set(name, sub);
+              else if (sub.status === "Completed") first.status = "Completed";
+            }
+            return { ...p, subprojects: [...byName.values()].filter((s) => s.name !== "") };
+          })
+        );
+      }
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Apply every migration newer than the stored schema version, in order.
+ * Stops at the first failure so the next boot retries from there.
+ * Returns the schema version the store ends up at.
+ */
+export async function runMigrations(store = localStore, migrations = MIGRATIONS) {
+  let version = Number(store.get(SCHEMA_VERSION_KEY)) || 0;
+  const pending = migrations.filter((m) => m.version > version).sort((a, b) => a.version - b.version);
+
+  for (const m of pending) {
+    try {
+      await m.up(store);
+    } catch (e) {
+      console.error(`[migrations] v${m.version} ${m.name} failed`, e);
+      break;
+    }
+    version = m.version;
+    store.set(SCHEMA_VERSION_KEY, version);
+    console.info(`[migrations] applied v${m.version} ${m.name}`);
+  }
+  return version;
+}
+
+/**
+ * Retry the v5 gallery copy when its legacy key is still there (IndexedDB was
+ * unavailable on an earlier boot). Entries copied after v9 ran go to the
+ * legacy owner like the ones v9 claimed. Not versioned; cheap when done.
+ */
+export async function retryLegacyGallery(store = localStore) {
+  if (!Array.isArray(store.get("gallery"))) return false;
+  if (!(await copyLegacyGallery(store)) || Array.isArray(store.get("gallery"))) return false;
+  if (Number(store.get(SCHEMA_VERSION_KEY)) >= 9) await claimGalleryForLegacyOwner();
+  return true;
+}
+
+/**
+ * Copy pre-login task lists (tasks_<project> / tasks_global) into the legacy
+ * owner's key the first time they open Tasks; other users never see them.
+ * Not versioned: such keys can still be written by older tabs.
+ */
+export function claimLegacyTasks(userId, projectId, store = localStore) {
+  if (userId !== LEGACY_OWNER_ID) return false;
+  const target = getTasksKey(userId, projectId);
+  const existing = store.get(target);
+  if (Array.isArray(existing) && existing.length) return false;
+
+  const candidates = projectId ? [`tasks_${projectId}`, "tasks_global"] : ["tasks_global"];
+  for (const k of candidates.filter((c) => c !== target)) {
+    const v = store.get(k);
+    if (Array.isArray(v) && v.length) {
+      store.set(target, v);
+      console.info(`[migrations] claimed ${k} -> ${target}`);
+      return true;
+    }
+  }
+  return false;
+}
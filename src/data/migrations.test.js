@@ -0,0 +1,75 @@
+// src/data/migrations.test.js
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+
+// the registry pulls in the storage layer, which expects a browser
+let runMigrations, createMemoryStore, SCHEMA_VERSION, SCHEMA_VERSION_KEY;
+before(async () => {
+  const data = new Map();
+  globalThis.localStorage = {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+    key: (i) => [...data.keys()][i] ?? null,
+    get length() { return data.size; },
+  };
+  globalThis.BroadcastChannel = undefined;
+  ({ runMigrations, createMemoryStore, SCHEMA_VERSION, SCHEMA_VERSION_KEY } = await import("./migrations.js"));
+});
+
+const quiet = async (fn) => {
+  const { info, error, warn } = console;
+  console.info = console.error = console.warn = () => {};
+  try { return await fn(); } finally { Object.assign(console, { info, error, warn }); }
+};
+
+const recorder = (log, failing = new Set()) => (version) => ({
+  version,
+  name: `m${version}`,
+  up: async () => {
+    if (failing.has(version)) throw new Error(`v${version} broke`);
+    log.push(version);
+  },
+});
+
+test("pending migrations run in version order", async () => {
+  const log = [];
+  const store = createMemoryStore({ [SCHEMA_VERSION_KEY]: 1 });
+  const version = await quiet(() => runMigrations(store, [3, 1, 4, 2].map(recorder(log))));
+  assert.deepEqual(log, [2, 3, 4]);
+  assert.equal(version, 4);
+  assert.equal(store.get(SCHEMA_VERSION_KEY), 4);
+});
+
+test("a failing migration stops the run and the next run resumes from it", async () => {
+  const log = [];
+  const failing = new Set([2]);
+  const store = createMemoryStore();
+  const list = () => [1, 2, 3].map(recorder(log, failing));
+
+  assert.equal(await quiet(() => runMigrations(store, list())), 1);
+  assert.deepEqual(log, [1]);
+  assert.equal(store.get(SCHEMA_VERSION_KEY), 1);
+
+  failing.clear();
+  assert.equal(await quiet(() => runMigrations(store, list())), 3);
+  assert.deepEqual(log, [1, 2, 3]);
+});
+
+test("the full registry gets past the gallery copy without IndexedDB", async () => {
+  const gallery = [{ id: 1, title: "old", image: "data:image/png;base64,AAAA" }];
+  const store = createMemoryStore({ gallery, users: [{ id: "admin", username: "admin", password: "admin" }] });
+  assert.equal(await quiet(() => runMigrations(store)), SCHEMA_VERSION);
+  assert.deepEqual(store.get("gallery"), gallery);
+});
+
+test("an IndexedDB that refuses to open does not block later migrations", async () => {
+  globalThis.indexedDB = { open: () => { throw new Error("QuotaExceededError"); } };
+  try {
+    const store = createMemoryStore({ gallery: [{ id: 1, image: "data:image/png;base64,AAAA" }] });
+    assert.equal(await quiet(() => runMigrations(store)), SCHEMA_VERSION);
+    assert.ok(Array.isArray(store.get("gallery")));
+  } finally {
+    delete globalThis.indexedDB;
+  }
+});
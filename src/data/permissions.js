@@ -0,0 +1,55 @@
+// src/data/permissions.js
+// Role-based access control. A user record carries `role`; what each role may
+// do is listed here so pages only ever ask can(user, permission).
+
+export const ROLES = ["admin", "member", "viewer"];
+export const DEFAULT_ROLE = "member";
+
+export const ROLE_LABELS = {
+  admin: "Admin",
+  member: "Member",
+  viewer: "Viewer (read only)",
+};
+
+export const PERMISSIONS = {
+  PROJECTS_WRITE: "projects:write",
+  PROJECTS_DELETE: "projects:delete",
+  TASKS_WRITE: "tasks:write",
+  TASKS_DELETE: "tasks:delete",
+  GALLERY_WRITE: "gallery:write",
+  GALLERY_DELETE: "gallery:delete",
+  SETTINGS_WRITE: "settings:write",
+  SETTINGS_RESET: "settings:reset",
+  USERS_MANAGE: "users:manage",
+};
+
+const P = PERMISSIONS;
+const MEMBER = [
+  P.PROJECTS_WRITE, P.PROJECTS_DELETE,
+  P.TASKS_WRITE, P.TASKS_DELETE,
+  P.GALLERY_WRITE, P.GALLERY_DELETE,
+  P.SETTINGS_WRITE, P.SETTINGS_RESET,
+];
+
+const ROLE_PERMISSIONS = {
+  admin: new Set([...MEMBER, P.USERS_MANAGE]),
+  member: new Set(MEMBER),
+  viewer: new Set(), // browse only
+};
+
+export const DENIED_MESSAGE = "Akun kamu tidak punya izin untuk aksi ini.";
+
+export function getRole(user) {
+  return ROLES.includes(user?.role) ? user.role : DEFAULT_ROLE;
+}
+
+/**
+ * can - does the user hold every permission given?
+ * @param {Object|null} user
+ * @param {string|string[]} permissions
+ */
+export function can(user, permissions) {
+  if (!user) return false;
+  const granted = ROLE_PERMISSIONS[getRole(user)];
+  return [].concat(permissions).every((p) => granted.has(p));
+}
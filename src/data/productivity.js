@@ -0,0 +1,137 @@
+// src/data/productivity.js
+// Productivity score shown on the Dashboard. Weights are per user, stored in
+// settings_<user>.scoring and edited on the Settings "Scoring" tab.
+//
+//   score      = clamp(completion - overdue + streak, 0, 100)
+//   completion = 100 * earned / possible, over tasks completed in the last
+//                `windowDays` days plus tasks that are overdue right now:
+//                  every task weighs priorityWeights[priority]
+//                  completed by its deadline (or without one) earns its weight
+//                  completed after its deadline earns weight * lateCredit
+//                  overdue and still open earns nothing
+//   overdue    = overduePenalty * sum of the weights of overdue open tasks
+//   streak     = streakBonus * min(streakDays, streakCap), where streakDays is
+//                the run of consecutive days, ending today or yesterday, with
+//                at least one completed task
+import { taskHistory, completions, deadlineEnd, toDayKey } from "./analytics.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_SCORING = {
+  priorityWeights: { low: 1, medium: 2, high: 3 },
+  lateCredit: 0.5,
+  overduePenalty: 2,
+  streakBonus: 2,
+  streakCap: 7,
+  windowDays: 14,
+};
+
+// limits the Settings form enforces
+export const SCORING_LIMITS = {
+  priorityWeight: [0, 10],
+  lateCredit: [0, 1],
+  overduePenalty: [0, 20],
+  streakBonus: [0, 10],
+  streakCap: [0, 30],
+  windowDays: [1, 365],
+};
+
+const clamp = (v, [min, max], fallback) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+/** stored (possibly partial or hand-edited) scoring settings -> a complete, in-range config */
+export function resolveScoring(stored) {
+  const s = stored && typeof stored === "object" ? stored : {};
+  const d = DEFAULT_SCORING;
+  const pw = s.priorityWeights || {};
+  return {
+    priorityWeights: {
+      low: clamp(pw.low, SCORING_LIMITS.priorityWeight, d.priorityWeights.low),
+      medium: clamp(pw.medium, SCORING_LIMITS.priorityWeight, d.priorityWeights.medium),
+      high: clamp(pw.high, SCORING_LIMITS.priorityWeight, d.priorityWeights.high),
+    },
+    lateCredit: clamp(s.lateCredit, SCORING_LIMITS.lateCredit, d.lateCredit),
+    overduePenalty: clamp(s.overduePenalty, SCORING_LIMITS.overduePenalty, d.overduePenalty),
+    streakBonus: clamp(s.streakBonus, SCORING_LIMITS.streakBonus, d.streakBonus),
+    streakCap: Math.round(clamp(s.streakCap, SCORING_LIMITS.streakCap, d.streakCap)),
+    windowDays: Math.round(clamp(s.windowDays, SCORING_LIMITS.windowDays, d.windowDays)),
+  };
+}
+
+// consecutive days with a completion, ending today (or yesterday, so the streak
+// survives until the end of today)
+function streakDays(completionDays, now) {
+  let day = new Date(now);
+  if (!completionDays.has(toDayKey(day))) day = new Date(day.getTime() - DAY_MS);
+  let n = 0;
+  while (completionDays.has(toDayKey(day))) {
+    n++;
+    day = new Date(day.getTime() - DAY_MS);
+  }
+  return n;
+}
+
+/**
+ * @param {import("./db.js").Task[]} tasks
+ * @param {Object} [scoring]  settings_<user>.scoring; resolved against DEFAULT_SCORING
+ * @returns {{ score: number, completion: number, overdue: number, streak: number,
+ *   streakDays: number, earned: number, possible: number,
+ *   counts: { onTime: number, late: number, overdue: number }, config: Object }}
+ */
+export function computeProductivity(tasks = [], scoring, now = new Date()) {
+  const config = resolveScoring(scoring);
+  const nowMs = now.getTime();
+  const windowStart = nowMs - config.windowDays * DAY_MS;
+  const weightOf = (t) => config.priorityWeights[t.priority] ?? config.priorityWeights.medium;
+
+  let earned = 0;
+  let possible = 0;
+  let overdueWeight = 0;
+  const counts = { onTime: 0, late: 0, overdue: 0 };
+  const completionDays = new Set();
+
+  for (const t of tasks) {
+    const history = taskHistory(t);
+    const done = history[history.length - 1]?.status === "completed";
+    completions(history).forEach((at) => completionDays.add(toDayKey(at)));
+
+    const w = weightOf(t);
+    const deadline = deadlineEnd(t);
+    if (done) {
+      const completedAt = Date.parse(completions(history).pop());
+      if (!(completedAt >= windowStart)) continue;
+      possible += w;
+      if (deadline != null && completedAt > deadline) {
+        earned += w * config.lateCredit;
+        counts.late++;
+      } else {
+        earned += w;
+        counts.onTime++;
+      }
+    } else if (deadline != null && deadline < nowMs) {
+      possible += w;
+      overdueWeight += w;
+      counts.overdue++;
+    }
+  }
+
+  const days = streakDays(completionDays, now);
+  const completion = possible ? (earned / possible) * 100 : 0;
+  const overdue = config.overduePenalty * overdueWeight;
+  const streak = config.streakBonus * Math.min(days, config.streakCap);
+  const round1 = (v) => Math.round(v * 10) / 10;
+
+  return {
+    score: Math.round(Math.min(100, Math.max(0, completion - overdue + streak))),
+    completion: round1(completion),
+    overdue: round1(overdue),
+    streak: round1(streak),
+    streakDays: days,
+    earned: round1(earned),
+    possible: round1(possible),
+    counts,
+    config,
+  };
+}
@@ -1,12 +1,19 @@
 // src/data/seed.js
 import { initDefaultStore } from "./initStorage.js";
+import { DEFAULT_SETTINGS, SETTINGS_GLOBAL_KEY, getProjectsKey } from "./db.js";
+import { normalizeProject } from "./migrations.js";
+
+// Runs after runMigrations (main.jsx), so records are written in their current
+// shape: the normalize migrations have already run and will not touch them.
 
 export function seedInitialData() {
   initDefaultStore({
-    "settings_global": { theme: "system", accentColor: "blue", customAccent: "", font: "inter", fontSize: 16 },
-    "projects": [
-      { id: "p-1", name: "Welcome Project", description: "Contoh project awal", type: "Web", status: "In Progress", tech: "React, Tailwind" }
+    [SETTINGS_GLOBAL_KEY]: { ...DEFAULT_SETTINGS },
+    // sample data belongs to the seeded admin (see LEGACY_OWNER_ID in migrations.js)
+    [getProjectsKey("admin")]: [
+      normalizeProject({ id: "p-1", name: "Welcome Project", description: "Contoh project awal", type: "Web", status: "In Progress", tech: "React, Tailwind" })
     ],
-    "users": [ { id: "admin", name: "Administrator", email: "admin@astrava.com", pass: "150410" } ]
+    // no password: the first visitor sets it on /setup (see needsFirstRunSetup)
+    "users": [ { id: "admin", name: "Administrator", email: "admin@astrava.com", role: "admin", passChangeRequired: true } ]
   });
 }
@@ -0,0 +1,77 @@
+// src/data/storageHealth.js
+// Storage health: how much localStorage each key family uses, plus the
+// browser's IndexedDB/origin estimate where available.
+
+// Browsers don't expose the localStorage quota; ~5MB is the common limit.
+export const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+export const KEY_FAMILIES = [
+  { id: "tasks", label: "Tasks (tasks_*)", test: (k) => k === "tasks" || k.startsWith("tasks_") },
+  { id: "projects", label: "Projects", test: (k) => k === "projects" || k.startsWith("projects_") },
+  { id: "gallery", label: "Gallery (legacy key)", test: (k) => k === "gallery" },
+  { id: "profiles", label: "Profiles (userProfile_*)", test: (k) => k.startsWith("userProfile_") },
+  { id: "settings", label: "Settings (settings_*)", test: (k) => k.startsWith("settings_") },
+  { id: "dashboard", label: "Dashboard & activity", test: (k) => /^(dashboardStats|activityLog)(_|$)/.test(k) },
+  { id: "users", label: "Accounts", test: (k) => k === "users" },
+];
+const OTHER = { id: "other", label: "Other" };
+
+export function familyOf(key) {
+  return KEY_FAMILIES.find((f) => f.test(key)) || OTHER;
+}
+
+// localStorage keeps UTF-16 strings: two bytes per character
+export function entryBytes(key, raw) {
+  return ((key?.length || 0) + (raw?.length || 0)) * 2;
+}
+
+/**
+ * getStorageUsage - synchronous localStorage breakdown.
+ * @returns {{ totalBytes: number, quotaBytes: number, percent: number,
+ *   families: Array<{ id: string, label: string, bytes: number, keys: Array<{ key: string, bytes: number }> }> }}
+ */
+export function getStorageUsage() {
+  const byFamily = new Map([...KEY_FAMILIES, OTHER].map((f) => [f.id, { id: f.id, label: f.label, bytes: 0, keys: [] }]));
+  let totalBytes = 0;
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key) continue;
+      const bytes = entryBytes(key, localStorage.getItem(key));
+      const fam = byFamily.get(familyOf(key).id);
+      fam.bytes += bytes;
+      fam.keys.push({ key, bytes });
+      totalBytes += bytes;
+    }
+  } catch (e) {
+    console.error("getStorageUsage error", e);
+  }
+  const families = [...byFamily.values()]
+    .filter((f) => f.keys.length)
+    .map((f) => ({ ...f, keys: f.keys.sort((a, b) => b.bytes - a.bytes) }))
+    .sort((a, b) => b.bytes - a.bytes);
+  return {
+    totalBytes,
+    quotaBytes: LOCAL_STORAGE_QUOTA,
+    percent: Math.min(100, Math.round((totalBytes / LOCAL_STORAGE_QUOTA) * 100)),
+    families,
+  };
+}
+
+/** Origin-wide usage (IndexedDB images included); null when unsupported. */
+export async function getOriginEstimate() {
+  try {
+    if (!navigator.storage?.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch {
+    return null;
+  }
+}
+
+export function formatBytes(n) {
+  if (!n) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(n) / Math.log(1024)));
+  return `${(n / 1024 ** i).toFixed(i ? 1 : 0)} ${units[i]}`;
+}
@@ -0,0 +1,66 @@
+// src/data/subprojects.js
+// Subprojects are edited in the Projects modal (rename, drag to reorder, status,
+// deadline, owner, notes, weight) and ticked off on the cards and the project
+// detail page. Project progress is weighted:
+//
+//   progress = 100 * sum(weight of completed subprojects) / sum(weight of all)
+//
+// Every subproject weighs 1 unless changed, so by default this is the plain
+// completed/total ratio. A weight of 0 keeps a subproject out of the progress.
+// Projects without subprojects (or whose weights are all 0) are 0% or 100%
+// depending on their own status.
+
+export const SUBPROJECT_STATUSES = ["In Progress", "Completed"];
+export const DEFAULT_SUBPROJECT_WEIGHT = 1;
+// limits the project editor enforces
+export const SUBPROJECT_WEIGHT_LIMITS = [0, 10];
+
+const clampWeight = (v) => {
+  const n = v === "" || v == null ? NaN : Number(v);
+  if (!Number.isFinite(n)) return DEFAULT_SUBPROJECT_WEIGHT;
+  const [min, max] = SUBPROJECT_WEIGHT_LIMITS;
+  return Math.min(max, Math.max(min, n));
+};
+
+export const makeSubprojectId = () => `sp_${Date.now().toString(36)}${Math.floor(Math.random() * 46656).toString(36)}`;
+
+/** @returns {import("./db.js").Subproject} */
+export function makeSubproject(name = "") {
+  return { id: makeSubprojectId(), name, status: "In Progress", deadline: "", owner: "", notes: "", weight: DEFAULT_SUBPROJECT_WEIGHT };
+}
+
+/** stored subproject (older ones only have id/name/status) -> complete record; other keys are dropped */
+export function normalizeSubproject(s) {
+  return {
+    id: s?.id ?? makeSubprojectId(),
+    name: String(s?.name ?? "").trim(),
+    status: SUBPROJECT_STATUSES.includes(s?.status) ? s.status : "In Progress",
+    deadline: s?.deadline || "",
+    owner: s?.owner || "",
+    notes: s?.notes || "",
+    weight: clampWeight(s?.weight ?? DEFAULT_SUBPROJECT_WEIGHT),
+  };
+}
+
+/** editor rows -> list to save: names trimmed, unnamed rows dropped */
+export const cleanSubprojects = (list) => (list || []).map(normalizeSubproject).filter((s) => s.name !== "");
+
+const weightOf = (s) => clampWeight(s?.weight ?? DEFAULT_SUBPROJECT_WEIGHT);
+
+/** weighted completion of a project, 0..100 */
+export function projectProgress(p) {
+  const subs = p?.subprojects || [];
+  const total = subs.reduce((sum, s) => sum + weightOf(s), 0);
+  if (!total) return p?.status === "Completed" ? 100 : 0;
+  const done = subs.filter((s) => s.status === "Completed").reduce((sum, s) => sum + weightOf(s), 0);
+  return Math.round((done / total) * 100);
+}
+
+/** move the item at index `from` to index `to` (drag-and-drop reorder) */
+export function moveItem(list, from, to) {
+  if (from === to || from < 0 || to < 0 || from >= list.length || to >= list.length) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
@@ -0,0 +1,55 @@
+// src/data/taskBoard.js
+// Board view of the Tasks page: one column per task status. The chosen view
+// (list | board) and the WIP limits are per user, stored in
+// settings_<user>.tasksView and settings_<user>.wipLimits.
+//
+// A WIP limit caps how many tasks a column may hold; a card cannot be dragged
+// into a full column, or moved there from the edit modal. null (or 0 in the
+// form) means no limit. Columns can still end up over their limit through an
+// import; the board then flags them.
+
+export const TASK_VIEWS = ["list", "board"];
+export const DEFAULT_TASK_VIEW = "list";
+
+export const BOARD_COLUMNS = [
+  { status: "pending", label: "Pending" },
+  { status: "inprogress", label: "In Progress" },
+  { status: "completed", label: "Completed" },
+];
+
+export const DEFAULT_WIP_LIMITS = { pending: null, inprogress: null, completed: null };
+// limits the board header enforces
+export const WIP_LIMIT_RANGE = [1, 99];
+
+const resolveLimit = (v) => {
+  const n = Number(v);
+  if (v == null || v === "" || !Number.isInteger(n) || n <= 0) return null;
+  return Math.min(WIP_LIMIT_RANGE[1], n);
+};
+
+/** stored (possibly partial or hand-edited) limits -> one entry per column */
+export function resolveWipLimits(stored) {
+  const s = stored && typeof stored === "object" ? stored : {};
+  return Object.fromEntries(BOARD_COLUMNS.map(({ status }) => [status, resolveLimit(s[status])]));
+}
+
+export const resolveTaskView = (v) => (TASK_VIEWS.includes(v) ? v : DEFAULT_TASK_VIEW);
+
+/** can one more task enter `status`? */
+export function hasRoom(tasks, status, limits) {
+  const limit = limits?.[status];
+  return limit == null || tasks.filter((t) => t.status === status).length < limit;
+}
+
+/**
+ * Reorder for a drop on the board: the dragged task moves in front of
+ * `beforeId` (or to the end when dropped on an empty part of a column).
+ * Status is not touched here — see applyTaskStatus in src/data/db.js.
+ */
+export function moveBefore(tasks, draggedId, beforeId) {
+  const from = tasks.findIndex((t) => String(t.id) === String(draggedId));
+  if (from < 0 || String(draggedId) === String(beforeId)) return tasks;
+  const rest = tasks.filter((_, i) => i !== from);
+  const to = beforeId == null ? -1 : rest.findIndex((t) => String(t.id) === String(beforeId));
+  return to < 0 ? [...rest, tasks[from]] : [...rest.slice(0, to), tasks[from], ...rest.slice(to)];
+}
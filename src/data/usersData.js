@@ -1,75 +1,301 @@
 // src/data/usersData.js
-import { loadData, saveData } from "../data/initStorage.js";
+// Accounts live under "users"; who is logged in lives in a single session
+// record under SESSION_KEY. Everything that needs the current user goes
+// through getCurrentUser / getActiveUserId (or useAuth in components).
+import { loadData, saveData, removeData } from "../data/initStorage.js";
+import { hashPassword, verifyPassword } from "../lib/password.js";
+import { ROLES, DEFAULT_ROLE } from "./permissions.js";
+import { purgeUserData } from "./db.js";
 
-const USERS_KEY = "users";
-const AUTH_USER_KEY = "activeUser";
+export const USERS_KEY = "users";
+export const SESSION_KEY = "session";
+
+// keys written by older login/register code; folded into USERS_KEY/SESSION_KEY
+// by migrateLegacyAuth (registered in src/data/migrations.js)
+export const LEGACY_SESSION_KEYS = ["activeUser", "auth:user", "currentUser", "rememberedUser", "astrava_user"];
+export const LEGACY_AUTH_KEYS = [...LEGACY_SESSION_KEYS, "astrava_accounts", "astrava_login"];
+
+// session lifetimes: a normal login lasts a working day, "remember me" a month
+export const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+export const REMEMBER_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// MainLayout locks the screen after this long without input
+export const IDLE_LOCK_MS = 15 * 60 * 1000;
+
+export const makeUserId = () => `u_${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+
+// never hand the stored password (hash) around
+function toPublicUser(u) {
+  if (!u) return null;
+  const { pass: _pass, passHash: _passHash, ...rest } = u;
+  return rest;
+}
+
+const hasPassword = (u) => !!(u && (u.passHash || u.pass));
+
+function updateUser(id, patch) {
+  const users = getAllUsers().map(u => (u.id === id ? { ...u, ...patch } : u));
+  saveData(USERS_KEY, users);
+  return users.find(u => u.id === id) || null;
+}
 
 // A. Ambil semua user
 export function getAllUsers() {
   return loadData(USERS_KEY) || [];
 }
 
+/* ---------- session ---------- */
+/**
+ * @typedef {Object} Session
+ * @property {string} userId
+ * @property {string} issuedAt
+ * @property {string} expiresAt
+ * @property {boolean} remember
+ * @property {string|null} lockedAt  set while the idle lock screen is up
+ */
+
+/** @returns {Session|null} null when missing or expired */
+export function getSession() {
+  const s = loadData(SESSION_KEY);
+  if (!s || !s.userId) return null;
+  // sessions from before expiry existed get a normal lifetime from their issue time
+  const expiresAt = s.expiresAt || new Date(Date.parse(s.issuedAt || 0) + SESSION_TTL_MS).toISOString();
+  if (Date.parse(expiresAt) <= Date.now()) return null;
+  return { remember: false, lockedAt: null, ...s, expiresAt };
+}
+
+export function startSession(userId, { remember = false } = {}) {
+  const now = Date.now();
+  return saveData(SESSION_KEY, {
+    userId,
+    issuedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + (remember ? REMEMBER_TTL_MS : SESSION_TTL_MS)).toISOString(),
+    remember,
+    lockedAt: null,
+  });
+}
+
+// lock state lives in the session so a reload or another tab stays locked
+export function lockSession() {
+  const s = getSession();
+  if (!s || s.lockedAt) return false;
+  return saveData(SESSION_KEY, { ...s, lockedAt: new Date().toISOString() });
+}
+
+export async function unlockSession(pass) {
+  const s = getSession();
+  if (!s) return false;
+  const u = getAllUsers().find(x => x.id === s.userId);
+  if (!u || !(await checkPassword(u, pass))) return false;
+  return saveData(SESSION_KEY, { ...s, lockedAt: null });
+}
+
+export function endSession() {
+  return removeData(SESSION_KEY);
+}
+
+export function getActiveUserId() {
+  return getSession()?.userId ?? null;
+}
+
+async function checkPassword(u, pass) {
+  if (u.passHash) return verifyPassword(pass, u.passHash);
+  return !!u.pass && u.pass === pass;
+}
+
 // B. Validasi login user biasa
-export function validateCredentials(email, pass) {
-  const users = getAllUsers();
-  const u = users.find(x => x.email === email && x.pass === pass);
-  if (u) {
-    saveData(AUTH_USER_KEY, u.id);
-    return u;
+// Accounts still holding a plaintext `pass` are re-saved with a hash on success.
+export async function validateCredentials(email, pass, { remember = false } = {}) {
+  const u = getAllUsers().find(x => x.email === email);
+  if (!u || !hasPassword(u)) return null;
+  if (!(await checkPassword(u, pass))) return null;
+  // a disabled account's record is left untouched
+  if (u.disabled) throw new Error("Akun ini dinonaktifkan. Hubungi admin.");
+
+  if (!u.passHash) {
+    const passHash = await hashPassword(pass);
+    saveData(USERS_KEY, getAllUsers().map(x => {
+      if (x.id !== u.id) return x;
+      const { pass: _plain, ...rest } = x;
+      return { ...rest, passHash };
+    }));
   }
-  return null;
+
+  startSession(u.id, { remember });
+  return toPublicUser(u);
 }
 
 // C. Register user baru
-export function registerUser({ id, name, email, pass }) {
-  const users = getAllUsers();
-  if (users.find(u => u.email === email))
+export async function registerUser({ id = makeUserId(), name, email, pass }) {
+  if (getAllUsers().find(u => u.email === email))
     throw new Error("Email sudah terdaftar");
 
-  users.push({ id, name, email, pass });
+  const passHash = await hashPassword(pass);
+  // re-read after the await so a concurrent write isn't lost
+  const users = getAllUsers();
+  users.push({ id, name, email, passHash, role: DEFAULT_ROLE, createdAt: new Date().toISOString() });
   saveData(USERS_KEY, users);
-  saveData(AUTH_USER_KEY, id);
+  startSession(id);
 
   return id;
 }
 
-// D. Ambil user yang sedang login
+// set a new password and clear passChangeRequired (first-run setup / forced reset)
+export async function setPassword(id, pass) {
+  if (!getAllUsers().some(x => x.id === id)) throw new Error("User tidak ditemukan");
+  const passHash = await hashPassword(pass);
+  saveData(USERS_KEY, getAllUsers().map(x => {
+    if (x.id !== id) return x;
+    const { pass: _plain, ...rest } = x;
+    return { ...rest, passHash, passChangeRequired: false };
+  }));
+  return toPublicUser(getAllUsers().find(x => x.id === id));
+}
+
+/* ---------- first-run admin setup ---------- */
+// The seeded admin has no password and passChangeRequired: true; until someone
+// claims it through the setup page nobody can log in as admin.
+export function getPendingAdmin() {
+  return getAllUsers().find(u => u.role === "admin" && u.passChangeRequired && !hasPassword(u)) || null;
+}
+
+export function needsFirstRunSetup() {
+  return !!getPendingAdmin() && !getAllUsers().some(u => u.role === "admin" && hasPassword(u));
+}
+
+export async function completeAdminSetup({ name, email, pass }) {
+  const admin = getPendingAdmin();
+  if (!admin) throw new Error("Admin sudah dikonfigurasi");
+  if (getAllUsers().some(u => u.id !== admin.id && u.email === email))
+    throw new Error("Email sudah terdaftar");
+  updateUser(admin.id, { name: name || admin.name, email });
+  const u = await setPassword(admin.id, pass);
+  startSession(admin.id);
+  return u;
+}
+
+// D. Ambil user yang sedang login (a disabled account loses its session)
 export function getCurrentUser() {
-  let uid = loadData("activeUser");
+  const uid = getActiveUserId();
+  if (!uid) return null;
+  const u = getAllUsers().find(x => x.id === uid);
+  if (u && !u.disabled) return toPublicUser(u);
+  // the account was disabled (or removed) while signed in: drop the session too
+  endSession();
+  return null;
+}
+
+// E. Logout
+export function logout() {
+  endSession();
+}
 
-  if (!uid) uid = loadData("auth:user");
+/* ---------- admin: user management ---------- */
+// public records of every account, for the admin users page
+export function listUsers() {
+  return getAllUsers().map(toPublicUser);
+}
 
-  if (!uid) {
-    try {
-      const raw = localStorage.getItem("astrava_user");
-      uid = raw ? JSON.parse(raw) : null;
-    } catch {
-      localStorage.removeItem("astrava_user");
-      uid = null;
-    }
+const activeAdmins = (users) => users.filter(u => u.role === "admin" && !u.disabled);
+
+// guard against locking everyone out: the last enabled admin stays an enabled admin
+function assertKeepsAdmin(id, next) {
+  const users = getAllUsers().map(u => (u.id === id ? { ...u, ...next } : u)).filter(u => !next.deleted || u.id !== id);
+  if (!activeAdmins(users).length) throw new Error("Minimal harus ada satu admin aktif");
+}
+
+// Admin-created accounts start with passChangeRequired so the temporary password is replaced
+export async function createUser({ name, email, pass, role = DEFAULT_ROLE }) {
+  if (!ROLES.includes(role)) throw new Error("Role tidak valid");
+  if (getAllUsers().some(u => u.email === email)) throw new Error("Email sudah terdaftar");
+  const passHash = await hashPassword(pass);
+  const user = { id: makeUserId(), name, email, passHash, role, passChangeRequired: true, createdAt: new Date().toISOString() };
+  saveData(USERS_KEY, [...getAllUsers(), user]);
+  return toPublicUser(user);
+}
+
+export function setUserRole(id, role) {
+  if (!ROLES.includes(role)) throw new Error("Role tidak valid");
+  assertKeepsAdmin(id, { role });
+  return toPublicUser(updateUser(id, { role }));
+}
+
+// with a temporary password the old one stops working; either way the user must pick a new one
+export async function forcePasswordReset(id, tempPass = "") {
+  if (!tempPass) return toPublicUser(updateUser(id, { passChangeRequired: true }));
+  const passHash = await hashPassword(tempPass);
+  saveData(USERS_KEY, getAllUsers().map(x => {
+    if (x.id !== id) return x;
+    const { pass: _plain, ...rest } = x;
+    return { ...rest, passHash, passChangeRequired: true };
+  }));
+  return toPublicUser(getAllUsers().find(x => x.id === id));
+}
+
+export function setUserDisabled(id, disabled) {
+  if (disabled) assertKeepsAdmin(id, { disabled: true });
+  return toPublicUser(updateUser(id, { disabled: !!disabled }));
+}
+
+/**
+ * Remove an account. With { purge: true } its tasks_<id>*, projects_<id>,
+ * settings_<id>, userProfile_<id>, dashboardStats_<id> keys and gallery
+ * entries go too. Resolves with the purged keys.
+ */
+export async function deleteUser(id, { purge = false } = {}) {
+  assertKeepsAdmin(id, { deleted: true });
+  saveData(USERS_KEY, getAllUsers().filter(u => u.id !== id));
+  return purge ? purgeUserData(id) : [];
+}
+
+/* ---------- legacy migration ---------- */
+// a legacy session value may be an id, an email, a display name or a user object
+function resolveLegacyUser(value, users) {
+  if (!value) return null;
+  const probes = typeof value === "object" ? [value.id, value.email, value.name, value.username] : [value];
+  for (const p of probes.filter(Boolean).map(String)) {
+    const u = users.find(x => x.id === p) || users.find(x => x.email === p) || users.find(x => x.name === p);
+    if (u) return u;
   }
+  return null;
+}
 
-  if (!uid) return null;
+/**
+ * Fold the old auth keys into USERS_KEY / SESSION_KEY:
+ * - astrava_accounts (Register page) become regular users
+ * - the first legacy session key that names a known user becomes the session
+ * - per-user keys created with a JSON-quoted id (tasks_"admin") are renamed
+ * Works on the migration store interface ({ get, set, remove, keys }).
+ */
+export function migrateLegacyAuth(store) {
+  const users = Array.isArray(store.get(USERS_KEY)) ? store.get(USERS_KEY) : [];
+  const accounts = store.get("astrava_accounts");
+  let added = 0;
+  if (Array.isArray(accounts)) {
+    for (const acc of accounts) {
+      if (!acc?.email || users.some(u => u.email === acc.email)) continue;
+      users.push({ id: makeUserId() + added, name: acc.name || acc.email, email: acc.email, pass: acc.pass || "", createdAt: new Date().toISOString() });
+      added++;
+    }
+    if (added) store.set(USERS_KEY, users);
+  }
 
-  // 🟩 Jika admin → return object lengkap
-  if (uid === "admin") {
-    return {
-      id: "admin",
-      name: "admin",
-      email: "admin@astrava.com",
-      role: "admin",
-      passChangeRequired: false
-    };
+  if (!store.get(SESSION_KEY)) {
+    for (const k of LEGACY_SESSION_KEYS) {
+      const u = resolveLegacyUser(store.get(k), users);
+      if (u) {
+        store.set(SESSION_KEY, { userId: u.id, issuedAt: new Date().toISOString() });
+        break;
+      }
+    }
   }
 
-  // User biasa
-  const users = getAllUsers();
-  return users.find(u => u.id === uid) || null;
-}
+  for (const k of store.keys()) {
+    if (!k.includes('"')) continue;
+    const target = k.replace(/"/g, "");
+    if (store.get(target) == null) store.set(target, store.get(k));
+    store.remove(k);
+  }
 
-// E. Logout
-export function logout() {
-  localStorage.removeItem(AUTH_USER_KEY);
-  localStorage.removeItem("astrava_user");
-  localStorage.removeItem("auth:user");
+  LEGACY_AUTH_KEYS.forEach(k => store.remove(k));
+  return added;
 }
@@ -0,0 +1,339 @@
+// src/data/validators.js
+// Record validators shared by every JSON import (Tasks, Gallery, Profile,
+// Settings, workspace restore). Each validator takes one raw record and returns
+// { value, errors }: `value` is the cleaned record (defaults filled in, ids and
+// text normalised) and `errors` lists human-readable reasons it was rejected.
+// Records are rebuilt from their known fields only, so unknown keys in a file
+// never reach storage. Nothing here writes to storage; pages show the report
+// and then commit.
+import { resolveScoring } from "./productivity.js";
+import { TASK_VIEWS, resolveWipLimits } from "./taskBoard.js";
+import { SUBPROJECT_STATUSES, SUBPROJECT_WEIGHT_LIMITS, normalizeSubproject } from "./subprojects.js";
+
+export const IMPORT_LIMITS = {
+  fileBytes: 25 * 1024 * 1024,
+  records: 5000,
+  shortText: 200,
+  longText: 10000,
+  imageBytes: 8 * 1024 * 1024,
+  subprojects: 200,
+  statusHistory: 1000,
+  payloadFields: 20,
+};
+
+export const PROJECT_TYPES = ["Web", "Mobile", "Desktop", "Game", "IoT", "AI"];
+export const PROJECT_STATUSES = ["In Progress", "Completed"];
+export const TASK_STATUSES = ["pending", "inprogress", "completed"];
+export const TASK_PRIORITIES = ["low", "medium", "high"];
+export const GALLERY_TYPES = ["project", "task", "manual"];
+export const ACTIVITY_ENTITY_TYPES = ["project", "task", "gallery", "note"];
+const THEMES = ["light", "dark", "system"];
+const FONTS = ["inter", "poppins", "roboto", "montserrat"];
+
+/* ---------- field checks ---------- */
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const validId = (v) => (typeof v === "string" && v.trim() !== "" && v.length <= IMPORT_LIMITS.shortText) || (typeof v === "number" && Number.isFinite(v));
+const validDate = (v) => typeof v === "string" && !Number.isNaN(Date.parse(v));
+const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+
+// returns an error string or null; `required` rejects missing/empty values
+function text(value, field, { max = IMPORT_LIMITS.shortText, required = false } = {}) {
+  if (value == null || value === "") return required ? `${field} wajib diisi` : null;
+  if (typeof value !== "string") return `${field} harus berupa teks`;
+  if (value.length > max) return `${field} terlalu panjang (${value.length} > ${max} karakter)`;
+  return null;
+}
+
+// data:image/... within the size limit, or an http(s) URL
+function image(value, field, { required = false, maxBytes = IMPORT_LIMITS.imageBytes } = {}) {
+  if (value == null || value === "") return required ? `${field} wajib diisi` : null;
+  if (typeof value !== "string") return `${field} harus berupa data URL atau URL`;
+  if (value.startsWith("data:")) {
+    if (!/^data:image\/[\w.+-]+;base64,/.test(value)) return `${field} bukan gambar base64`;
+    const bytes = Math.floor((value.length - value.indexOf(",") - 1) * 0.75);
+    if (bytes > maxBytes) return `${field} terlalu besar (${Math.round(bytes / 1024 / 1024)}MB > ${Math.round(maxBytes / 1024 / 1024)}MB)`;
+    return null;
+  }
+  return /^https?:\/\//.test(value) ? null : `${field} bukan URL gambar yang valid`;
+}
+
+const collect = (...checks) => checks.filter(Boolean);
+const tooMany = (list, field, max) => Array.isArray(list) && list.length > max && `${field} terlalu banyak (${list.length} > ${max})`;
+const trimmed = (v) => (typeof v === "string" ? v.trim() : v);
+
+/* ---------- record validators ---------- */
+// optional subproject fields; errors name the subproject
+function subprojectErrors(s) {
+  const label = `subproject "${s.name || s.id}"`;
+  const [minWeight, maxWeight] = SUBPROJECT_WEIGHT_LIMITS;
+  return collect(
+    s.status != null && !SUBPROJECT_STATUSES.includes(s.status) && `${label}: status "${s.status}" tidak dikenal`,
+    s.deadline && !(typeof s.deadline === "string" && dayPattern.test(s.deadline) && validDate(s.deadline)) && `${label}: deadline harus YYYY-MM-DD`,
+    text(s.owner, `${label}: owner`),
+    text(s.notes, `${label}: notes`, { max: IMPORT_LIMITS.longText }),
+    s.weight != null && !(typeof s.weight === "number" && s.weight >= minWeight && s.weight <= maxWeight) && `${label}: weight harus angka ${minWeight}-${maxWeight}`
+  );
+}
+
+/** @returns {{ value: import("./db.js").Project, errors: string[] }} */
+export function validateProject(raw) {
+  if (!isObject(raw)) return { value: null, errors: ["bukan object"] };
+  const errors = collect(
+    !validId(raw.id) && "id tidak ada",
+    text(raw.name, "name", { required: true }),
+    text(raw.description, "description", { max: IMPORT_LIMITS.longText }),
+    text(raw.tech, "tech"),
+    raw.type != null && !PROJECT_TYPES.includes(raw.type) && `type "${raw.type}" tidak dikenal`,
+    raw.status != null && !PROJECT_STATUSES.includes(raw.status) && `status "${raw.status}" tidak dikenal`,
+    raw.deadline && !validDate(raw.deadline) && "deadline bukan tanggal",
+    raw.createdAt != null && !validDate(raw.createdAt) && "createdAt bukan tanggal",
+    raw.updatedAt != null && !validDate(raw.updatedAt) && "updatedAt bukan tanggal",
+    raw.subprojects != null && !Array.isArray(raw.subprojects) && "subprojects harus berupa list",
+    tooMany(raw.subprojects, "subprojects", IMPORT_LIMITS.subprojects),
+    Array.isArray(raw.subprojects) && raw.subprojects.some((s) => !isObject(s) || !validId(s.id) || text(s.name, "name", { required: true })) && "subproject tanpa id atau nama",
+    ...(Array.isArray(raw.subprojects) ? raw.subprojects.filter(isObject).flatMap(subprojectErrors) : [])
+  );
+  if (errors.length) return { value: null, errors };
+  const now = new Date().toISOString();
+  return {
+    value: {
+      id: raw.id,
+      name: raw.name.trim(),
+      description: raw.description || "",
+      type: raw.type || "Web",
+      tech: raw.tech || "",
+      status: raw.status || "In Progress",
+      subprojects: (raw.subprojects || []).map(normalizeSubproject),
+      deadline: raw.deadline || "",
+      createdAt: raw.createdAt || now,
+      updatedAt: raw.updatedAt || raw.createdAt || now,
+    },
+    errors,
+  };
+}
+
+/** @returns {{ value: import("./db.js").Task, errors: string[] }} */
+export function validateTask(raw) {
+  if (!isObject(raw)) return { value: null, errors: ["bukan object"] };
+  const errors = collect(
+    !validId(raw.id) && "id tidak ada",
+    text(raw.title, "title", { required: true }),
+    text(raw.description, "description", { max: IMPORT_LIMITS.longText }),
+    raw.status != null && !TASK_STATUSES.includes(raw.status) && `status "${raw.status}" tidak dikenal`,
+    raw.priority != null && !TASK_PRIORITIES.includes(raw.priority) && `priority "${raw.priority}" tidak dikenal`,
+    raw.deadline && !(typeof raw.deadline === "string" && dayPattern.test(raw.deadline) && validDate(raw.deadline)) && "deadline harus YYYY-MM-DD",
+    raw.createdAt != null && !validDate(raw.createdAt) && "createdAt bukan tanggal",
+    raw.updatedAt != null && !validDate(raw.updatedAt) && "updatedAt bukan tanggal",
+    raw.projectId != null && raw.projectId !== "" && !validId(raw.projectId) && "projectId tidak valid",
+    tooMany(raw.statusHistory, "statusHistory", IMPORT_LIMITS.statusHistory),
+    raw.statusHistory != null &&
+      !(Array.isArray(raw.statusHistory) && raw.statusHistory.every((h) => isObject(h) && TASK_STATUSES.includes(h.status) && validDate(h.at))) &&
+      "statusHistory tidak valid"
+  );
+  if (errors.length) return { value: null, errors };
+  const now = new Date().toISOString();
+  return {
+    value: {
+      id: String(raw.id),
+      title: raw.title.trim(),
+      description: raw.description || "",
+      deadline: raw.deadline || "",
+      priority: raw.priority || "medium",
+      status: raw.status || "pending",
+      ...(raw.statusHistory ? { statusHistory: raw.statusHistory.map(({ status, at }) => ({ status, at })) } : {}),
+      ...(raw.projectId != null && raw.projectId !== "" ? { projectId: raw.projectId } : {}),
+      createdAt: raw.createdAt || raw.updatedAt || now,
+      updatedAt: raw.updatedAt || raw.createdAt || now,
+    },
+    errors,
+  };
+}
+
+/** gallery entries as exported (image as a data URL or remote URL) */
+export function validateGalleryEntry(raw) {
+  if (!isObject(raw)) return { value: null, errors: ["bukan object"] };
+  const errors = collect(
+    !validId(raw.id) && "id tidak ada",
+    raw.type != null && !GALLERY_TYPES.includes(raw.type) && `type "${raw.type}" tidak dikenal`,
+    text(raw.title, "title"),
+    text(raw.description, "description", { max: IMPORT_LIMITS.longText }),
+    image(raw.image ?? raw.url, "image", { required: true }),
+    raw.refId != null && raw.refId !== "" && !validId(raw.refId) && "refId tidak valid",
+    raw.createdAt != null && !validDate(raw.createdAt) && "createdAt bukan tanggal",
+    raw.updatedAt != null && !validDate(raw.updatedAt) && "updatedAt bukan tanggal"
+  );
+  if (errors.length) return { value: null, errors };
+  return {
+    value: {
+      id: String(raw.id),
+      type: raw.type || "manual",
+      refId: raw.refId == null || raw.refId === "" ? null : String(raw.refId),
+      title: trimmed(raw.title) || "Dokumentasi",
+      description: raw.description || "",
+      image: raw.image ?? raw.url,
+      createdAt: raw.createdAt || new Date().toISOString(),
+      ...(raw.updatedAt ? { updatedAt: raw.updatedAt } : {}),
+    },
+    errors,
+  };
+}
+
+// activity payloads are flat: a few labels and ids, never nested objects
+const payloadErrors = (payload) =>
+  !isObject(payload)
+    ? ["payload harus berupa object"]
+    : collect(
+        tooMany(Object.keys(payload), "payload", IMPORT_LIMITS.payloadFields),
+        Object.values(payload).some((v) => v != null && !["string", "number", "boolean"].includes(typeof v)) && "payload hanya boleh berisi teks/angka",
+        ...Object.entries(payload).map(([k, v]) => typeof v === "string" && text(v, `payload.${k}`, { max: IMPORT_LIMITS.longText }))
+      );
+
+/** activity log events as written by logActivity (db.js) */
+export function validateActivity(raw) {
+  if (!isObject(raw)) return { value: null, errors: ["bukan object"] };
+  const errors = collect(
+    !validId(raw.id) && "id tidak ada",
+    !validDate(raw.timestamp) && "timestamp bukan tanggal",
+    raw.actor != null && !validId(raw.actor) && "actor tidak valid",
+    !ACTIVITY_ENTITY_TYPES.includes(raw.entityType) && `entityType "${raw.entityType}" tidak dikenal`,
+    text(raw.action, "action", { required: true }),
+    raw.entityId != null && !validId(raw.entityId) && "entityId tidak valid",
+    ...(raw.payload != null ? payloadErrors(raw.payload) : [])
+  );
+  if (errors.length) return { value: null, errors };
+  return {
+    value: {
+      id: String(raw.id),
+      timestamp: raw.timestamp,
+      actor: raw.actor == null ? null : String(raw.actor),
+      entityType: raw.entityType,
+      entityId: raw.entityId == null ? null : String(raw.entityId),
+      action: raw.action,
+      payload: { ...(raw.payload || {}) },
+    },
+    errors,
+  };
+}
+
+const PROFILE_TEXT = { username: 60, handle: 60, name: 100, bio: 1000 };
+const SOCIAL_KEYS = ["github", "instagram", "linkedin"];
+
+/**
+ * Profile objects: name and email are required; other bad fields are dropped
+ * and reported. `accents` is the Profile page's list of accent ids.
+ */
+export function validateProfile(raw, { accents = [] } = {}) {
+  if (!isObject(raw)) return { value: null, errors: ["bukan object"] };
+  const fatal = collect(
+    text(raw.name, "name", { required: true, max: PROFILE_TEXT.name }),
+    (typeof raw.email !== "string" || !/^\S+@\S+\.\S+$/.test(raw.email)) && "email tidak valid"
+  );
+  if (fatal.length) return { value: null, errors: fatal };
+
+  const value = { name: raw.name.trim(), email: raw.email.trim() };
+  const errors = [];
+  const keep = (field, err) => (err ? errors.push(err) : raw[field] != null && (value[field] = raw[field]));
+
+  for (const [field, max] of Object.entries(PROFILE_TEXT)) if (field !== "name") keep(field, text(raw[field], field, { max }));
+  keep("avatar", image(raw.avatar, "avatar", { maxBytes: 2 * 1024 * 1024 }));
+  keep("cover", image(raw.cover, "cover", { maxBytes: 4 * 1024 * 1024 }));
+  keep("theme", raw.theme != null && !THEMES.includes(raw.theme) && `theme "${raw.theme}" tidak dikenal`);
+  keep("accent", raw.accent != null && accents.length && !accents.includes(raw.accent) && `accent "${raw.accent}" tidak dikenal`);
+  keep("joined", raw.joined != null && !validDate(raw.joined) && "joined bukan tanggal");
+  for (const field of ["level", "xp"]) keep(field, raw[field] != null && !(Number.isFinite(raw[field]) && raw[field] >= 0) && `${field} harus angka ≥ 0`);
+  keep("stats", raw.stats != null && !(isObject(raw.stats) && Object.values(raw.stats).every(Number.isFinite)) && "stats harus berisi angka");
+  if (raw.social != null) {
+    if (!isObject(raw.social)) errors.push("social harus berupa object");
+    else {
+      value.social = {};
+      for (const k of SOCIAL_KEYS) {
+        const err = text(raw.social[k], `social.${k}`);
+        if (err) errors.push(err);
+        else value.social[k] = raw.social[k] || "";
+      }
+    }
+  }
+  return { value, errors };
+}
+
+/** Settings objects: unknown keys are dropped, bad fields fall back to the current value. `palette` lists accent ids (unchecked when empty). */
+export function validateSettings(raw, { palette = [] } = {}) {
+  if (!isObject(raw)) return { value: null, errors: ["bukan object"] };
+  const value = {};
+  const errors = [];
+  const check = (field, err) => (err ? errors.push(err) : raw[field] != null && (value[field] = raw[field]));
+
+  check("theme", raw.theme != null && !THEMES.includes(raw.theme) && `theme "${raw.theme}" tidak dikenal`);
+  check("font", raw.font != null && !FONTS.includes(raw.font) && `font "${raw.font}" tidak dikenal`);
+  check("fontSize", raw.fontSize != null && !(Number.isFinite(raw.fontSize) && raw.fontSize >= 10 && raw.fontSize <= 24) && "fontSize harus angka 10–24");
+  check("accentColor", raw.accentColor != null && (typeof raw.accentColor !== "string" || (palette.length && ![...palette, "custom"].includes(raw.accentColor))) && `accentColor "${raw.accentColor}" tidak dikenal`);
+  check("customAccent", raw.customAccent != null && raw.customAccent !== "" && !/^#[0-9a-f]{6}$/i.test(raw.customAccent) && "customAccent harus warna hex (#rrggbb)");
+  if (raw.scoring != null) {
+    if (isObject(raw.scoring)) value.scoring = resolveScoring(raw.scoring);
+    else errors.push("scoring harus berupa object");
+  }
+  check("tasksView", raw.tasksView != null && !TASK_VIEWS.includes(raw.tasksView) && `tasksView "${raw.tasksView}" tidak dikenal`);
+  if (raw.wipLimits != null) {
+    if (isObject(raw.wipLimits)) value.wipLimits = resolveWipLimits(raw.wipLimits);
+    else errors.push("wipLimits harus berupa object");
+  }
+  const unknown = Object.keys(raw).filter((k) => !["theme", "font", "fontSize", "accentColor", "customAccent", "scoring", "tasksView", "wipLimits"].includes(k));
+  if (unknown.length) errors.push(`field tidak dikenal diabaikan: ${unknown.join(", ")}`);
+  return { value, errors };
+}
+
+/* ---------- lists & reports ---------- */
+/**
+ * @typedef {Object} ImportReport
+ * @property {Object[]} accepted
+ * @property {{ row: number, id: string|null, reasons: string[] }[]} rejected  row is 1-based
+ * @property {string|null} fatal  the whole file was refused
+ */
+
+/** Run `validate` over a parsed list; duplicate ids within the file are rejected too. @returns {ImportReport} */
+export function validateRecords(list, validate) {
+  if (!Array.isArray(list)) return { accepted: [], rejected: [], fatal: "File harus berisi list (array) record." };
+  if (list.length > IMPORT_LIMITS.records) return { accepted: [], rejected: [], fatal: `Terlalu banyak record (${list.length} > ${IMPORT_LIMITS.records}).` };
+  const accepted = [];
+  const rejected = [];
+  const seen = new Set();
+  list.forEach((raw, i) => {
+    const { value, errors } = validate(raw);
+    const id = isObject(raw) && raw.id != null ? String(raw.id) : null;
+    const reasons = [...errors];
+    if (!reasons.length && seen.has(String(value.id))) reasons.push("id duplikat di file");
+    if (reasons.length) rejected.push({ row: i + 1, id, reasons });
+    else {
+      seen.add(String(value.id));
+      accepted.push(value);
+    }
+  });
+  return { accepted, rejected, fatal: null };
+}
+
+/** Same report shape for a single object (profile, settings): rejected rows are fields. */
+export function validateObject(raw, validate) {
+  const { value, errors } = validate(raw);
+  if (!value) return { accepted: [], rejected: [], fatal: errors.join("; ") || "Data tidak valid." };
+  return { accepted: [value], rejected: errors.map((reason, i) => ({ row: i + 1, id: null, reasons: [reason] })), fatal: null };
+}
+
+/** Read a File as JSON, refusing oversized files before parsing. Resolves { data } or { error }. */
+export function readJsonFile(file) {
+  return new Promise((resolve) => {
+    if (!file) return resolve({ error: "Tidak ada file." });
+    if (file.size > IMPORT_LIMITS.fileBytes) {
+      return resolve({ error: `File terlalu besar (maks ${Math.round(IMPORT_LIMITS.fileBytes / 1024 / 1024)}MB).` });
+    }
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      try {
+        resolve({ data: JSON.parse(ev.target.result) });
+      } catch {
+        resolve({ error: "File bukan JSON yang valid." });
+      }
+    };
+    reader.onerror = () => resolve({ error: "File tidak bisa dibaca." });
+    reader.readAsText(file);
+  });
+}
@@ -0,0 +1,57 @@
+// src/data/validators.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateRecords, validateProject, validateTask, IMPORT_LIMITS } from "./validators.js";
+
+test("bad and duplicate records are rejected with their row, good ones get defaults", () => {
+  const report = validateRecords(
+    [
+      { id: 1, title: " Write docs " },
+      { id: 2, title: "" },
+      { id: 3, title: "Ship", status: "someday" },
+      { id: "1", title: "Again" },
+    ],
+    validateTask
+  );
+  assert.equal(report.fatal, null);
+  assert.equal(report.accepted.length, 1);
+  assert.deepEqual(
+    { id: report.accepted[0].id, title: report.accepted[0].title, status: report.accepted[0].status, priority: report.accepted[0].priority },
+    { id: "1", title: "Write docs", status: "pending", priority: "medium" }
+  );
+  assert.deepEqual(report.rejected.map((r) => r.row), [2, 3, 4]);
+});
+
+test("a file that is not a list is refused as a whole", () => {
+  assert.ok(validateRecords({ id: 1 }, validateTask).fatal);
+});
+
+test("unknown fields are stripped from projects, subprojects and tasks", () => {
+  const { value: project } = validateProject({
+    id: "p-1",
+    name: "Site",
+    junk: "x".repeat(1000),
+    subprojects: [{ id: "s1", name: "UI", payload: { big: true } }],
+  });
+  assert.equal("junk" in project, false);
+  assert.deepEqual(Object.keys(project.subprojects[0]).sort(), ["deadline", "id", "name", "notes", "owner", "status", "weight"]);
+
+  const { value: task } = validateTask({
+    id: 1,
+    title: "Write docs",
+    projectId: "p-1",
+    extra: [1, 2, 3],
+    statusHistory: [{ status: "pending", at: "2026-01-01T00:00:00.000Z", note: "x" }],
+  });
+  assert.equal("extra" in task, false);
+  assert.equal(task.projectId, "p-1");
+  assert.deepEqual(task.statusHistory, [{ status: "pending", at: "2026-01-01T00:00:00.000Z" }]);
+});
+
+test("oversized ids and lists are rejected", () => {
+  assert.ok(validateTask({ id: "x".repeat(IMPORT_LIMITS.shortText + 1), title: "t" }).errors.length);
+  const history = Array.from({ length: IMPORT_LIMITS.statusHistory + 1 }, () => ({ status: "pending", at: "2026-01-01" }));
+  assert.ok(validateTask({ id: 1, title: "t", statusHistory: history }).errors.some((e) => e.startsWith("statusHistory terlalu banyak")));
+  const subprojects = Array.from({ length: IMPORT_LIMITS.subprojects + 1 }, (_, i) => ({ id: i, name: `s${i}` }));
+  assert.ok(validateProject({ id: 1, name: "p", subprojects }).errors.some((e) => e.startsWith("subprojects terlalu banyak")));
+});
@@ -0,0 +1,39 @@
+// src/hooks/useDataChanges.js
+import { useEffect, useRef } from "react";
+import { subscribe } from "../data/db.js";
+
+/**
+ * Calls onChange(keys) whenever stored data matching `match(key)` changes, in
+ * this tab or another one. Changes made in the same tick (e.g. a save plus its
+ * activity event) are batched into one call with the Set of changed keys. A
+ * cleared store is reported as the key null and always matches.
+ */
+export default function useDataChanges(match, onChange) {
+  const matchRef = useRef(match);
+  const cbRef = useRef(onChange);
+  useEffect(() => {
+    matchRef.current = match;
+    cbRef.current = onChange;
+  });
+
+  useEffect(() => {
+    let pending = null;
+    let cancelled = false;
+    const unsubscribe = subscribe((key) => {
+      if (key !== null && !matchRef.current(key)) return;
+      if (!pending) {
+        pending = new Set();
+        queueMicrotask(() => {
+          const keys = pending;
+          pending = null;
+          if (!cancelled) cbRef.current(keys);
+        });
+      }
+      pending.add(key);
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+}
@@ -0,0 +1,86 @@
+// src/hooks/useGallery.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import { KEY_GALLERY, loadGallery, saveGalleryEntry, removeGalleryEntry } from "../data/db.js";
+import useRemoteChanges from "./useRemoteChanges.js";
+
+/**
+ * Gallery entries are stored in IndexedDB with their image as a Blob.
+ * This hook exposes them with `image` set to an object URL so pages can keep
+ * rendering <img src={it.image} />; URLs are revoked when no longer used.
+ * Only `userId`'s entries are loaded and every write is stamped with it.
+ */
+export default function useGallery(userId) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const urlsRef = useRef(new Map()); // id -> object URL
+
+  const revoke = useCallback((id) => {
+    const url = urlsRef.current.get(id);
+    if (url) URL.revokeObjectURL(url);
+    urlsRef.current.delete(id);
+  }, []);
+
+  const withImage = useCallback(
+    (entry) => {
+      revoke(entry.id);
+      if (!entry.blob) return { ...entry, image: entry.url || "" };
+      const url = URL.createObjectURL(entry.blob);
+      urlsRef.current.set(entry.id, url);
+      return { ...entry, image: url };
+    },
+    [revoke]
+  );
+
+  const reload = useCallback(async () => {
+    try {
+      const list = await loadGallery(userId);
+      setItems(list.map(withImage));
+    } catch (e) {
+      console.error("useGallery load error", e);
+    } finally {
+      setLoading(false);
+    }
+  }, [withImage, userId]);
+
+  useEffect(() => {
+    const urls = urlsRef.current;
+    reload();
+    return () => {
+      urls.forEach((url) => URL.revokeObjectURL(url));
+      urls.clear();
+    };
+  }, [reload]);
+
+  // another tab uploaded, edited or deleted an entry
+  useRemoteChanges(KEY_GALLERY, reload);
+
+  // entry.image may be a File/Blob or data URL; resolves with the stored entry
+  const add = useCallback(
+    async (entry) => {
+      const saved = withImage(await saveGalleryEntry(userId, entry));
+      setItems((prev) => [saved, ...prev.filter((it) => it.id !== saved.id)]);
+      return saved;
+    },
+    [withImage, userId]
+  );
+
+  // persist edits (title/description) of an entry already in the list
+  const update = useCallback(
+    async (entry) => {
+      await saveGalleryEntry(userId, entry);
+      setItems((prev) => prev.map((it) => (it.id === entry.id ? { ...it, ...entry } : it)));
+    },
+    [userId]
+  );
+
+  const remove = useCallback(
+    async (id) => {
+      await removeGalleryEntry(userId, id);
+      revoke(id);
+      setItems((prev) => prev.filter((it) => it.id !== id));
+    },
+    [revoke, userId]
+  );
+
+  return { items, loading, add, update, remove, reload };
+}
@@ -0,0 +1,30 @@
+// src/hooks/useIdleTimer.js
+import { useEffect, useRef } from "react";
+
+const ACTIVITY_EVENTS = ["mousemove", "mousedown", "keydown", "scroll", "touchstart", "wheel"];
+
+/**
+ * Calls onIdle once after `timeout` ms without user input. Pass enabled=false
+ * to pause (e.g. while the lock screen is already showing).
+ */
+export default function useIdleTimer(timeout, onIdle, enabled = true) {
+  const cbRef = useRef(onIdle);
+  useEffect(() => {
+    cbRef.current = onIdle;
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+    let t = null;
+    const reset = () => {
+      clearTimeout(t);
+      t = setTimeout(() => cbRef.current(), timeout);
+    };
+    reset();
+    ACTIVITY_EVENTS.forEach((ev) => window.addEventListener(ev, reset, { passive: true }));
+    return () => {
+      clearTimeout(t);
+      ACTIVITY_EVENTS.forEach((ev) => window.removeEventListener(ev, reset));
+    };
+  }, [timeout, enabled]);
+}
@@ -0,0 +1,25 @@
+// src/hooks/useRemoteChanges.js
+import { useEffect, useRef } from "react";
+import { subscribe } from "../data/db.js";
+
+/**
+ * Calls onChange(key) when another tab changes one of `keys` (a key or list of
+ * keys), so a page can reload its state instead of overwriting the newer data
+ * on its next save. A cleared store (key null) always matches.
+ */
+export default function useRemoteChanges(keys, onChange) {
+  const cbRef = useRef(onChange);
+  useEffect(() => {
+    cbRef.current = onChange;
+  });
+
+  const watched = [].concat(keys).filter(Boolean).join("|");
+
+  useEffect(() => {
+    const list = watched.split("|");
+    return subscribe((key, meta) => {
+      if (!meta?.remote) return;
+      if (key === null || list.includes(key)) cbRef.current(key);
+    });
+  }, [watched]);
+}
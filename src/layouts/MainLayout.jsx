@@ -1,13 +1,23 @@
-import { useState } from "react";
+import { Fragment, useState } from "react";
 import Sidebar from "../components/Sidebar";
 import ThemeToggle from "../components/ThemeToggle";
 import Navbar from "../components/Navbar";
 import MobileNavbar from "../components/MobileNavbar";
+import StorageAlert from "../components/StorageAlert";
+import LockScreen from "../components/LockScreen";
+import useAuth from "../hooks/useAuth";
+import useIdleTimer from "../hooks/useIdleTimer";
+import { IDLE_LOCK_MS } from "../data/usersData";
 
 
 
 export default function MainLayout({ children }) {
   const [isOpen, setIsOpen] = useState(false);
+  const { user, session, lock } = useAuth();
+  const locked = !!session?.lockedAt;
+
+  // lock after IDLE_LOCK_MS without input; unlocking needs the password again
+  useIdleTimer(IDLE_LOCK_MS, lock, !!session && !locked);
 
   return (
     <div className="flex min-h-screen bg-gray-100 dark:bg-gray-900 transition-colors duration-300">
@@ -45,8 +55,13 @@ export default function MainLayout({ children }) {
           transition-all duration-300
         "
       >
-        {children}
+        {/* keyed by user: a login switch in another tab remounts the page with the new user's data.
+            While locked the page is unmounted, so its data is not left in the DOM behind the lock. */}
+        {locked ? <LockScreen /> : <Fragment key={user?.id || "anon"}>{children}</Fragment>}
       </main>
+
+      {/* STORAGE WRITE FAILURES */}
+      <StorageAlert />
     </div>
   );
 }
@@ -1,10 +1,31 @@
-// src/utils/db.js
+// src/lib/db.js
 // IndexedDB Helper — clean, stable & production ready
 
 const DB_NAME = "RexxyAppDB";
-const DB_VERSION = 1;
 const STORE = "galleryImages";
 
+/*
+ * Ordered IndexedDB schema upgrades. Entry N upgrades version N to N+1;
+ * append a new step (never edit an old one) and DB_VERSION follows.
+ */
+const UPGRADES = [
+  // v1: gallery images with type / relatedId / createdAt indexes
+  (db) => {
+    if (db.objectStoreNames.contains(STORE)) return;
+    const store = db.createObjectStore(STORE, { keyPath: "id" });
+    store.createIndex("type", "type", { unique: false });
+    store.createIndex("relatedId", "relatedId", { unique: false });
+    store.createIndex("createdAt", "createdAt", { unique: false });
+  },
+  // v2: per-user galleries
+  (db, tx) => {
+    const store = tx.objectStore(STORE);
+    if (!store.indexNames.contains("ownerId")) store.createIndex("ownerId", "ownerId", { unique: false });
+  },
+];
+
+export const DB_VERSION = UPGRADES.length;
+
 /* -------------------------------------------------------------------------- */
 /*                               OPEN / UPGRADE                               */
 /* -------------------------------------------------------------------------- */
@@ -16,15 +37,11 @@ function openDB() {
 
     req.onupgradeneeded = (event) => {
       const db = req.result;
+      const tx = req.transaction;
 
-      // Create store if not exist
-      if (!db.objectStoreNames.contains(STORE)) {
-        const store = db.createObjectStore(STORE, { keyPath: "id" });
-
-        // Indexes
-        store.createIndex("type", "type", { unique: false });
-        store.createIndex("relatedId", "relatedId", { unique: false });
-        store.createIndex("createdAt", "createdAt", { unique: false });
+      // Run every step between the stored version and DB_VERSION, in order
+      for (let v = event.oldVersion; v < DB_VERSION; v++) {
+        UPGRADES[v](db, tx);
       }
     };
 
@@ -64,6 +81,36 @@ export async function getAllImages() {
   });
 }
 
+/* -------------------------------------------------------------------------- */
+/*                                  GET ONE                                    */
+/* -------------------------------------------------------------------------- */
+export async function getImage(id) {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, "readonly");
+    const req = tx.objectStore(STORE).get(id);
+
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               GET BY OWNER                                  */
+/* -------------------------------------------------------------------------- */
+export async function getImagesByOwner(ownerId) {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, "readonly");
+    const req = tx.objectStore(STORE).index("ownerId").getAll(ownerId);
+
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
 /* -------------------------------------------------------------------------- */
 /*                             GET BY TYPE (filter)                            */
 /* -------------------------------------------------------------------------- */
@@ -0,0 +1,35 @@
+// src/lib/password.js
+// Salted PBKDF2 password hashes via Web Crypto (crypto.subtle)
+
+const ALGO = "PBKDF2-SHA256";
+const ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+const toBase64 = (buf) => btoa(String.fromCharCode(...new Uint8Array(buf)));
+const fromBase64 = (s) => Uint8Array.from(atob(s), (c) => c.charCodeAt(0));
+
+async function derive(pass, salt, iterations) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(pass), "PBKDF2", false, ["deriveBits"]);
+  return crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, HASH_BITS);
+}
+
+/**
+ * @returns {Promise<{ algo: string, iterations: number, salt: string, hash: string }>}
+ */
+export async function hashPassword(pass) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const bits = await derive(pass, salt, ITERATIONS);
+  return { algo: ALGO, iterations: ITERATIONS, salt: toBase64(salt), hash: toBase64(bits) };
+}
+
+export async function verifyPassword(pass, record) {
+  if (!record || record.algo !== ALGO) return false;
+  const expected = fromBase64(record.hash);
+  const actual = new Uint8Array(await derive(pass, fromBase64(record.salt), record.iterations));
+  if (actual.length !== expected.length) return false;
+  // compare every byte so timing doesn't leak the matching prefix
+  let diff = 0;
+  for (let i = 0; i < actual.length; i++) diff |= actual[i] ^ expected[i];
+  return diff === 0;
+}
@@ -4,11 +4,17 @@ import { createRoot } from "react-dom/client";
 import App from "./App.jsx";
 import "./tailwind.css"; // tailwind generated CSS
 import { seedInitialData } from "./data/seed.js";
+import { runMigrations, retryLegacyGallery } from "./data/migrations.js";
 import 'aos/dist/aos.css';
 import AOS from 'aos';
 AOS.init();
 
 
-seedInitialData(); // only seeds if not present
-
-createRoot(document.getElementById("root")).render(<App />);
+// upgrade stored data before any page reads it, then seed fresh installs
+runMigrations()
+  .then(() => retryLegacyGallery())
+  .catch((e) => console.error("runMigrations error", e))
+  .finally(() => {
+    seedInitialData(); // only seeds if not present
+    createRoot(document.getElementById("root")).render(<App />);
+  });
@@ -0,0 +1,266 @@
+// src/pages/AdminUsers.jsx
+import React, { useEffect, useState } from "react";
+import AOS from "aos";
+import "aos/dist/aos.css";
+import useAuth from "../hooks/useAuth.js";
+import useRemoteChanges from "../hooks/useRemoteChanges.js";
+import {
+  USERS_KEY,
+  listUsers,
+  createUser,
+  setUserRole,
+  forcePasswordReset,
+  setUserDisabled,
+  deleteUser,
+} from "../data/usersData.js";
+import { getUserDataKeys } from "../data/db.js";
+import { ROLES, ROLE_LABELS, getRole } from "../data/permissions.js";
+
+/**
+ * AdminUsers.jsx (route /admin/users, users:manage permission)
+ * - Lists every account in the "users" key
+ * - Create (temporary password, must be changed on first login), change role,
+ *   force password reset, disable / enable, delete (optionally purging data)
+ * - The last enabled admin can't be demoted, disabled or deleted
+ */
+
+/* ---------- small toast hook ---------- */
+function useToast() {
+  const [msg, setMsg] = useState(null);
+  useEffect(() => {
+    if (!msg) return;
+    const t = setTimeout(() => setMsg(null), 2600);
+    return () => clearTimeout(t);
+  }, [msg]);
+  return { toast: msg, show: (m) => setMsg(m) };
+}
+
+const EMPTY_FORM = { name: "", email: "", pass: "", role: "member" };
+
+export default function AdminUsers() {
+  useEffect(() => {
+    AOS.init({ duration: 500, once: true });
+  }, []);
+
+  const { user: me } = useAuth();
+  const { toast, show } = useToast();
+
+  const [users, setUsers] = useState(() => listUsers());
+  const [search, setSearch] = useState("");
+  const [showCreate, setShowCreate] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [resetTarget, setResetTarget] = useState(null);
+  const [tempPass, setTempPass] = useState("");
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [purge, setPurge] = useState(true);
+
+  const refresh = () => setUsers(listUsers());
+  useRemoteChanges(USERS_KEY, refresh);
+
+  // run a users mutation, surface guard errors (e.g. last admin) as a toast
+  const run = async (fn, okMessage) => {
+    try {
+      await fn();
+      refresh();
+      if (okMessage) show(okMessage);
+      return true;
+    } catch (e) {
+      show(`⚠️ ${e.message}`);
+      return false;
+    }
+  };
+
+  const q = search.trim().toLowerCase();
+  const filtered = users.filter((u) => !q || (u.name || "").toLowerCase().includes(q) || (u.email || "").toLowerCase().includes(q));
+
+  /* ---------- handlers ---------- */
+  const submitCreate = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim() || !form.email.trim()) return show("⚠️ Nama dan email wajib diisi");
+    if (!/^\S+@\S+\.\S+$/.test(form.email)) return show("⚠️ Format email tidak valid");
+    if (form.pass.length < 8) return show("⚠️ Password sementara minimal 8 karakter");
+    setSaving(true);
+    const ok = await run(() => createUser({ ...form, name: form.name.trim(), email: form.email.trim() }), "✅ User dibuat");
+    setSaving(false);
+    if (ok) {
+      setForm(EMPTY_FORM);
+      setShowCreate(false);
+    }
+  };
+
+  const submitReset = async () => {
+    if (tempPass && tempPass.length < 8) return show("⚠️ Password sementara minimal 8 karakter");
+    const ok = await run(() => forcePasswordReset(resetTarget.id, tempPass), "🔑 User harus mengganti password saat login berikutnya");
+    if (ok) {
+      setResetTarget(null);
+      setTempPass("");
+    }
+  };
+
+  const submitDelete = async () => {
+    let purged = [];
+    const ok = await run(async () => {
+      purged = await deleteUser(deleteTarget.id, { purge });
+    });
+    if (ok) {
+      show(purge ? `🗑️ User dihapus (${purged.length} data key dibersihkan)` : "🗑️ User dihapus");
+      setDeleteTarget(null);
+    }
+  };
+
+  /* ---------- render ---------- */
+  return (
+    <section className="p-6 md:p-8 space-y-6 max-w-6xl mx-auto" data-aos="fade-up">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800 dark:text-gray-100">User Management</h1>
+          <p className="text-gray-500 dark:text-gray-400">Kelola akun, role, dan akses workspace.</p>
+        </div>
+        <div className="flex items-center gap-3 w-full md:w-auto">
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="🔍 Search user..."
+            className="px-4 py-2 rounded-lg border dark:bg-gray-800 dark:text-gray-200 w-full md:w-64"
+          />
+          <button onClick={() => setShowCreate(true)} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow whitespace-nowrap">Add User</button>
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-left text-gray-500 dark:text-gray-400 border-b dark:border-gray-700">
+            <tr>
+              <th className="p-3">User</th>
+              <th className="p-3">Role</th>
+              <th className="p-3">Status</th>
+              <th className="p-3">Dibuat</th>
+              <th className="p-3 text-right">Aksi</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filtered.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="p-6 text-center text-gray-500">Tidak ada user.</td>
+              </tr>
+            ) : (
+              filtered.map((u) => {
+                const isMe = u.id === me?.id;
+                return (
+                  <tr key={u.id} className="border-b last:border-0 dark:border-gray-700 text-gray-700 dark:text-gray-200">
+                    <td className="p-3">
+                      <div className="font-medium">{u.name} {isMe && <span className="text-xs text-blue-600">(kamu)</span>}</div>
+                      <div className="text-xs text-gray-500">{u.email}</div>
+                    </td>
+                    <td className="p-3">
+                      <select
+                        value={getRole(u)}
+                        onChange={(e) => run(() => setUserRole(u.id, e.target.value), "✏️ Role diperbarui")}
+                        className="p-1 border rounded dark:bg-gray-900"
+                      >
+                        {ROLES.map((r) => (
+                          <option key={r} value={r}>{ROLE_LABELS[r]}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="p-3 space-x-1">
+                      {u.disabled ? (
+                        <span className="px-2 py-0.5 rounded-full text-xs bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200">Disabled</span>
+                      ) : (
+                        <span className="px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-700 dark:bg-green-900 dark:text-green-200">Active</span>
+                      )}
+                      {u.passChangeRequired && (
+                        <span className="px-2 py-0.5 rounded-full text-xs bg-amber-100 text-amber-700 dark:bg-amber-900 dark:text-amber-200">Reset pending</span>
+                      )}
+                    </td>
+                    <td className="p-3 text-xs text-gray-500">{u.createdAt ? new Date(u.createdAt).toLocaleDateString() : "-"}</td>
+                    <td className="p-3">
+                      <div className="flex justify-end gap-2">
+                        <button onClick={() => setResetTarget(u)} className="px-2 py-1 border rounded text-xs">Reset Password</button>
+                        <button
+                          onClick={() => run(() => setUserDisabled(u.id, !u.disabled), u.disabled ? "✅ User diaktifkan" : "⛔ User dinonaktifkan")}
+                          disabled={isMe}
+                          className="px-2 py-1 border rounded text-xs disabled:opacity-40"
+                        >
+                          {u.disabled ? "Enable" : "Disable"}
+                        </button>
+                        <button onClick={() => { setPurge(true); setDeleteTarget(u); }} disabled={isMe} className="px-2 py-1 bg-red-500 text-white rounded text-xs disabled:opacity-40">Delete</button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* -------- Create modal -------- */}
+      {showCreate && (
+        <div className="fixed inset-0 z-50 flex items-start justify-center p-4 overflow-y-auto">
+          <div className="fixed inset-0 bg-black/40" onClick={() => setShowCreate(false)} />
+          <form onSubmit={submitCreate} className="relative bg-white dark:bg-gray-900 rounded-xl p-6 z-50 w-full max-w-md shadow-lg space-y-3">
+            <h3 className="text-lg font-semibold">Add User</h3>
+            <input value={form.name} onChange={(e) => setForm((s) => ({ ...s, name: e.target.value }))} placeholder="Nama" className="w-full p-2 border rounded dark:bg-gray-800 dark:text-gray-100" />
+            <input value={form.email} onChange={(e) => setForm((s) => ({ ...s, email: e.target.value }))} type="email" placeholder="Email" className="w-full p-2 border rounded dark:bg-gray-800 dark:text-gray-100" />
+            <input value={form.pass} onChange={(e) => setForm((s) => ({ ...s, pass: e.target.value }))} type="password" autoComplete="new-password" placeholder="Password sementara" className="w-full p-2 border rounded dark:bg-gray-800 dark:text-gray-100" />
+            <select value={form.role} onChange={(e) => setForm((s) => ({ ...s, role: e.target.value }))} className="w-full p-2 border rounded dark:bg-gray-800 dark:text-gray-100">
+              {ROLES.map((r) => (
+                <option key={r} value={r}>{ROLE_LABELS[r]}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500">User wajib mengganti password sementara saat login pertama.</p>
+            <div className="flex justify-end gap-3 pt-2">
+              <button type="button" onClick={() => setShowCreate(false)} className="px-4 py-2 rounded border">Batal</button>
+              <button type="submit" disabled={saving} className="px-4 py-2 bg-blue-600 text-white rounded">{saving ? "Menyimpan..." : "Buat User"}</button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* -------- Reset password modal -------- */}
+      {resetTarget && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+          <div className="absolute inset-0 bg-black/40" onClick={() => setResetTarget(null)} />
+          <div className="relative bg-white dark:bg-gray-900 rounded-xl p-6 w-full max-w-md shadow-lg space-y-3">
+            <h3 className="text-lg font-semibold">Reset password: {resetTarget.name}</h3>
+            <p className="text-sm text-gray-500">User harus memilih password baru saat login berikutnya. Isi password sementara jika user lupa password lamanya.</p>
+            <input value={tempPass} onChange={(e) => setTempPass(e.target.value)} type="password" autoComplete="new-password" placeholder="Password sementara (opsional)" className="w-full p-2 border rounded dark:bg-gray-800 dark:text-gray-100" />
+            <div className="flex justify-end gap-3">
+              <button onClick={() => { setResetTarget(null); setTempPass(""); }} className="px-4 py-2 rounded border">Batal</button>
+              <button onClick={submitReset} className="px-4 py-2 bg-amber-500 text-white rounded">Force Reset</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* -------- Delete modal -------- */}
+      {deleteTarget && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+          <div className="absolute inset-0 bg-black/40" onClick={() => setDeleteTarget(null)} />
+          <div className="relative bg-white dark:bg-gray-900 rounded-xl p-6 w-full max-w-md shadow-lg space-y-3">
+            <h3 className="text-lg font-semibold">Hapus user {deleteTarget.name}?</h3>
+            <label className="flex items-start gap-2 text-sm">
+              <input type="checkbox" checked={purge} onChange={(e) => setPurge(e.target.checked)} className="mt-1" />
+              <span>
+                Hapus juga data milik user ini
+                <span className="block text-xs text-gray-500">{getUserDataKeys(deleteTarget.id).join(", ") || "Tidak ada data tersimpan"}</span>
+              </span>
+            </label>
+            <div className="flex justify-end gap-3">
+              <button onClick={() => setDeleteTarget(null)} className="px-4 py-2 rounded border">Batal</button>
+              <button onClick={submitDelete} className="px-4 py-2 bg-red-600 text-white rounded">Hapus</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {toast && (
+        <div className="fixed right-4 bottom-6 z-50">
+          <div className="bg-black/80 text-white px-4 py-2 rounded shadow">{toast}</div>
+        </div>
+      )}
+    </section>
+  );
+}
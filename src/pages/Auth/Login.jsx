@@ -1,7 +1,8 @@
 // FINAL: Login.jsx — NO THEME TOGGLE, IMPROVED UI (Light/Dark auto, all backgrounds/forms white)
 import { useEffect, useRef, useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { useLocation, useNavigate } from "react-router-dom";
 import useAuth from "../../hooks/useAuth";
+import { needsFirstRunSetup } from "../../data/usersData.js";
 import AOS from "aos";
 import "aos/dist/aos.css";
 
@@ -9,12 +10,17 @@ import "aos/dist/aos.css";
  * Login.jsx — final
  * - Theme chosen from localStorage or system, but UI backgrounds/forms are white
  * - 3D card tilt, parallax variables, AOS animations
- * - Admin demo bypass retained
+ * - Fresh installs are sent to /setup to create the admin password
+ * - "Remember me" extends the session; after login the user returns to the
+ *   page ProtectedRoute sent them away from (location.state.from)
  */
 
 export default function Login() {
   const navigate = useNavigate();
-  const { login, setUser } = useAuth();
+  const location = useLocation();
+  const from = location.state?.from;
+  const returnTo = from && from.pathname !== "/login" ? `${from.pathname}${from.search || ""}${from.hash || ""}` : "/dashboard";
+  const { login } = useAuth();
 
   // Theme (auto from localStorage or system)
   const [theme] = useState(() => {
@@ -28,6 +34,7 @@ export default function Login() {
 
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  const [remember, setRemember] = useState(false);
   const [errors, setErrors] = useState({});
   const [showPass, setShowPass] = useState(false);
   const [shake, setShake] = useState(false);
@@ -51,6 +58,11 @@ export default function Login() {
     }, 100);
   }, []);
 
+  // nobody can log in until the admin account has a password
+  useEffect(() => {
+    if (needsFirstRunSetup()) navigate("/setup", { replace: true });
+  }, [navigate]);
+
   useEffect(() => {
     if (typeof document !== "undefined") {
       document.documentElement.classList.toggle("dark", theme === "dark");
@@ -80,18 +92,8 @@ export default function Login() {
 
     setLoading(true);
 
-    // Demo admin bypass
-    if (email === "admin@astrava.com" && password === "150410") {
-      const adminUser = { id: "admin", name: "admin", email: "admin@astrava.com", role: "admin" };
-      localStorage.setItem("activeUser", JSON.stringify("admin"));
-      localStorage.setItem("astrava_user", JSON.stringify("admin"));
-      setUser(adminUser);
-      navigate("/dashboard");
-      return;
-    }
-
     try {
-      const maybePromise = login({ email, pass: password });
+      const maybePromise = login({ email, pass: password, remember });
       const result =
         maybePromise && typeof maybePromise.then === "function"
           ? await maybePromise
@@ -104,7 +106,7 @@ export default function Login() {
         return triggerShake();
       }
 
-      navigate("/dashboard");
+      navigate(result.user.passChangeRequired ? "/setup" : returnTo, { replace: true });
     } catch (err) {
       setLoading(false);
       setErrors({ form: "Terjadi kesalahan. Coba lagi." });
@@ -232,7 +234,7 @@ export default function Login() {
           {/* Row: remember / forgot */}
           <div className="flex items-center justify-between text-xs">
             <label className="flex items-center gap-2">
-              <input type="checkbox" className="form-checkbox h-4 w-4 rounded text-blue-600" />
+              <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} className="form-checkbox h-4 w-4 rounded text-blue-600" />
               <span className="opacity-80">Remember me</span>
             </label>
             <button type="button" onClick={() => navigate("/forgot-password")} className="text-xs underline opacity-80">
@@ -1,11 +1,13 @@
 // FINAL REGISTER PAGE (UI SELARAS LOGIN)
 import { useState, useEffect, useRef } from "react";
 import { useNavigate } from "react-router-dom";
+import useAuth from "../../hooks/useAuth";
 import AOS from "aos";
 import "aos/dist/aos.css";
 
 export default function Register() {
   const navigate = useNavigate();
+  const { register } = useAuth();
 
   const [name, setName] = useState("");
   const [email, setEmail] = useState("");
@@ -53,7 +55,7 @@ export default function Register() {
     card.style.transform = `perspective(900px) rotateX(0deg) rotateY(0deg) scale(1)`;
   };
 
-  const handleRegister = () => {
+  const handleRegister = async () => {
     setError("");
 
     if (!name || !email || !pass || !confirm) {
@@ -66,22 +68,16 @@ export default function Register() {
       return triggerShake();
     }
 
-    const existing = JSON.parse(localStorage.getItem("astrava_accounts")) || [];
+    setLoading(true);
 
-    if (existing.some((acc) => acc.email === email)) {
-      setError("Email sudah digunakan!");
+    const result = await register({ name, email, pass });
+    if (!result.ok) {
+      setLoading(false);
+      setError(result.message === "Email sudah terdaftar" ? "Email sudah digunakan!" : result.message);
       return triggerShake();
     }
 
-    setLoading(true);
-
-    setTimeout(() => {
-      existing.push({ name, email, pass });
-      localStorage.setItem("astrava_accounts", JSON.stringify(existing));
-      localStorage.setItem("astrava_login", "true");
-      localStorage.setItem("astrava_user", name);
-      navigate("/dashboard");
-    }, 800);
+    navigate("/dashboard");
   };
 
   return (
@@ -0,0 +1,107 @@
+// src/pages/Auth/Setup.jsx
+import { useState } from "react";
+import { Navigate, useNavigate } from "react-router-dom";
+import useAuth from "../../hooks/useAuth";
+import { needsFirstRunSetup, getPendingAdmin, completeAdminSetup, setPassword } from "../../data/usersData.js";
+
+/**
+ * Setup.jsx
+ * - First run: the seeded admin has no password; whoever opens the app first sets
+ *   the admin name/email/password here (no more hardcoded admin login)
+ * - Logged-in users with passChangeRequired (e.g. after an admin reset) must
+ *   choose a new password here before reaching the app
+ */
+export default function Setup() {
+  const navigate = useNavigate();
+  const { user, logout } = useAuth();
+
+  const [firstRun] = useState(() => needsFirstRunSetup());
+  const [name, setName] = useState(() => getPendingAdmin()?.name || "");
+  const [email, setEmail] = useState(() => getPendingAdmin()?.email || "");
+  const [pass, setPass] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  if (!firstRun) {
+    if (!user) return <Navigate to="/login" replace />;
+    if (!user.passChangeRequired) return <Navigate to="/dashboard" replace />;
+  }
+
+  const handleSubmit = async (ev) => {
+    ev.preventDefault();
+    setError("");
+
+    if (firstRun && (!name || !email)) return setError("Nama dan email wajib diisi!");
+    if (firstRun && !/^\S+@\S+\.\S+$/.test(email)) return setError("Format email tidak valid");
+    if (pass.length < 8) return setError("Password minimal 8 karakter");
+    if (pass !== confirm) return setError("Password tidak sama!");
+
+    setLoading(true);
+    try {
+      if (firstRun) await completeAdminSetup({ name, email, pass });
+      else await setPassword(user.id, pass);
+      navigate("/dashboard", { replace: true });
+    } catch (e) {
+      setLoading(false);
+      setError(e.message || "Gagal menyimpan password");
+    }
+  };
+
+  const inputCls = "w-full px-4 py-3 rounded-xl border bg-white dark:bg-slate-900 border-gray-200 dark:border-slate-700";
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-b from-white to-slate-50 dark:from-slate-900 dark:to-black px-4">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-md p-8 rounded-2xl shadow-2xl border bg-white dark:bg-slate-800 border-gray-200 dark:border-slate-700 text-slate-900 dark:text-white"
+      >
+        <h2 className="text-2xl font-extrabold text-center mb-2">{firstRun ? "Setup Admin" : "Ganti Password"}</h2>
+        <p className="text-sm opacity-70 text-center mb-6">
+          {firstRun
+            ? "Buat akun administrator untuk workspace Astrava ini."
+            : "Password kamu harus diganti sebelum melanjutkan."}
+        </p>
+
+        {firstRun && (
+          <>
+            <div className="mb-4">
+              <label className="block mb-1 text-sm font-medium">Full Name</label>
+              <input type="text" value={name} onChange={(e) => setName(e.target.value)} className={inputCls} />
+            </div>
+            <div className="mb-4">
+              <label className="block mb-1 text-sm font-medium">Email</label>
+              <input type="email" autoComplete="username" value={email} onChange={(e) => setEmail(e.target.value)} className={inputCls} />
+            </div>
+          </>
+        )}
+
+        <div className="mb-4">
+          <label className="block mb-1 text-sm font-medium">Password baru</label>
+          <input type="password" autoComplete="new-password" value={pass} onChange={(e) => setPass(e.target.value)} placeholder="••••••••" className={inputCls} />
+        </div>
+        <div className="mb-4">
+          <label className="block mb-1 text-sm font-medium">Confirm Password</label>
+          <input type="password" autoComplete="new-password" value={confirm} onChange={(e) => setConfirm(e.target.value)} placeholder="••••••••" className={inputCls} />
+        </div>
+
+        {error && <p className="text-red-500 text-sm text-center mb-3">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={loading}
+          className={`w-full py-3 rounded-xl font-semibold flex items-center justify-center gap-3 text-white bg-[#1e3a8a] hover:bg-[#162a67] ${loading ? "opacity-60 cursor-not-allowed" : ""}`}
+        >
+          {loading && <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>}
+          {loading ? "Processing..." : firstRun ? "Create Admin" : "Save Password"}
+        </button>
+
+        {!firstRun && (
+          <button type="button" onClick={() => { logout(); navigate("/login"); }} className="w-full mt-3 text-sm underline opacity-80">
+            Logout
+          </button>
+        )}
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,271 @@
+// src/pages/Calendar.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import AOS from "aos";
+import "aos/dist/aos.css";
+import useAuth from "../hooks/useAuth.js";
+import useDataChanges from "../hooks/useDataChanges.js";
+import { loadProjects, saveProjects, loadAllTasks, loadTasks, saveTasks, logActivity, getProjectsKey, isUserTaskKey } from "../data/db.js";
+import { PERMISSIONS, DENIED_MESSAGE } from "../data/permissions.js";
+import { toDayKey } from "../data/analytics.js";
+import { WEEKDAY_LABELS, visibleDays, shiftAnchor, calendarItems, rescheduledDeadline } from "../data/calendar.js";
+import { toIcs } from "../data/ical.js";
+
+/**
+ * Calendar.jsx — /calendar
+ * - Month / week grid of the deadlines of all the user's tasks (every task list) and projects
+ * - Drag an item to another day to reschedule it (tasks:write / projects:write)
+ * - Overdue items (deadline passed, not completed) are highlighted
+ * - Export the shown kinds as an .ics file for desktop calendar apps (tasks as events or to-dos)
+ * - Live-updates when projects or task lists change (this tab or another)
+ */
+
+const MONTH_PREVIEW = 3; // items per day cell in month mode, the rest behind "+n"
+
+const downloadICS = (text, filename) => {
+  const blob = new Blob([text], { type: "text/calendar;charset=utf-8" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(a.href);
+};
+
+// ---------- Toast ----------
+function useToast() {
+  const [msg, setMsg] = useState(null);
+  useEffect(() => {
+    if (!msg) return;
+    const t = setTimeout(() => setMsg(null), 2600);
+    return () => clearTimeout(t);
+  }, [msg]);
+  return { show: (m) => setMsg(m), Toast: () => (msg ? <div className="fixed right-4 bottom-6 z-50"><div className="bg-black/80 text-white px-4 py-2 rounded shadow">{msg}</div></div> : null) };
+}
+
+export default function Calendar() {
+  useEffect(() => {
+    AOS.init({ duration: 400, once: true });
+  }, []);
+
+  const { user, can } = useAuth();
+  const userId = user?.id ?? null;
+  const { show, Toast } = useToast();
+
+  const [tasks, setTasks] = useState(() => loadAllTasks(userId));
+  const [projects, setProjects] = useState(() => loadProjects(userId));
+  const [mode, setMode] = useState("month");
+  const [anchor, setAnchor] = useState(() => toDayKey(new Date()));
+  const [showTasks, setShowTasks] = useState(true);
+  const [showProjects, setShowProjects] = useState(true);
+  const [hideDone, setHideDone] = useState(false);
+  const [dragged, setDragged] = useState(null); // CalendarItem being dragged
+  const [overDay, setOverDay] = useState(null);
+  const [tasksAs, setTasksAs] = useState("VEVENT");
+
+  useDataChanges(
+    (key) => key === getProjectsKey(userId) || isUserTaskKey(userId, key),
+    () => {
+      setTasks(loadAllTasks(userId));
+      setProjects(loadProjects(userId));
+    }
+  );
+
+  const today = toDayKey(new Date());
+  const items = useMemo(
+    () => calendarItems(tasks, projects, today).filter((i) => (i.kind === "task" ? showTasks : showProjects) && !(hideDone && i.done)),
+    [tasks, projects, today, showTasks, showProjects, hideDone]
+  );
+  const byDay = useMemo(() => {
+    const map = new Map();
+    for (const item of items) map.set(item.day, [...(map.get(item.day) || []), item]);
+    return map;
+  }, [items]);
+
+  const days = visibleDays(anchor, mode);
+  const month = anchor.slice(0, 7);
+  const overdueCount = items.filter((i) => i.overdue).length;
+  const title =
+    mode === "month"
+      ? new Date(`${anchor}T12:00:00`).toLocaleDateString([], { month: "long", year: "numeric" })
+      : `${new Date(`${days[0]}T12:00:00`).toLocaleDateString([], { day: "numeric", month: "short" })} – ${new Date(`${days[6]}T12:00:00`).toLocaleDateString([], { day: "numeric", month: "short", year: "numeric" })}`;
+
+  const canMove = (item) => can(item.kind === "task" ? PERMISSIONS.TASKS_WRITE : PERMISSIONS.PROJECTS_WRITE);
+
+  /* ---------- Reschedule ---------- */
+  const reschedule = (item, day) => {
+    if (!item || item.day === day) return;
+    if (!canMove(item)) return show(DENIED_MESSAGE);
+    const deadline = rescheduledDeadline(item.kind, day);
+    const now = new Date().toISOString();
+    const move = (r) => (String(r.id) === String(item.id) ? { ...r, deadline, updatedAt: now } : r);
+    if (item.kind === "task") saveTasks(userId, item.projectId, loadTasks(userId, item.projectId).map(move));
+    else saveProjects(userId, loadProjects(userId).map(move));
+    logActivity(userId, {
+      entityType: item.kind,
+      entityId: item.id,
+      action: "updated",
+      payload: item.kind === "task" ? { title: item.title, deadline, projectId: item.projectId } : { name: item.title, deadline },
+    });
+    show(`📅 "${item.title}" dipindah ke ${new Date(`${day}T12:00:00`).toLocaleDateString()}`);
+  };
+
+  const onDrop = (e, day) => {
+    e.preventDefault();
+    setOverDay(null);
+    reschedule(dragged, day);
+    setDragged(null);
+  };
+
+  /* ---------- Export (.ics) ---------- */
+  // the kinds currently shown, every date (not only the visible month/week)
+  const exportIcs = () => {
+    const keep = (done) => !(hideDone && done);
+    const exported = {
+      tasks: showTasks ? tasks.filter((t) => keep(t.status === "completed")) : [],
+      projects: showProjects ? projects.filter((p) => keep(p.status === "Completed")) : [],
+    };
+    const count = calendarItems(exported.tasks, exported.projects).length;
+    if (!count) return show("⚠️ Tidak ada deadline untuk diekspor");
+    downloadICS(toIcs({ ...exported, tasksAs }), `astrava_deadlines_${userId || "global"}.ics`);
+    show(`💾 ${count} deadline exported (.ics)`);
+  };
+
+  const openWeek = (day) => {
+    setMode("week");
+    setAnchor(day);
+  };
+
+  return (
+    <section className="p-6 space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4" data-aos="fade-down">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800 dark:text-gray-100">📅 Calendar</h1>
+          <p className="text-gray-500 dark:text-gray-400">Deadline task dan project. Geser item ke hari lain untuk menjadwalkan ulang.</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="flex items-center gap-1 bg-gray-100 dark:bg-gray-800 rounded-md p-1">
+            {[["month", "Bulan"], ["week", "Minggu"]].map(([id, label]) => (
+              <button key={id} onClick={() => setMode(id)} className={`px-3 py-1 text-sm rounded-md transition ${mode === id ? "bg-white dark:bg-neutral-900 shadow-sm" : "text-gray-500 dark:text-gray-400"}`}>
+                {label}
+              </button>
+            ))}
+          </div>
+          <button onClick={() => setAnchor((a) => shiftAnchor(a, mode, -1))} className="px-3 py-1.5 border rounded-md" aria-label="Sebelumnya">‹</button>
+          <button onClick={() => setAnchor(today)} className="px-3 py-1.5 border rounded-md text-sm">Hari ini</button>
+          <button onClick={() => setAnchor((a) => shiftAnchor(a, mode, 1))} className="px-3 py-1.5 border rounded-md" aria-label="Berikutnya">›</button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        <h2 className="text-xl font-semibold text-gray-800 dark:text-gray-100 mr-auto capitalize">{title}</h2>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={showTasks} onChange={(e) => setShowTasks(e.target.checked)} />
+          <span className="w-2.5 h-2.5 rounded-full bg-blue-500" /> Tasks
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={showProjects} onChange={(e) => setShowProjects(e.target.checked)} />
+          <span className="w-2.5 h-2.5 rounded-full bg-indigo-600" /> Projects
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={hideDone} onChange={(e) => setHideDone(e.target.checked)} />
+          Sembunyikan yang selesai
+        </label>
+        {overdueCount > 0 && <span className="px-3 py-1 rounded-full bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-200 text-xs font-medium">{overdueCount} overdue</span>}
+        <div className="flex items-center gap-2">
+          <select value={tasksAs} onChange={(e) => setTasksAs(e.target.value)} title="Bentuk task di file .ics" className="border rounded-md px-2 py-1.5 dark:bg-gray-800 dark:text-gray-100">
+            <option value="VEVENT">Task sebagai event</option>
+            <option value="VTODO">Task sebagai to-do</option>
+          </select>
+          <button onClick={exportIcs} className="border rounded-md px-3 py-1.5">Export .ics</button>
+        </div>
+      </div>
+
+      {/* Grid */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow overflow-hidden">
+        <div className="grid grid-cols-7 border-b dark:border-gray-700 text-xs font-medium text-gray-500 dark:text-gray-400">
+          {WEEKDAY_LABELS.map((d) => (
+            <div key={d} className="px-2 py-2 text-center">{d}</div>
+          ))}
+        </div>
+        <div className="grid grid-cols-7">
+          {days.map((day) => {
+            const dayItems = byDay.get(day) || [];
+            const shown = mode === "month" ? dayItems.slice(0, MONTH_PREVIEW) : dayItems;
+            const outside = mode === "month" && day.slice(0, 7) !== month;
+            return (
+              <div
+                key={day}
+                onDragOver={(e) => {
+                  if (!dragged) return;
+                  e.preventDefault();
+                  e.dataTransfer.dropEffect = "move";
+                  if (overDay !== day) setOverDay(day);
+                }}
+                onDragLeave={() => setOverDay((d) => (d === day ? null : d))}
+                onDrop={(e) => onDrop(e, day)}
+                className={`border-b border-r dark:border-gray-700 p-1.5 ${mode === "week" ? "min-h-[320px]" : "min-h-[110px]"} ${outside ? "bg-gray-50 dark:bg-gray-900/40" : ""} ${overDay === day ? "bg-blue-50 dark:bg-blue-900/30" : ""}`}
+              >
+                <div className="flex justify-between items-center mb-1">
+                  <span className={`text-xs w-6 h-6 flex items-center justify-center rounded-full ${day === today ? "bg-blue-600 text-white font-semibold" : outside ? "text-gray-400" : "text-gray-700 dark:text-gray-200"}`}>
+                    {Number(day.slice(8))}
+                  </span>
+                </div>
+                <ul className="space-y-1">
+                  {shown.map((item) => (
+                    <CalendarChip
+                      key={item.key}
+                      item={item}
+                      draggable={canMove(item)}
+                      dragging={dragged?.key === item.key}
+                      onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = "move";
+                        setDragged(item);
+                      }}
+                      onDragEnd={() => {
+                        setDragged(null);
+                        setOverDay(null);
+                      }}
+                    />
+                  ))}
+                </ul>
+                {dayItems.length > shown.length && (
+                  <button onClick={() => openWeek(day)} className="mt-1 text-xs text-blue-600 hover:underline">+{dayItems.length - shown.length} lagi</button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <Toast />
+    </section>
+  );
+}
+
+/* ---------- one deadline on the grid ---------- */
+function CalendarChip({ item, draggable, dragging, onDragStart, onDragEnd }) {
+  const to = item.kind === "project" ? `/projects/${item.id}` : item.projectId ? `/projects/${item.projectId}/tasks` : "/tasks";
+  const tone = item.overdue
+    ? "bg-red-100 text-red-700 border-red-400 dark:bg-red-900/50 dark:text-red-200"
+    : item.done
+      ? "bg-green-50 text-green-700 border-green-400 line-through dark:bg-green-900/30 dark:text-green-300"
+      : item.kind === "project"
+        ? "bg-indigo-50 text-indigo-700 border-indigo-500 dark:bg-indigo-900/40 dark:text-indigo-200"
+        : "bg-blue-50 text-blue-700 border-blue-500 dark:bg-blue-900/40 dark:text-blue-200";
+  return (
+    <li
+      draggable={draggable}
+      onDragStart={onDragStart}
+      onDragEnd={onDragEnd}
+      title={`${item.kind === "project" ? "Project" : "Task"}: ${item.title}${item.overdue ? " (overdue)" : ""}`}
+      className={`text-xs rounded border-l-4 px-1.5 py-1 truncate ${tone} ${draggable ? "cursor-grab" : ""} ${dragging ? "opacity-50" : ""}`}
+    >
+      <Link to={to} draggable={false} className="hover:underline">
+        {item.kind === "project" ? "📁 " : ""}
+        {item.title}
+      </Link>
+    </li>
+  );
+}
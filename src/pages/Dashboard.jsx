@@ -1,35 +1,77 @@
 // src/pages/Dashboard.jsx
-import React, { useEffect, useMemo, useState, useRef } from "react";
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
 import AOS from "aos"; // AOS
 import "aos/dist/aos.css"; // AOS CSS
-
-// --- Helpers for localStorage ---
-const readJSON = (key, fallback = null) => {
-  try {
-    const raw = localStorage.getItem(key);
-    return raw ? JSON.parse(raw) : fallback;
-  } catch {
-    return fallback;
-  }
-};
-const writeJSON = (key, value) => {
-  try {
-    localStorage.setItem(key, JSON.stringify(value));
-  } catch {}
-};
-
-const KEY_STATS = "dashboardStats";
-const KEY_PROJECTS = "projects";
-const KEY_TASKS = "tasks_global";
-
-// Default stats
-const DEFAULT_STATS = {
-  totalProjects: 0,
-  completedProjects: 0,
-  activeProjects: 0,
-  recentActivities: [],
-  productivityScore: 0,
-};
+import useAuth from "../hooks/useAuth.js";
+import useDataChanges from "../hooks/useDataChanges.js";
+import DashboardCharts from "../components/DashboardCharts.jsx";
+import {
+  loadProjects,
+  loadAllTasks,
+  loadStats,
+  saveStats,
+  loadActivityLog,
+  logActivity,
+  clearActivityLog,
+  loadSettings,
+  getProjectsKey,
+  getSettingsKey,
+  getActivityKey,
+  isUserTaskKey,
+} from "../data/db.js";
+import { computeDashboardStats, sameStats } from "../data/dashboardStats.js";
+import { ENTITY_ICONS, describeActivity, dayKey, dayLabel } from "../data/activityFormat.js";
+
+/* ---------- activity feed helpers ---------- */
+const ENTITY_FILTERS = [
+  { id: "all", label: "Semua" },
+  { id: "project", label: "Projects" },
+  { id: "task", label: "Tasks" },
+  { id: "gallery", label: "Gallery" },
+  { id: "note", label: "Notes" },
+];
+
+/* ---------- productivity score tooltip ---------- */
+// how today's score was computed (see src/data/productivity.js)
+function ScoreBreakdown({ breakdown, score }) {
+  if (!breakdown) return null;
+  const { completion, overdue, streak, streakDays, earned, possible, counts } = breakdown;
+  const rows = [
+    { label: `Penyelesaian (${earned}/${possible} poin bobot)`, value: `+${completion}` },
+    { label: `Overdue (${counts.overdue} task)`, value: `−${overdue}` },
+    { label: `Streak (${streakDays} hari)`, value: `+${streak}` },
+  ];
+  return (
+    <div className="relative group">
+      <button
+        type="button"
+        aria-label="Cara skor dihitung"
+        className="w-8 h-8 rounded-full bg-white/20 hover:bg-white/30 focus:bg-white/30 flex items-center justify-center"
+      >
+        <i className="fa-solid fa-circle-info" />
+      </button>
+      <div className="hidden group-hover:block group-focus-within:block absolute right-0 top-10 z-20 w-72 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-200 rounded-xl shadow-2xl p-4 text-sm">
+        <p className="font-semibold mb-2">Skor hari ini</p>
+        <ul className="space-y-1">
+          {rows.map((r) => (
+            <li key={r.label} className="flex justify-between gap-3">
+              <span className="text-gray-500 dark:text-gray-400">{r.label}</span>
+              <span className="font-medium">{r.value}</span>
+            </li>
+          ))}
+        </ul>
+        <div className="flex justify-between border-t dark:border-gray-700 mt-2 pt-2 font-semibold">
+          <span>Total (0–100)</span>
+          <span>{score}</span>
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+          {counts.onTime} tepat waktu, {counts.late} terlambat. Bobot bisa diatur di Settings → Scoring.
+        </p>
+      </div>
+    </div>
+  );
+}
 
 export default function Dashboard() {
   // Init AOS
@@ -42,158 +84,80 @@ export default function Dashboard() {
     });
   }, []);
 
-  const [stats, setStats] = useState(() => readJSON(KEY_STATS, DEFAULT_STATS));
-  const [projects, setProjects] = useState(() => readJSON(KEY_PROJECTS, []));
-  const [tasks, setTasks] = useState(() => readJSON(KEY_TASKS, []));
+  // Current user (projects, tasks, stats and activity are all scoped to them)
+  const { user } = useAuth();
+  const currentUserName = user?.name || user?.email || "Guest";
+  const userId = user?.id ?? null;
+
+  const [stats, setStats] = useState(() => loadStats(userId));
+  const [projects, setProjects] = useState(() => loadProjects(userId));
+  const [tasks, setTasks] = useState(() => loadAllTasks(userId));
+  const [activities, setActivities] = useState(() => loadActivityLog(userId));
   const [search, setSearch] = useState("");
-  const [filteredActivities, setFilteredActivities] = useState([]);
+  const [entityFilter, setEntityFilter] = useState("all");
   const [showAddModal, setShowAddModal] = useState(false);
   const [newActivityText, setNewActivityText] = useState("");
   const [showClearConfirm, setShowClearConfirm] = useState(false);
 
-  const autoSyncRef = useRef(null);
-
-  // Current user
-  const currentUserRaw = useMemo(() => {
-    return (
-      readJSON("currentUser") ||
-      readJSON("auth:user") ||
-      readJSON("rememberedUser") ||
-      JSON.parse(localStorage.getItem("auth:user") || "null")
-    );
-  }, []);
-
-  const currentUserName =
-    (currentUserRaw &&
-      (currentUserRaw.name ||
-        currentUserRaw.username ||
-        currentUserRaw.email)) ||
-    localStorage.getItem("astrava_user") ||
-    "Guest";
-
-  // Compute stats
-  const computeStats = (projList = [], taskList = [], stored = DEFAULT_STATS) => {
-    const totalProjects = projList.length;
-    const completedProjects = projList.filter(
-      (p) => (p.status || "").toLowerCase() === "completed"
-    ).length;
-    const activeProjects = totalProjects - completedProjects;
-
-    const totalTasks = taskList.length;
-    const doneTasks = taskList.filter((t) => {
-      const s = (t.status || "").toLowerCase();
-      return s === "done" || s === "completed";
-    }).length;
-
-    const productivityScore = Math.min(
-      100,
-      Math.round(
-        ((completedProjects + doneTasks) /
-          Math.max(totalProjects + totalTasks, 1)) *
-          100
-      )
-    );
-
-    return {
-      totalProjects,
-      completedProjects,
-      activeProjects,
-      productivityScore,
-      recentActivities: stored.recentActivities || [],
-    };
-  };
-
-  // Load initial
-  useEffect(() => {
-    const p = readJSON(KEY_PROJECTS, []);
-    const t = readJSON(KEY_TASKS, []);
-    const s = readJSON(KEY_STATS, DEFAULT_STATS);
-    const computed = computeStats(p, t, s);
-    writeJSON(KEY_STATS, computed);
+  // recompute from the user's projects and task lists; KEY_STATS is only
+  // rewritten when a number actually moved
+  const refreshStats = () => {
+    const p = loadProjects(userId);
+    const t = loadAllTasks(userId);
+    const computed = computeDashboardStats(p, t, loadSettings(userId).scoring);
+    if (!sameStats(loadStats(userId), computed)) saveStats(userId, computed);
     setProjects(p);
     setTasks(t);
     setStats(computed);
-  }, []);
+  };
 
-  // Auto-sync
+  // Load initial
   useEffect(() => {
-    if (autoSyncRef.current) clearInterval(autoSyncRef.current);
-    autoSyncRef.current = setInterval(() => {
-      const p = readJSON(KEY_PROJECTS, []);
-      const t = readJSON(KEY_TASKS, []);
-      const s = readJSON(KEY_STATS, DEFAULT_STATS);
-      const computed = computeStats(p, t, s);
-      writeJSON(KEY_STATS, computed);
-      setProjects(p);
-      setTasks(t);
-      setStats(computed);
-    }, 15000);
-    return () => clearInterval(autoSyncRef.current);
-  }, []);
+    refreshStats();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [userId]);
+
+  // Live updates: any write to this user's projects, tasks, scoring settings or
+  // activity log, from this tab or another one
+  useDataChanges(
+    (key) => [getProjectsKey(userId), getSettingsKey(userId), getActivityKey(userId)].includes(key) || isUserTaskKey(userId, key),
+    (keys) => {
+      const all = keys.has(null);
+      if (all || [...keys].some((k) => k !== getActivityKey(userId))) refreshStats();
+      if (all || keys.has(getActivityKey(userId))) setActivities(loadActivityLog(userId));
+    }
+  );
 
-  // Filter activity
-  useEffect(() => {
-    const list = (stats.recentActivities || []).slice().reverse();
-    if (!search) setFilteredActivities(list);
-    else {
-      const q = search.toLowerCase();
-      setFilteredActivities(list.filter((a) => String(a).toLowerCase().includes(q)));
+  // Filter activity, then group by day (the log is stored newest first)
+  const activityGroups = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    const groups = [];
+    for (const ev of activities) {
+      if (entityFilter !== "all" && ev.entityType !== entityFilter) continue;
+      const text = describeActivity(ev);
+      if (q && !text.toLowerCase().includes(q)) continue;
+      const key = dayKey(ev.timestamp);
+      if (groups[groups.length - 1]?.key !== key) groups.push({ key, label: dayLabel(ev.timestamp), items: [] });
+      groups[groups.length - 1].items.push({ ...ev, text });
     }
-  }, [search, stats]);
-
-  const formatActivity = (raw) => {
-    const s = String(raw || "");
-    const m = s.match(/\[(.*?)\]\s*/);
-    const time = m
-      ? m[1]
-      : new Date().toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
-    const text = s.replace(/\[.*?\]\s*/, "");
-
-    let emoji = "📝";
-    const lower = text.toLowerCase();
-    if (lower.includes("project")) emoji = "📁";
-    else if (lower.includes("task")) emoji = "✅";
-    else if (lower.includes("bug") || lower.includes("fix")) emoji = "🛠️";
-    else if (lower.includes("meeting")) emoji = "📅";
-    else if (lower.includes("plan")) emoji = "🧩";
-
-    return { time, text, emoji };
-  };
+    return groups;
+  }, [activities, search, entityFilter]);
 
   const addActivity = () => {
     if (!newActivityText.trim()) return;
-    const time = new Date().toLocaleTimeString([], {
-      hour: "2-digit",
-      minute: "2-digit",
-    });
-    const entry = `[${time}] ${newActivityText.trim()}`;
-
-    const s = readJSON(KEY_STATS, DEFAULT_STATS);
-    s.recentActivities = s.recentActivities || [];
-    s.recentActivities.push(entry);
-    writeJSON(KEY_STATS, s);
-    setStats(computeStats(projects, tasks, s));
+    logActivity(userId, { entityType: "note", action: "noted", payload: { text: newActivityText.trim() } });
     setNewActivityText("");
     setShowAddModal(false);
   };
 
   const clearActivitiesConfirmed = () => {
-    const s = readJSON(KEY_STATS, DEFAULT_STATS);
-    s.recentActivities = [];
-    writeJSON(KEY_STATS, s);
-    setStats(computeStats(projects, tasks, s));
+    clearActivityLog(userId);
     setShowClearConfirm(false);
   };
 
   const recalcNow = () => {
-    const p = readJSON(KEY_PROJECTS, []);
-    const t = readJSON(KEY_TASKS, []);
-    const s = readJSON(KEY_STATS, DEFAULT_STATS);
-    const computed = computeStats(p, t, s);
-    writeJSON(KEY_STATS, computed);
-    setProjects(p);
-    setTasks(t);
-    setStats(computed);
+    refreshStats();
+    setActivities(loadActivityLog(userId));
   };
 
   const progressPct = Math.round(
@@ -258,8 +222,11 @@ export default function Dashboard() {
               : "💤 Need Focus"}
           </p>
         </div>
-        <div className="text-6xl font-extrabold drop-shadow-lg">
-          {stats.productivityScore}%
+        <div className="flex items-center gap-4">
+          <div className="text-6xl font-extrabold drop-shadow-lg">
+            {stats.productivityScore}%
+          </div>
+          <ScoreBreakdown breakdown={stats.productivityBreakdown} score={stats.productivityScore} />
         </div>
       </div>
 
@@ -289,12 +256,28 @@ export default function Dashboard() {
       icon: "fa-spinner",
       color: "bg-yellow-500",
     },
+    {
+      title: "Total Tasks",
+      value: stats.totalTasks,
+      icon: "fa-list-check",
+      color: "bg-indigo-600",
+    },
+    {
+      title: "Tasks Done",
+      value: stats.completedTasks,
+      icon: "fa-check-double",
+      color: "bg-teal-600",
+    },
+    {
+      title: "Overdue",
+      value: stats.overdueTasks,
+      icon: "fa-clock",
+      color: stats.overdueTasks ? "bg-red-600" : "bg-gray-500",
+    },
   ].map((s, idx) => (
     <div
       key={idx}
-      className={`${
-        idx === 2 ? "col-span-2 md:col-span-1" : ""
-      } ${s.color} text-white p-6 rounded-2xl shadow-xl hover:scale-[1.05] hover:shadow-2xl transition-all duration-300 text-center flex flex-col items-center justify-center min-h-[110px]`}
+      className={`${s.color} text-white p-6 rounded-2xl shadow-xl hover:scale-[1.05] hover:shadow-2xl transition-all duration-300 text-center flex flex-col items-center justify-center min-h-[110px]`}
     >
       <div className="text-4xl mb-2">
         <i className={`fa-solid ${s.icon}`} />
@@ -326,6 +309,17 @@ export default function Dashboard() {
             {progressPct}% Completed
           </p>
 
+          <p className="mt-4 text-sm font-semibold text-gray-700 dark:text-gray-200">Tasks</p>
+          <div className="w-full bg-gray-300 dark:bg-gray-700 h-3 rounded-full overflow-hidden shadow-inner mt-1">
+            <div
+              className="h-3 bg-indigo-500 transition-all duration-1000 ease-in-out rounded-full"
+              style={{ width: `${stats.taskCompletionRate}%` }}
+            ></div>
+          </div>
+          <p className="text-right text-sm text-gray-600 dark:text-gray-400 mt-2">
+            {stats.completedTasks}/{stats.totalTasks} tasks · {stats.taskCompletionRate}%
+          </p>
+
           <div className="mt-6 grid grid-cols-2 gap-3">
             <div>
               <p className="text-xs opacity-70">Projects</p>
@@ -341,6 +335,27 @@ export default function Dashboard() {
             </div>
           </div>
 
+          {/* per-project task breakdown */}
+          {stats.byProject?.some((r) => r.total > 0) && (
+            <ul className="mt-5 space-y-2 text-sm">
+              {stats.byProject
+                .filter((r) => r.total > 0)
+                .map((r) => (
+                  <li key={r.projectId ?? "none"} className="flex justify-between gap-3 text-gray-700 dark:text-gray-200">
+                    {r.projectId != null ? (
+                      <Link to={`/projects/${r.projectId}`} className="truncate hover:underline">{r.name}</Link>
+                    ) : (
+                      <span className="truncate">{r.name}</span>
+                    )}
+                    <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                      {r.completed}/{r.total} ({r.completionRate}%)
+                      {r.overdue > 0 && <span className="text-red-500 ml-2">{r.overdue} overdue</span>}
+                    </span>
+                  </li>
+                ))}
+            </ul>
+          )}
+
           <div className="mt-5 flex gap-3">
             <button
               onClick={recalcNow}
@@ -362,6 +377,9 @@ export default function Dashboard() {
         </div>
       </div>
 
+      {/* ANALYTICS */}
+      <DashboardCharts projects={projects} tasks={tasks} />
+
       {/* ACTIVITIES */}
       <div
         className="bg-white dark:bg-gray-800 rounded-3xl p-6 shadow-lg"
@@ -379,33 +397,50 @@ export default function Dashboard() {
           </button>
         </div>
 
-        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
-          {filteredActivities.length === 0 ? (
-            <li className="py-4 text-center text-gray-500 dark:text-gray-400">
-              No activities yet.
-            </li>
-          ) : (
-            filteredActivities.map((act, idx) => {
-              const { time, text, emoji } = formatActivity(act);
-
-              return (
-                <li
-                  key={idx}
-                  data-aos="fade-up"
-                  data-aos-delay={idx * 80}
-                  className="py-3 px-3 flex justify-between items-center hover:bg-gray-50 dark:hover:bg-gray-700 rounded-lg transition"
-                >
-                  <span className="flex items-center gap-2 text-gray-700 dark:text-gray-200">
-                    {emoji} {text}
-                  </span>
-                  <span className="text-xs text-gray-500 dark:text-gray-400">
-                    {time}
-                  </span>
-                </li>
-              );
-            })
-          )}
-        </ul>
+        <div className="flex flex-wrap gap-2 mb-4">
+          {ENTITY_FILTERS.map((f) => (
+            <button
+              key={f.id}
+              onClick={() => setEntityFilter(f.id)}
+              className={`px-3 py-1 rounded-full text-sm border transition ${
+                entityFilter === f.id
+                  ? "bg-blue-600 text-white border-blue-600"
+                  : "border-gray-300 dark:border-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+              }`}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+
+        {activityGroups.length === 0 ? (
+          <p className="py-4 text-center text-gray-500 dark:text-gray-400">
+            No activities yet.
+          </p>
+        ) : (
+          activityGroups.map((group) => (
+            <div key={group.key} className="mb-4">
+              <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-1">
+                {group.label}
+              </h3>
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {group.items.map((act) => (
+                  <li
+                    key={act.id}
+                    className="py-3 px-3 flex justify-between items-center hover:bg-gray-50 dark:hover:bg-gray-700 rounded-lg transition"
+                  >
+                    <span className="flex items-center gap-2 text-gray-700 dark:text-gray-200">
+                      {ENTITY_ICONS[act.entityType] || "📝"} {act.text}
+                    </span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                      {new Date(act.timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))
+        )}
       </div>
 
       {/* FOOTER */}
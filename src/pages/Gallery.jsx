@@ -2,37 +2,30 @@
 import React, { useEffect, useMemo, useState, useRef } from "react";
 import AOS from "aos";
 import "aos/dist/aos.css";
+import { blobToDataUrl, logActivity } from "../data/db.js";
+import useGallery from "../hooks/useGallery.js";
+import useAuth from "../hooks/useAuth.js";
+import { PERMISSIONS, DENIED_MESSAGE } from "../data/permissions.js";
+import { readJsonFile, validateRecords, validateGalleryEntry } from "../data/validators.js";
+import { GALLERY_MERGE_FIELDS, planImport, resolvePlan } from "../data/importMerge.js";
+import ImportReport from "../components/ImportReport.jsx";
 
 /**
  * Gallery (Final+)
- * - LocalStorage persistence (KEY_GALLERY)
+ * - IndexedDB persistence via useGallery (images stored as Blobs)
  * - Upload (manual), Viewer modal with edit/delete/download/copy-ref
  * - Undo delete (toast with Undo)
- * - Export / Import JSON (merge)
+ * - Viewer accounts browse only (gallery:write / gallery:delete permissions)
+ * - Export / Import JSON (validated; diff preview with per-conflict choice)
  * - Sort (newest/oldest)
  * - Search + filter tabs
  * - Accessibility: keyboard (Enter to open, Esc to close), aria attributes
  * - AOS animations + responsive masonry via CSS columns
  */
 
-// ----- Storage keys & helpers -----
-const KEY_GALLERY = "gallery";
+// ----- Limits & helpers -----
 const MAX_UPLOAD_SIZE = 8 * 1024 * 1024; // 8MB
 
-const readJSON = (key, fallback = []) => {
-  try {
-    const raw = localStorage.getItem(key);
-    return raw ? JSON.parse(raw) : fallback;
-  } catch {
-    return fallback;
-  }
-};
-const writeJSON = (key, v) => {
-  try {
-    localStorage.setItem(key, JSON.stringify(v));
-  } catch {}
-};
-
 function makeEntry({ id, type = "manual", refId = null, title = "", description = "", image = "" }) {
   return {
     id: id ?? (crypto?.randomUUID ? crypto.randomUUID() : String(Date.now())),
@@ -88,7 +81,10 @@ function useToast() {
 
 // ----- Component -----
 export default function Gallery() {
-  const [items, setItems] = useState(() => readJSON(KEY_GALLERY, []));
+  const { user, can } = useAuth();
+  const { items, loading, add, update, remove, reload } = useGallery(user?.id);
+  const canWrite = can(PERMISSIONS.GALLERY_WRITE);
+  const canDelete = can(PERMISSIONS.GALLERY_DELETE);
   const [filter, setFilter] = useState("all"); // all | project | task | manual
   const [query, setQuery] = useState("");
   const [uploadOpen, setUploadOpen] = useState(false);
@@ -102,8 +98,10 @@ export default function Gallery() {
   const [selected, setSelected] = useState(null);
   const [editTitle, setEditTitle] = useState("");
   const [editDesc, setEditDesc] = useState("");
-  const [loading, setLoading] = useState(true);
   const [sortOrder, setSortOrder] = useState("newest"); // newest | oldest
+  const [importReport, setImportReport] = useState(null);
+  const [importPlan, setImportPlan] = useState(null);
+  const [importBusy, setImportBusy] = useState(false);
 
   // undo delete buffer
   const lastDeletedRef = useRef(null);
@@ -115,13 +113,10 @@ export default function Gallery() {
   // AOS init
   useEffect(() => {
     AOS.init({ duration: 420, once: true, easing: "ease-out-cubic" });
-    const t = setTimeout(() => setLoading(false), 200);
-    return () => clearTimeout(t);
   }, []);
 
-  // persist items
+  // re-run animations when the list changes
   useEffect(() => {
-    writeJSON(KEY_GALLERY, items);
     AOS.refresh();
   }, [items]);
 
@@ -130,7 +125,7 @@ export default function Gallery() {
     const onKey = (e) => {
       if (e.key === "Escape") {
         if (selected) {
-          closeViewer();
+          setSelected(null);
         } else if (uploadOpen) {
           setUploadOpen(false);
         }
@@ -140,6 +135,16 @@ export default function Gallery() {
     return () => window.removeEventListener("keydown", onKey);
   }, [selected, uploadOpen]);
 
+  // no page scrolling behind the open viewer
+  const viewerOpen = !!selected;
+  useEffect(() => {
+    if (!viewerOpen) return;
+    document.body.style.overflow = "hidden";
+    return () => {
+      document.body.style.overflow = "";
+    };
+  }, [viewerOpen]);
+
   // filtered + search + sort
   const filtered = useMemo(() => {
     const q = (query || "").trim().toLowerCase();
@@ -171,7 +176,7 @@ export default function Gallery() {
     </div>
   );
 
-  // file -> dataURL
+  // file -> dataURL (preview only; the File itself is stored)
   const handleUploadFile = (file) => {
     if (!file) {
       setUploadFile(null);
@@ -191,7 +196,8 @@ export default function Gallery() {
   // save manual
   const handleAddManual = async (e) => {
     e && e.preventDefault && e.preventDefault();
-    if (!uploadPreview) return alert("Pilih gambar terlebih dahulu.");
+    if (!canWrite) return show(DENIED_MESSAGE);
+    if (!uploadFile) return alert("Pilih gambar terlebih dahulu.");
     setSaving(true);
     const entry = makeEntry({
       id: crypto?.randomUUID ? crypto.randomUUID() : undefined,
@@ -199,9 +205,18 @@ export default function Gallery() {
       refId: uploadRefId || null,
       title: uploadTitle || "Dokumentasi",
       description: uploadDesc || "",
-      image: uploadPreview,
+      image: uploadFile,
     });
-    setItems((s) => [entry, ...s]);
+    let saved;
+    try {
+      saved = await add(entry);
+    } catch (err) {
+      console.error(err);
+      setSaving(false);
+      show("❌ Gagal menyimpan dokumentasi");
+      return;
+    }
+    logActivity(user?.id, { entityType: "gallery", entityId: saved.id, action: "uploaded", payload: { title: saved.title, type: saved.type, refId: saved.refId } });
     // reset
     setUploadFile(null);
     setUploadPreview(null);
@@ -219,31 +234,40 @@ export default function Gallery() {
     setSelected(it);
     setEditTitle(it.title || "");
     setEditDesc(it.description || "");
-    document.body.style.overflow = "hidden";
-  };
-  const closeViewer = () => {
-    setSelected(null);
-    document.body.style.overflow = "";
   };
+  const closeViewer = () => setSelected(null);
 
   // save edits
-  const saveEdit = () => {
+  const saveEdit = async () => {
     if (!selected) return;
-    setItems((prev) => prev.map((it) => (it.id === selected.id ? { ...it, title: editTitle, description: editDesc } : it)));
-    setSelected((s) => (s ? { ...s, title: editTitle, description: editDesc } : s));
+    if (!canWrite) return show(DENIED_MESSAGE);
+    const next = { ...selected, title: editTitle, description: editDesc, updatedAt: new Date().toISOString() };
+    try {
+      await update(next);
+    } catch {
+      show("❌ Gagal menyimpan perubahan");
+      return;
+    }
+    setSelected((s) => (s ? next : s));
     show("✏️ Perubahan tersimpan");
   };
 
   // delete with undo
-  const deleteSelected = (id) => {
-    // store deleted item for undo
+  const deleteSelected = async (id) => {
+    if (!canDelete) return show(DENIED_MESSAGE);
+    // store deleted item for undo (keeps its Blob)
     const toDelete = items.find((it) => it.id === id);
     if (!toDelete) return;
 
     lastDeletedRef.current = { item: toDelete, timestamp: Date.now() };
-    // optimistic remove
-    setItems((prev) => prev.filter((it) => it.id !== id));
     closeViewer();
+    try {
+      await remove(id);
+    } catch {
+      lastDeletedRef.current = null;
+      show("❌ Gagal menghapus gambar");
+      return;
+    }
 
     // show toast with undo
     show("Gambar dihapus", {
@@ -251,7 +275,7 @@ export default function Gallery() {
         label: "Undo",
         onClick: () => {
           if (lastDeletedRef.current?.item) {
-            setItems((prev) => [lastDeletedRef.current.item, ...prev]);
+            add(lastDeletedRef.current.item).catch(() => show("❌ Undo gagal"));
             lastDeletedRef.current = null;
           }
         },
@@ -271,16 +295,20 @@ export default function Gallery() {
     if (!it || !it.image) return;
     const a = document.createElement("a");
     a.href = it.image;
-    const ext = (it.image.split(";")[0].split("/")[1] || "png").replace(/[^a-z0-9]/gi, "");
+    const mime = it.blob?.type || it.image.split(";")[0].split(":")[1] || "";
+    const ext = (mime.split("/")[1] || "png").replace(/[^a-z0-9]/gi, "");
     a.download = `${(it.title || "image").replace(/\s+/g, "_")}.${ext}`;
     document.body.appendChild(a);
     a.click();
     a.remove();
   };
 
-  // export gallery JSON
-  const exportGallery = () => {
-    const blob = new Blob([JSON.stringify(items, null, 2)], { type: "application/json" });
+  // export gallery JSON (Blobs inlined back to data URLs)
+  const exportGallery = async () => {
+    const rows = await Promise.all(
+      items.map(async ({ blob: img, url, ...it }) => ({ ...it, image: img ? await blobToDataUrl(img) : url || "" }))
+    );
+    const blob = new Blob([JSON.stringify(rows, null, 2)], { type: "application/json" });
     const a = document.createElement("a");
     a.href = URL.createObjectURL(blob);
     a.download = `technorex_gallery_${new Date().toISOString().slice(0, 10)}.json`;
@@ -291,33 +319,47 @@ export default function Gallery() {
     show("💾 Gallery diekspor");
   };
 
-  // import gallery JSON (merge, avoid duplicates by id)
-  const importGallery = (file) => {
+  // import gallery JSON: validate every entry, diff against the gallery, review, then write
+  const importGallery = async (file) => {
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = (ev) => {
-      try {
-        const arr = JSON.parse(ev.target.result);
-        if (!Array.isArray(arr)) throw new Error("invalid");
-        const existing = new Set(items.map((it) => String(it.id)));
-        const toAdd = arr.filter((it) => !existing.has(String(it.id))).map((it) => ({ ...it, id: String(it.id) }));
-        if (toAdd.length) {
-          setItems((prev) => [...toAdd, ...prev]);
-          show(`✅ ${toAdd.length} item diimpor`);
-        } else {
-          show("⚠️ Tidak ada item baru untuk diimpor");
-        }
-      } catch {
-        show("❌ File import tidak valid");
-      }
-    };
-    reader.readAsText(file);
+    if (!canWrite) return show(DENIED_MESSAGE);
+    const { data, error } = await readJsonFile(file);
+    if (error) return show(`❌ ${error}`);
+    const report = validateRecords(data, validateGalleryEntry);
+    // compare images as data URLs, like the export writes them
+    const byId = new Map(items.map((it) => [String(it.id), it]));
+    const local = await Promise.all(
+      report.accepted
+        .filter((it) => byId.has(it.id))
+        .map(async (it) => {
+          const { blob: img, url, ...mine } = byId.get(it.id);
+          return { ...mine, image: img ? await blobToDataUrl(img) : url || "" };
+        })
+    );
+    setImportPlan(planImport(local, report.accepted, { fields: GALLERY_MERGE_FIELDS }));
+    setImportReport(report);
   };
 
-  // sync from storage (useful when tasks/pages write KEY_GALLERY)
-  const syncFromStorage = () => {
-    const g = readJSON(KEY_GALLERY, []);
-    setItems(Array.isArray(g) ? g : []);
+  const resolveImport = (id, resolution) => setImportPlan((plan) => plan.map((r) => (r.id === id ? { ...r, resolution } : r)));
+  const closeImport = () => {
+    setImportReport(null);
+    setImportPlan(null);
+  };
+
+  const confirmImport = async () => {
+    const { put, copies } = resolvePlan(importPlan);
+    const toAdd = [...put, ...copies];
+    setImportBusy(true);
+    const results = await Promise.allSettled(toAdd.map((it) => add(it)));
+    const failed = results.filter((r) => r.status === "rejected").length;
+    setImportBusy(false);
+    closeImport();
+    show(failed ? `❌ ${failed} dari ${toAdd.length} item gagal diimpor` : `✅ ${toAdd.length} item diimpor`);
+  };
+
+  // sync from storage (useful when other pages added documentation)
+  const syncFromStorage = async () => {
+    await reload();
     AOS.refresh();
     show("🔁 Gallery disinkronkan");
   };
@@ -387,8 +429,15 @@ export default function Gallery() {
               <option value="newest">Newest</option>
               <option value="oldest">Oldest</option>
             </select>
-            <button onClick={() => setUploadOpen((s) => !s)} className="px-3 py-2 bg-blue-600 text-white rounded-md text-sm hover:opacity-95">+ Add</button>
+            {canWrite && <button onClick={() => setUploadOpen((s) => !s)} className="px-3 py-2 bg-blue-600 text-white rounded-md text-sm hover:opacity-95">+ Add</button>}
             <button onClick={syncFromStorage} className="px-3 py-2 border rounded-md text-sm">Sync</button>
+            <button onClick={exportGallery} className="px-3 py-2 border rounded-md text-sm">Export</button>
+            {canWrite && (
+              <label className="px-3 py-2 border rounded-md text-sm cursor-pointer">
+                Import
+                <input type="file" accept="application/json" className="hidden" onChange={(e) => { importGallery(e.target.files?.[0]); e.target.value = ""; }} />
+              </label>
+            )}
           </div>
         </div>
       </div>
@@ -499,21 +548,21 @@ export default function Gallery() {
             <div className="p-4 flex flex-col">
               <div className="flex items-start justify-between gap-4">
                 <div className="flex-1">
-                  <input value={editTitle} onChange={(e) => setEditTitle(e.target.value)} className="w-full text-lg font-semibold bg-transparent border-b pb-1 focus:outline-none" />
+                  <input value={editTitle} readOnly={!canWrite} onChange={(e) => setEditTitle(e.target.value)} className="w-full text-lg font-semibold bg-transparent border-b pb-1 focus:outline-none" />
                   <div className="text-xs text-gray-500 mt-1">Tipe: <strong className="capitalize">{selected.type}</strong> {selected.refId ? <>• Ref: <code className="bg-gray-100 px-1 rounded text-xs">{selected.refId}</code> <button onClick={() => copyRef(selected.refId)} className="ml-2 text-xs px-2 py-1 rounded border">Copy</button></> : null}</div>
                 </div>
 
                 <div className="flex flex-col items-end gap-2">
                   <button onClick={() => downloadImage(selected)} className="px-3 py-1 rounded-md border text-sm">Download</button>
-                  <button onClick={() => deleteSelected(selected.id)} className="px-3 py-1 rounded-md bg-red-600 text-white text-sm">Delete</button>
+                  {canDelete && <button onClick={() => deleteSelected(selected.id)} className="px-3 py-1 rounded-md bg-red-600 text-white text-sm">Delete</button>}
                 </div>
               </div>
 
-              <textarea value={editDesc} onChange={(e) => setEditDesc(e.target.value)} rows={8} className="mt-3 p-2 border rounded-md flex-1 resize-none" placeholder="Deskripsi..." />
+              <textarea value={editDesc} readOnly={!canWrite} onChange={(e) => setEditDesc(e.target.value)} rows={8} className="mt-3 p-2 border rounded-md flex-1 resize-none" placeholder="Deskripsi..." />
 
               <div className="mt-4 flex items-center justify-end gap-2">
                 <button onClick={closeViewer} className="px-4 py-2 rounded-md border">Tutup</button>
-                <button onClick={() => { saveEdit(); }} className="px-4 py-2 bg-blue-600 text-white rounded-md">Simpan</button>
+                {canWrite && <button onClick={() => { saveEdit(); }} className="px-4 py-2 bg-blue-600 text-white rounded-md">Simpan</button>}
               </div>
             </div>
           </div>
@@ -531,6 +580,10 @@ export default function Gallery() {
         .line-clamp-2 { display: -webkit-box; -webkit-line-clamp: 2; -webkit-box-orient: vertical; overflow: hidden; }
       `}</style>
 
+      {importReport && (
+        <ImportReport title="Import gallery" report={importReport} plan={importPlan} onResolve={resolveImport} busy={importBusy} onCancel={closeImport} onConfirm={confirmImport} />
+      )}
+
       {/* Toast */}
       <Toast />
     </main>
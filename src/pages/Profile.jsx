@@ -1,7 +1,11 @@
 // src/pages/Profile.jsx
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import AOS from "aos";
 import "aos/dist/aos.css";
+import { loadProfile, saveProfile as storeProfile } from "../data/db.js";
+import useAuth from "../hooks/useAuth.js";
+import { readJsonFile, validateObject, validateProfile } from "../data/validators.js";
+import ImportReport from "../components/ImportReport.jsx";
 
 /**
  * Profile.jsx (Refined & Optimized)
@@ -15,32 +19,10 @@ import "aos/dist/aos.css";
  *   • Robust responsive layout (no horizontal overflow)
  *
  * Notes:
- * - Data stored under localStorage key `userProfile_<activeUser>`.
+ * - Data stored under localStorage key `userProfile_<activeUser>` (see getProfileKey in src/data/db.js).
  * - Uses Tailwind utility classes throughout.
  */
 
-/* --------------------------- Helpers --------------------------- */
-const readJSON = (k, fallback = null) => {
-  try {
-    const raw = localStorage.getItem(k);
-    return raw ? JSON.parse(raw) : fallback;
-  } catch {
-    return fallback;
-  }
-};
-const writeJSON = (k, v) => {
-  try {
-    localStorage.setItem(k, JSON.stringify(v));
-  } catch {}
-};
-
-function getActiveUser() {
-  return localStorage.getItem("activeUser") || null;
-}
-function getProfileKey(user) {
-  return user ? `userProfile_${user}` : null;
-}
-
 /* --------------------------- Defaults --------------------------- */
 function defaultProfile() {
   return {
@@ -89,15 +71,12 @@ export default function ProfilePage() {
     AOS.init({ duration: 600, once: true });
   }, []);
 
-  const activeUser = useMemo(() => getActiveUser(), []);
-  const profileKey = useMemo(() => getProfileKey(activeUser), [activeUser]);
+  const { user } = useAuth();
+  const activeUser = user?.id ?? null;
   const { toast, show } = useToast();
 
   // profile state (persisted)
-  const [profile, setProfile] = useState(() => {
-    if (!profileKey) return defaultProfile();
-    return readJSON(profileKey, defaultProfile());
-  });
+  const [profile, setProfile] = useState(() => loadProfile(activeUser, defaultProfile()));
 
   // ensure stats exist
   useEffect(() => {
@@ -117,6 +96,7 @@ export default function ProfilePage() {
   const [theme, setTheme] = useState(profile.theme || "light");
   const [social, setSocial] = useState(profile.social || { github: "", instagram: "", linkedin: "" });
   const [importing, setImporting] = useState(false);
+  const [importReport, setImportReport] = useState(null);
 
   // cropper refs & state
   const [cropOpen, setCropOpen] = useState(false);
@@ -131,9 +111,9 @@ export default function ProfilePage() {
 
   // persist profile when changes (debounced not necessary here but kept simple)
   useEffect(() => {
-    if (!profileKey) return;
-    writeJSON(profileKey, profile);
-  }, [profileKey, profile]);
+    if (!activeUser) return;
+    storeProfile(activeUser, profile);
+  }, [activeUser, profile]);
 
   // apply live theme & accent
   useEffect(() => {
@@ -153,7 +133,7 @@ export default function ProfilePage() {
   /* --------------------------- Helpers --------------------------- */
   function persistProfile(next) {
     setProfile(next);
-    if (profileKey) writeJSON(profileKey, next);
+    storeProfile(activeUser, next);
   }
 
   function saveProfile() {
@@ -179,7 +159,7 @@ export default function ProfilePage() {
   }
 
   function resetProfile() {
-    if (!profileKey) return;
+    if (!activeUser) return;
     if (!confirm("Reset profile to default?")) return;
     const def = defaultProfile();
     persistProfile(def);
@@ -200,42 +180,37 @@ export default function ProfilePage() {
     const blob = new Blob([JSON.stringify(profile, null, 2)], { type: "application/json" });
     const a = document.createElement("a");
     a.href = URL.createObjectURL(blob);
-    a.download = `profile_${getActiveUser() || "backup"}.json`;
+    a.download = `profile_${activeUser || "backup"}.json`;
     a.click();
     show("💾 Profile exported");
   }
 
-  function importProfile(file) {
+  // validate, show which fields are dropped, then merge into the current profile on confirm
+  async function importProfile(file) {
     if (!file) return;
     setImporting(true);
-    const reader = new FileReader();
-    reader.onload = (ev) => {
-      try {
-        const json = JSON.parse(ev.target.result);
-        if (!json.name || !json.email) {
-          show("❌ Invalid profile JSON");
-          setImporting(false);
-          return;
-        }
-        persistProfile(json);
-        setUsername(json.username || "");
-        setHandle(json.handle || "");
-        setName(json.name || "");
-        setEmail(json.email || "");
-        setBio(json.bio || "");
-        setAvatar(json.avatar || defaultProfile().avatar);
-        setAccent(json.accent || "blue");
-        setTheme(json.theme || "light");
-        setSocial(json.social || { github: "", instagram: "", linkedin: "" });
-        setCover(json.cover || "");
-        show("📂 Profile imported");
-      } catch {
-        show("❌ Invalid JSON file");
-      } finally {
-        setImporting(false);
-      }
-    };
-    reader.readAsText(file);
+    const { data, error } = await readJsonFile(file);
+    setImporting(false);
+    if (error) return show(`❌ ${error}`);
+    const report = validateObject(data, (raw) => validateProfile(raw, { accents: ACCENT_KEYS }));
+    setImportReport({ ...report, note: report.rejected.length ? "Field yang ditolak tidak diimpor; field lain tetap dipakai." : "" });
+  }
+
+  function confirmImport() {
+    const next = { ...profile, ...importReport.accepted[0] };
+    persistProfile(next);
+    setUsername(next.username || "");
+    setHandle(next.handle || "");
+    setName(next.name || "");
+    setEmail(next.email || "");
+    setBio(next.bio || "");
+    setAvatar(next.avatar || defaultProfile().avatar);
+    setAccent(next.accent || "blue");
+    setTheme(next.theme || "light");
+    setSocial(next.social || { github: "", instagram: "", linkedin: "" });
+    setCover(next.cover || "");
+    setImportReport(null);
+    show("📂 Profile imported");
   }
 
   /* --------------------------- Avatar & Crop --------------------------- */
@@ -661,7 +636,7 @@ export default function ProfilePage() {
           {/* Actions */}
           <div className="flex flex-wrap gap-3 justify-end">
             <button type="button" onClick={exportProfile} className="px-4 py-2 border rounded hover:bg-gray-100">Export</button>
-            <input id="profileImportInput" type="file" accept="application/json" className="hidden" onChange={(e) => importProfile(e.target.files?.[0])} />
+            <input id="profileImportInput" type="file" accept="application/json" className="hidden" onChange={(e) => { importProfile(e.target.files?.[0]); e.target.value = ""; }} />
             <button type="button" onClick={() => document.getElementById("profileImportInput").click()} className="px-4 py-2 border rounded hover:bg-gray-100">{importing ? "Importing..." : "Import"}</button>
             <button type="button" onClick={resetProfile} className="px-4 py-2 bg-gray-400 text-white rounded hover:bg-gray-500">Reset</button>
             <button type="submit" className={`px-4 py-2 rounded text-white ${accentCls.bg}`}>Save</button>
@@ -670,6 +645,8 @@ export default function ProfilePage() {
 
         <div className="text-center text-xs text-gray-400 mt-4">Tip: Random avatar uses DiceBear; Upload lets you crop before saving.</div>
 
+        {importReport && <ImportReport title="Import profile" report={importReport} onCancel={() => setImportReport(null)} onConfirm={confirmImport} />}
+
         {/* Toast */}
         {toast && (
           <div className="fixed right-4 bottom-6 z-50">
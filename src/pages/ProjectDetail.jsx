@@ -0,0 +1,280 @@
+// src/pages/ProjectDetail.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import AOS from "aos";
+import "aos/dist/aos.css";
+import {
+  loadProjects,
+  saveProjects,
+  loadTasks,
+  loadActivityLog,
+  getProjectsKey,
+  getTasksKey,
+  getActivityKey,
+} from "../data/db.js";
+import { ENTITY_ICONS, describeActivity, dayKey, dayLabel } from "../data/activityFormat.js";
+import { projectProgress } from "../data/subprojects.js";
+import { formatDeadline } from "../data/analytics.js";
+import useAuth from "../hooks/useAuth.js";
+import useGallery from "../hooks/useGallery.js";
+import useDataChanges from "../hooks/useDataChanges.js";
+import { PERMISSIONS } from "../data/permissions.js";
+
+/**
+ * ProjectDetail.jsx — /projects/:projectId
+ * - Project header with weighted subproject progress; subprojects (owner, deadline,
+ *   notes) can be ticked off here and are edited in the Projects modal
+ * - Task summary for tasks_<user>_<projectId>, linking to /projects/:projectId/tasks
+ * - Documentation: gallery entries whose refId is the project
+ * - Timeline: the project's events from the activity log (its tasks and their uploads included)
+ * - Live-updates on project, task list and activity changes (this tab or another)
+ */
+
+const TASK_PREVIEW = 8;
+const STATUS_PILL = {
+  pending: "bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200",
+  inprogress: "bg-blue-100 text-blue-700 dark:bg-blue-900 dark:text-blue-200",
+  completed: "bg-green-100 text-green-700 dark:bg-green-900 dark:text-green-200",
+};
+
+const findProject = (userId, projectId) => loadProjects(userId).find((p) => String(p.id) === projectId) || null;
+
+// open tasks first (earliest deadline first), completed ones last
+const byUrgency = (a, b) =>
+  (a.status === "completed") - (b.status === "completed") || (a.deadline || "9999").localeCompare(b.deadline || "9999");
+
+/* ---------- Component ---------- */
+// keyed by the id so moving between projects starts from fresh state
+export default function ProjectDetail() {
+  const { projectId } = useParams();
+  return <ProjectView key={projectId} projectId={projectId} />;
+}
+
+function ProjectView({ projectId }) {
+  useEffect(() => {
+    AOS.init({ duration: 400, once: true });
+  }, []);
+
+  const { user, can } = useAuth();
+  const userId = user?.id ?? null;
+  const canWrite = can(PERMISSIONS.PROJECTS_WRITE);
+
+  const [project, setProject] = useState(() => findProject(userId, projectId));
+  const [tasks, setTasks] = useState(() => loadTasks(userId, projectId));
+  const [activity, setActivity] = useState(() => loadActivityLog(userId));
+  const { items: galleryItems } = useGallery(userId);
+
+  useDataChanges(
+    (key) => [getProjectsKey(userId), getTasksKey(userId, projectId), getActivityKey(userId)].includes(key),
+    (keys) => {
+      const all = keys.has(null);
+      if (all || keys.has(getProjectsKey(userId))) setProject(findProject(userId, projectId));
+      if (all || keys.has(getTasksKey(userId, projectId))) setTasks(loadTasks(userId, projectId));
+      if (all || keys.has(getActivityKey(userId))) setActivity(loadActivityLog(userId));
+    }
+  );
+
+  const taskStats = useMemo(() => {
+    const completed = tasks.filter((t) => t.status === "completed").length;
+    return { total: tasks.length, completed, percent: tasks.length ? Math.round((completed / tasks.length) * 100) : 0 };
+  }, [tasks]);
+
+  const documentation = useMemo(() => galleryItems.filter((it) => String(it.refId ?? "") === projectId), [galleryItems, projectId]);
+
+  // events about the project, its tasks (payload.projectId) and documentation of either
+  const timeline = useMemo(() => {
+    const taskIds = new Set(tasks.map((t) => String(t.id)));
+    return activity.filter((ev) => {
+      const p = ev.payload || {};
+      if (ev.entityType === "project") return ev.entityId === projectId;
+      if (String(p.projectId ?? "") === projectId) return true;
+      return ev.entityType === "gallery" && (String(p.refId ?? "") === projectId || taskIds.has(String(p.refId ?? "")));
+    });
+  }, [activity, tasks, projectId]);
+
+  const timelineByDay = useMemo(() => {
+    const groups = [];
+    for (const ev of timeline) {
+      const last = groups[groups.length - 1];
+      if (last && last.key === dayKey(ev.timestamp)) last.events.push(ev);
+      else groups.push({ key: dayKey(ev.timestamp), label: dayLabel(ev.timestamp), events: [ev] });
+    }
+    return groups;
+  }, [timeline]);
+
+  const toggleSubproject = (subId) => {
+    if (!canWrite) return;
+    const now = new Date().toISOString();
+    const next = loadProjects(userId).map((p) =>
+      String(p.id) !== projectId
+        ? p
+        : {
+            ...p,
+            subprojects: (p.subprojects || []).map((s) => (s.id === subId ? { ...s, status: s.status === "Completed" ? "In Progress" : "Completed" } : s)),
+            updatedAt: now,
+          }
+    );
+    saveProjects(userId, next);
+  };
+
+  if (!project) {
+    return (
+      <section className="p-6 md:p-8 max-w-3xl mx-auto text-center space-y-4">
+        <h1 className="text-2xl font-bold text-gray-800 dark:text-gray-100">Project tidak ditemukan</h1>
+        <p className="text-gray-500 dark:text-gray-400">Project ini sudah dihapus atau bukan milik akun kamu.</p>
+        <Link to="/projects" className="inline-block px-4 py-2 bg-blue-600 text-white rounded-lg">← Kembali ke Projects</Link>
+      </section>
+    );
+  }
+
+  const progress = projectProgress(project);
+  const tech = (project.tech || "").split(",").map((t) => t.trim()).filter(Boolean);
+
+  return (
+    <section className="p-6 md:p-8 space-y-6 max-w-6xl mx-auto" data-aos="fade-up">
+      {/* Header */}
+      <div>
+        <Link to="/projects" className="text-sm text-blue-600 hover:underline">← Projects</Link>
+        <div className="mt-2 flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-800 dark:text-gray-100">{project.name}</h1>
+            <p className="text-gray-500 dark:text-gray-400 mt-1">{project.description || "Tidak ada deskripsi."}</p>
+            <div className="mt-3 flex flex-wrap gap-2">
+              <span className="px-3 py-1 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 rounded-full text-xs font-medium">{project.type}</span>
+              <span className={`px-3 py-1 rounded-full text-xs font-medium ${project.status === "Completed" ? "bg-green-100 text-green-700 dark:bg-green-900 dark:text-green-200" : "bg-yellow-100 text-yellow-700 dark:bg-yellow-900 dark:text-yellow-200"}`}>{project.status}</span>
+              {project.deadline && (
+                <span className="px-3 py-1 rounded-full text-xs font-medium bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-200">
+                  Deadline: {formatDeadline(project.deadline)}
+                </span>
+              )}
+              {tech.map((t) => (
+                <span key={t} className="px-3 py-1 rounded-full text-xs bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200">{t}</span>
+              ))}
+            </div>
+          </div>
+          <Link to={`/projects/${projectId}/tasks`} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow whitespace-nowrap self-start">
+            Kelola Tasks
+          </Link>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Subprojects */}
+        <div className="bg-white dark:bg-gray-800 p-5 rounded-xl shadow">
+          <div className="flex justify-between items-center">
+            <h2 className="font-semibold text-gray-800 dark:text-gray-100">Subprojects</h2>
+            <span className="text-sm text-gray-500 dark:text-gray-400">{progress}%</span>
+          </div>
+          <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2 mt-3 overflow-hidden">
+            <div className="h-2 bg-green-500 transition-all duration-700" style={{ width: `${progress}%` }} />
+          </div>
+          {project.subprojects?.length ? (
+            <ul className="mt-4 space-y-2 text-sm">
+              {project.subprojects.map((s) => (
+                <li key={s.id} className="flex items-center justify-between bg-gray-50 dark:bg-gray-900 p-2 rounded">
+                  <div className="min-w-0">
+                    <div className={`font-medium ${s.status === "Completed" ? "line-through text-gray-400" : "text-gray-700 dark:text-gray-200"}`}>{s.name}</div>
+                    <div className="text-xs text-gray-500">
+                      {s.status}
+                      {s.owner && ` · ${s.owner}`}
+                      {s.deadline && ` · ${formatDeadline(s.deadline)}`}
+                      {s.weight != null && s.weight !== 1 && ` · bobot ${s.weight}`}
+                    </div>
+                    {s.notes && <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 whitespace-pre-wrap break-words">{s.notes}</p>}
+                  </div>
+                  {canWrite && (
+                    <button onClick={() => toggleSubproject(s.id)} className="px-2 py-1 text-xs rounded border">{s.status === "Completed" ? "Undo" : "Done"}</button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="mt-4 text-sm text-gray-500 dark:text-gray-400">Belum ada subproject.</p>
+          )}
+        </div>
+
+        {/* Tasks */}
+        <div className="bg-white dark:bg-gray-800 p-5 rounded-xl shadow lg:col-span-2">
+          <div className="flex justify-between items-center">
+            <h2 className="font-semibold text-gray-800 dark:text-gray-100">Tasks</h2>
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              {taskStats.completed}/{taskStats.total} selesai ({taskStats.percent}%)
+            </span>
+          </div>
+          <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2 mt-3 overflow-hidden">
+            <div className="h-2 bg-blue-500 transition-all duration-700" style={{ width: `${taskStats.percent}%` }} />
+          </div>
+          {tasks.length ? (
+            <ul className="mt-4 divide-y dark:divide-gray-700 text-sm">
+              {[...tasks].sort(byUrgency).slice(0, TASK_PREVIEW).map((t) => (
+                <li key={t.id} className="py-2 flex items-center gap-3">
+                  <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_PILL[t.status] || STATUS_PILL.pending}`}>{t.status}</span>
+                  <span className={`flex-1 truncate ${t.status === "completed" ? "line-through text-gray-400" : "text-gray-700 dark:text-gray-200"}`}>{t.title}</span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                    {t.priority}
+                    {t.deadline && ` · ${t.deadline}`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="mt-4 text-sm text-gray-500 dark:text-gray-400">Belum ada task untuk project ini.</p>
+          )}
+          <Link to={`/projects/${projectId}/tasks`} className="inline-block mt-3 text-sm text-blue-600 hover:underline">
+            {tasks.length > TASK_PREVIEW ? `Lihat semua ${tasks.length} task →` : "Buka task list →"}
+          </Link>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Documentation */}
+        <div className="bg-white dark:bg-gray-800 p-5 rounded-xl shadow lg:col-span-2">
+          <div className="flex justify-between items-center">
+            <h2 className="font-semibold text-gray-800 dark:text-gray-100">Dokumentasi</h2>
+            <Link to="/gallery" className="text-sm text-blue-600 hover:underline">Gallery →</Link>
+          </div>
+          {documentation.length ? (
+            <div className="mt-4 grid grid-cols-2 sm:grid-cols-3 gap-3">
+              {documentation.map((it) => (
+                <figure key={it.id} className="rounded-lg overflow-hidden bg-gray-50 dark:bg-gray-900">
+                  <img src={it.image} alt={it.title} className="w-full h-32 object-cover" loading="lazy" />
+                  <figcaption className="p-2 text-xs">
+                    <div className="font-medium text-gray-700 dark:text-gray-200 truncate">{it.title}</div>
+                    <div className="text-gray-500 dark:text-gray-400">{new Date(it.createdAt).toLocaleDateString()}</div>
+                  </figcaption>
+                </figure>
+              ))}
+            </div>
+          ) : (
+            <p className="mt-4 text-sm text-gray-500 dark:text-gray-400">Belum ada dokumentasi untuk project ini.</p>
+          )}
+        </div>
+
+        {/* Timeline */}
+        <div className="bg-white dark:bg-gray-800 p-5 rounded-xl shadow">
+          <h2 className="font-semibold text-gray-800 dark:text-gray-100">Timeline</h2>
+          {timelineByDay.length ? (
+            <div className="mt-4 space-y-4 max-h-96 overflow-y-auto pr-1">
+              {timelineByDay.map((group) => (
+                <div key={group.key}>
+                  <p className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">{group.label}</p>
+                  <ol className="mt-2 border-l-2 border-gray-200 dark:border-gray-700 space-y-2">
+                    {group.events.map((ev) => (
+                      <li key={ev.id} className="pl-3 text-sm text-gray-700 dark:text-gray-200">
+                        <span className="mr-1">{ENTITY_ICONS[ev.entityType] || "•"}</span>
+                        {describeActivity(ev)}
+                        <span className="block text-xs text-gray-400">{new Date(ev.timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}</span>
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="mt-4 text-sm text-gray-500 dark:text-gray-400">Belum ada aktivitas.</p>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
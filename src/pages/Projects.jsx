@@ -1,35 +1,42 @@
 // src/pages/Projects.jsx
 import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
 import AOS from "aos";
 import "aos/dist/aos.css";
+import { loadProjects, saveProjects, removeTaskList, saveGalleryEntry, getProjectsKey, findConflict, logActivity } from "../data/db.js";
+import useRemoteChanges from "../hooks/useRemoteChanges.js";
+import useAuth from "../hooks/useAuth.js";
+import { PERMISSIONS, DENIED_MESSAGE } from "../data/permissions.js";
+import { readJsonFile, validateRecords, validateProject } from "../data/validators.js";
+import { PROJECT_CSV, toCsv, readCsvFile, isCsvFile, overlayLocal } from "../data/csv.js";
+import { PROJECT_MERGE_FIELDS, planImport, resolvePlan, applyPlan } from "../data/importMerge.js";
+import { formatDeadline } from "../data/analytics.js";
+import { SUBPROJECT_WEIGHT_LIMITS, makeSubproject, normalizeSubproject, cleanSubprojects, projectProgress, moveItem } from "../data/subprojects.js";
+import ImportReport from "../components/ImportReport.jsx";
+import CsvMapping from "../components/CsvMapping.jsx";
 
 /**
  * Projects.jsx - single file
- * - localStorage persistence (KEY_PROJECTS, KEY_GALLERY)
- * - Add / Edit / Preview / Delete / Mark Completed (with upload)
+ * - Persistence through the repository layer (loadProjects; documentation images go to IndexedDB)
+ * - Add / Edit / Delete / Mark Completed (with upload); View opens /projects/:projectId
+ * - Subprojects edited in the project modal (drag to reorder, deadline, owner, notes, progress weight)
  * - Modals are scrollable and won't be cut off
+ * - Live-updates when another tab changes the projects; edits warn on conflicts
+ * - Viewer accounts browse only (projects:write / projects:delete permissions)
+ * - CSV export for spreadsheet reports; JSON/CSV import, validated and reviewed before merging
  * - Tailwind classes used for styling
  */
 
-/* ---------- Storage helpers ---------- */
-const readJSON = (key, fallback = null) => {
-  try {
-    const raw = localStorage.getItem(key);
-    return raw ? JSON.parse(raw) : fallback;
-  } catch {
-    return fallback;
-  }
-};
-const writeJSON = (key, value) => {
-  try {
-    localStorage.setItem(key, JSON.stringify(value));
-  } catch {}
-};
-
 /* ---------- Keys & factories ---------- */
-const KEY_PROJECTS = "projects";
-const KEY_GALLERY = "gallery";
-const LEGACY_KEYS = ["projects", "projectList", "project_data", "PROJECTS"];
+
+const downloadCSV = (text, filename) => {
+  const blob = new Blob([text], { type: "text/csv;charset=utf-8" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(a.href);
+};
 
 const makeId = () => Date.now() + Math.floor(Math.random() * 9999);
 
@@ -40,7 +47,7 @@ const createNewProjectObj = ({ id, name, description, type, tech, status, subpro
   type: type ?? "Web",
   tech: tech ?? "",
   status: status ?? "In Progress",
-  subprojects: subprojects ?? [], // [{id,name,status}]
+  subprojects: subprojects ?? [], // see Subproject in src/data/db.js
   deadline: deadline ?? "",
   createdAt: new Date().toISOString(),
   updatedAt: new Date().toISOString(),
@@ -63,9 +70,14 @@ export default function Projects() {
     AOS.init({ duration: 400, once: true });
   }, []);
 
+  /* Permissions */
+  const { user, can } = useAuth();
+  const activeUser = user?.id ?? null;
+  const canWrite = can(PERMISSIONS.PROJECTS_WRITE);
+  const canDelete = can(PERMISSIONS.PROJECTS_DELETE);
+
   /* States */
-  const [projects, setProjects] = useState(() => readJSON(KEY_PROJECTS, []));
-  const [gallery, setGallery] = useState(() => readJSON(KEY_GALLERY, []));
+  const [projects, setProjects] = useState(() => loadProjects(activeUser));
 
   const [search, setSearch] = useState("");
   const [filterType, setFilterType] = useState("all");
@@ -73,22 +85,25 @@ export default function Projects() {
   // Add/Edit modal
   const [showModal, setShowModal] = useState(false);
   const [editing, setEditing] = useState(null);
+  const [editConflict, setEditConflict] = useState(null); // { type, latest } from findConflict
   const [form, setForm] = useState({
     name: "",
     description: "",
     type: "Web",
     tech: "",
     status: "In Progress",
-    subprojectsText: "",
+    subprojects: [],
     deadline: "",
   });
 
-  // Preview modal
-  const [preview, setPreview] = useState(null);
-
   // Delete confirm
   const [confirmDelete, setConfirmDelete] = useState(null);
 
+  /* Import review */
+  const [csvTable, setCsvTable] = useState(null); // parsed CSV waiting for column mapping
+  const [importReport, setImportReport] = useState(null);
+  const [importPlan, setImportPlan] = useState(null);
+
   // Complete modal
   const [completeModal, setCompleteModal] = useState({
     open: false,
@@ -100,44 +115,17 @@ export default function Projects() {
     uploading: false,
   });
 
-  /* Migration: try legacy keys if needed (best-effort) */
-  useEffect(() => {
-    const existing = readJSON(KEY_PROJECTS, null);
-    if (existing && Array.isArray(existing) && existing.length) {
-      setProjects(existing);
-      return;
-    }
-    for (const k of LEGACY_KEYS) {
-      const raw = readJSON(k, null);
-      if (raw && Array.isArray(raw) && raw.length) {
-        const migrated = raw.map((p) =>
-          p && p.id
-            ? p
-            : createNewProjectObj({
-                id: p?.id ?? p?.projectId,
-                name: p?.name ?? p?.title,
-                description: p?.description ?? p?.desc,
-                type: p?.type ?? "Web",
-                tech: p?.tech ?? "",
-                status: p?.status ?? (p?.completed ? "Completed" : "In Progress"),
-              })
-        );
-        setProjects(migrated);
-        writeJSON(KEY_PROJECTS, migrated);
-        return;
-      }
-    }
-    writeJSON(KEY_PROJECTS, []);
-    setProjects([]);
-  }, []);
-
   /* Persist */
   useEffect(() => {
-    writeJSON(KEY_PROJECTS, projects);
-  }, [projects]);
-  useEffect(() => {
-    writeJSON(KEY_GALLERY, gallery);
-  }, [gallery]);
+    saveProjects(activeUser, projects);
+  }, [activeUser, projects]);
+
+  /* Cross-tab sync: take the other tab's list, flag the record being edited */
+  useRemoteChanges(getProjectsKey(activeUser), () => {
+    const latest = loadProjects(activeUser);
+    setProjects(latest);
+    if (editing) setEditConflict(findConflict(editing, latest));
+  });
 
   /* Derived */
   const stats = useMemo(() => {
@@ -164,49 +152,61 @@ export default function Projects() {
     return list;
   }, [projects, search, filterType]);
 
-  /* Utilities */
-  const projectProgress = (p) => {
-    if (!p || !p.subprojects || p.subprojects.length === 0) return p?.status === "Completed" ? 100 : 0;
-    const done = p.subprojects.filter((s) => s.status === "Completed").length;
-    return Math.round((done / p.subprojects.length) * 100);
-  };
-
   /* ---------- Handlers: Add / Edit ---------- */
   const openAdd = () => {
     setEditing(null);
-    setForm({ name: "", description: "", type: "Web", tech: "", status: "In Progress", subprojectsText: "", deadline: "" });
+    setEditConflict(null);
+    setForm({ name: "", description: "", type: "Web", tech: "", status: "In Progress", subprojects: [], deadline: "" });
     setShowModal(true);
   };
 
   const openEdit = (proj) => {
     setEditing(proj);
+    setEditConflict(null);
     setForm({
       name: proj.name ?? "",
       description: proj.description ?? "",
       type: proj.type ?? "Web",
       tech: proj.tech ?? "",
       status: proj.status ?? "In Progress",
-      subprojectsText: (proj.subprojects || []).map((s) => s.name).join("\n"),
+      subprojects: (proj.subprojects || []).map(normalizeSubproject),
       deadline: proj.deadline ? proj.deadline.split("T")[0] : "",
     });
     setShowModal(true);
   };
 
   const saveProject = () => {
+    if (!canWrite) return alert(DENIED_MESSAGE);
     const name = (form.name || "").trim();
     if (!name) {
       alert("Nama project harus diisi.");
       return;
     }
 
-    // parse subprojectsText -> add as new subprojects
-    const parsedSubs = (form.subprojectsText || "")
-      .split("\n")
-      .map((l) => l.trim())
-      .filter(Boolean)
-      .map((txt) => ({ id: makeId(), name: txt, status: "In Progress" }));
+    // the editor holds the whole list (order included); rows left without a name are dropped
+    const subprojects = cleanSubprojects(form.subprojects);
 
     if (editing) {
+      const conflict = findConflict(editing, loadProjects(activeUser));
+      if (conflict?.type === "deleted") {
+        if (!confirm("Project ini sudah dihapus di tab lain. Simpan sebagai project baru?")) return;
+        const restored = createNewProjectObj({
+          id: editing.id,
+          name,
+          description: form.description,
+          type: form.type,
+          tech: form.tech,
+          status: form.status,
+          subprojects,
+          deadline: form.deadline ? new Date(form.deadline).toISOString() : "",
+        });
+        setProjects((prev) => [restored, ...prev]);
+        logActivity(activeUser, { entityType: "project", entityId: restored.id, action: "created", payload: { name } });
+        setShowModal(false);
+        setEditing(null);
+        return;
+      }
+      if (conflict && !confirm("Project ini diubah di tab lain sejak kamu mulai mengedit. Timpa dengan perubahanmu?")) return;
       setProjects((prev) =>
         prev.map((p) =>
           p.id === editing.id
@@ -217,13 +217,14 @@ export default function Projects() {
                 type: form.type,
                 tech: form.tech,
                 status: form.status,
-                subprojects: [...(p.subprojects || []), ...parsedSubs],
+                subprojects,
                 deadline: form.deadline ? new Date(form.deadline).toISOString() : "",
                 updatedAt: new Date().toISOString(),
               }
             : p
         )
       );
+      logActivity(activeUser, { entityType: "project", entityId: editing.id, action: "updated", payload: { name, status: form.status } });
     } else {
       const newProj = createNewProjectObj({
         name,
@@ -231,10 +232,11 @@ export default function Projects() {
         type: form.type,
         tech: form.tech,
         status: form.status,
-        subprojects: parsedSubs,
+        subprojects,
         deadline: form.deadline ? new Date(form.deadline).toISOString() : "",
       });
       setProjects((prev) => [newProj, ...prev]);
+      logActivity(activeUser, { entityType: "project", entityId: newProj.id, action: "created", payload: { name } });
     }
 
     setShowModal(false);
@@ -245,12 +247,21 @@ export default function Projects() {
   const confirmDeleteProject = (id) => setConfirmDelete(id);
   const doDelete = () => {
     if (confirmDelete == null) return;
+    if (!canDelete) {
+      setConfirmDelete(null);
+      alert(DENIED_MESSAGE);
+      return;
+    }
+    const removed = projects.find((p) => p.id === confirmDelete);
     setProjects((prev) => prev.filter((p) => p.id !== confirmDelete));
+    removeTaskList(activeUser, confirmDelete);
+    logActivity(activeUser, { entityType: "project", entityId: confirmDelete, action: "deleted", payload: { name: removed?.name } });
     setConfirmDelete(null);
   };
 
   /* ---------- Subproject toggle ---------- */
   const toggleSubprojectStatus = (projectId, subId) => {
+    if (!canWrite) return;
     setProjects((prev) =>
       prev.map((p) =>
         p.id !== projectId
@@ -266,8 +277,6 @@ export default function Projects() {
     );
   };
 
-  /* ---------- Preview ---------- */
-  const openPreview = (proj) => setPreview(proj);
 
   /* ---------- Complete flow (upload image & save to gallery) ---------- */
   const openCompleteModal = (projectId) => {
@@ -283,8 +292,9 @@ export default function Projects() {
     reader.readAsDataURL(file);
   };
 
-  const submitComplete = () => {
-    if (!completeModal.file || !completeModal.previewImage) {
+  const submitComplete = async () => {
+    if (!canWrite) return alert(DENIED_MESSAGE);
+    if (!completeModal.file) {
       alert("Silakan pilih gambar bukti sebelum menandai selesai.");
       return;
     }
@@ -295,14 +305,27 @@ export default function Projects() {
       refId: completeModal.projectId,
       title: completeModal.title || "Dokumentasi",
       description: completeModal.description || "",
-      image: completeModal.previewImage,
+      image: completeModal.file,
     });
 
-    setGallery((g) => [entry, ...g]);
+    try {
+      await saveGalleryEntry(activeUser, entry);
+    } catch (err) {
+      console.error(err);
+      setCompleteModal((c) => ({ ...c, uploading: false }));
+      alert("Gagal menyimpan dokumentasi. Project belum ditandai selesai.");
+      return;
+    }
 
     setProjects((prev) =>
       prev.map((p) => (p.id === completeModal.projectId ? { ...p, status: "Completed", updatedAt: new Date().toISOString() } : p))
     );
+    logActivity(activeUser, {
+      entityType: "project",
+      entityId: completeModal.projectId,
+      action: "completed",
+      payload: { name: projects.find((p) => p.id === completeModal.projectId)?.name, galleryId: entry.id },
+    });
 
     // short delay to simulate saving, then close
     setTimeout(() => {
@@ -311,10 +334,47 @@ export default function Projects() {
     }, 300);
   };
 
-  /* ---------- Add manual gallery (optional helper) ---------- */
-  const addManualGallery = ({ title, description, image, refId = null }) => {
-    const entry = createGalleryEntry({ title, description, image, refId });
-    setGallery((g) => [entry, ...g]);
+  /* ---------- CSV export / JSON & CSV import ---------- */
+  const exportProjectsCsv = () => {
+    downloadCSV(toCsv(projects, PROJECT_CSV.columns), `technorex_projects_${activeUser || "global"}_${new Date().toISOString().slice(0, 10)}.csv`);
+  };
+
+  // validate, then diff against the current list; nothing is written until the report is confirmed
+  const reviewImport = (data) => {
+    const report = validateRecords(data, validateProject);
+    setImportPlan(planImport(projects, report.accepted, { fields: PROJECT_MERGE_FIELDS }));
+    setImportReport(report);
+  };
+
+  const importProjects = async (file) => {
+    if (!file) return;
+    if (!canWrite) return alert(DENIED_MESSAGE);
+    if (isCsvFile(file)) {
+      const { table, error } = await readCsvFile(file);
+      if (error) return alert(error);
+      return setCsvTable(table);
+    }
+    const { data, error } = await readJsonFile(file);
+    if (error) return alert(error);
+    reviewImport(data);
+  };
+
+  const applyCsvMapping = (records) => {
+    setCsvTable(null);
+    reviewImport(overlayLocal(records, projects));
+  };
+
+  const resolveImport = (id, resolution) => setImportPlan((plan) => plan.map((r) => (r.id === id ? { ...r, resolution } : r)));
+  const closeImport = () => {
+    setImportReport(null);
+    setImportPlan(null);
+  };
+
+  const confirmImport = () => {
+    const { put, copies } = resolvePlan(importPlan);
+    setProjects((prev) => applyPlan(prev, importPlan));
+    logActivity(activeUser, { entityType: "note", entityId: null, action: "imported", payload: { text: `${put.length + copies.length} project diimpor` } });
+    closeImport();
   };
 
   /* ---------- UI Render ---------- */
@@ -343,7 +403,14 @@ export default function Projects() {
             <option>IoT</option>
             <option>AI</option>
           </select>
-          <button onClick={openAdd} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow">Add Project</button>
+          <button onClick={exportProjectsCsv} className="px-4 py-2 rounded-lg border whitespace-nowrap">Export CSV</button>
+          {canWrite && (
+            <label className="px-4 py-2 rounded-lg border cursor-pointer">
+              Import
+              <input type="file" accept="application/json,.json,text/csv,.csv" className="hidden" onChange={(e) => { importProjects(e.target.files?.[0]); e.target.value = ""; }} />
+            </label>
+          )}
+          {canWrite && <button onClick={openAdd} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow">Add Project</button>}
         </div>
       </div>
 
@@ -379,7 +446,9 @@ export default function Projects() {
               data-aos="fade-up"
             >
               <div>
-                <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100">{p.name}</h3>
+                <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100">
+                  <Link to={`/projects/${p.id}`} className="hover:underline">{p.name}</Link>
+                </h3>
                 <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">{p.description || "Tidak ada deskripsi."}</p>
 
                 <div className="mt-3 flex flex-wrap gap-2">
@@ -387,7 +456,7 @@ export default function Projects() {
                   <span className={`px-3 py-1 rounded-full text-xs font-medium ${p.status === "Completed" ? "bg-green-100 text-green-700 dark:bg-green-900 dark:text-green-200" : "bg-yellow-100 text-yellow-700 dark:bg-yellow-900 dark:text-yellow-200"}`}>{p.status}</span>
                   {p.deadline ? (
                     <span className="px-3 py-1 rounded-full text-xs font-medium bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-200">
-                      Deadline: {new Date(p.deadline).toLocaleDateString()}
+                      Deadline: {formatDeadline(p.deadline)}
                     </span>
                   ) : null}
                 </div>
@@ -404,12 +473,16 @@ export default function Projects() {
                   <ul className="mt-2 space-y-1">
                     {p.subprojects.map((s) => (
                       <li key={s.id} className="flex items-center justify-between bg-gray-50 dark:bg-gray-900 p-2 rounded">
-                        <div>
-                          <div className="font-medium text-sm">{s.name}</div>
-                          <div className="text-xs text-gray-500">{s.status}</div>
+                        <div className="min-w-0">
+                          <div className="font-medium text-sm truncate">{s.name}</div>
+                          <div className="text-xs text-gray-500">
+                            {s.status}
+                            {s.owner && ` · ${s.owner}`}
+                            {s.deadline && ` · ${formatDeadline(s.deadline)}`}
+                          </div>
                         </div>
                         <div className="flex items-center gap-2">
-                          <button onClick={() => toggleSubprojectStatus(p.id, s.id)} className="px-2 py-1 text-xs rounded border">{s.status === "Completed" ? "Undo" : "Done"}</button>
+                          {canWrite && <button onClick={() => toggleSubprojectStatus(p.id, s.id)} className="px-2 py-1 text-xs rounded border">{s.status === "Completed" ? "Undo" : "Done"}</button>}
                         </div>
                       </li>
                     ))}
@@ -418,11 +491,11 @@ export default function Projects() {
               )}
 
               <div className="mt-5 flex justify-between items-center">
-                <button onClick={() => openPreview(p)} className="text-blue-600 hover:text-blue-800 font-medium text-sm flex items-center gap-2">View</button>
+                <Link to={`/projects/${p.id}`} className="text-blue-600 hover:text-blue-800 font-medium text-sm flex items-center gap-2">View</Link>
                 <div className="flex gap-2">
-                  <button onClick={() => openEdit(p)} className="px-3 py-1 bg-yellow-400 hover:bg-yellow-500 text-white rounded text-sm">Edit</button>
-                  <button onClick={() => confirmDeleteProject(p.id)} className="px-3 py-1 bg-red-500 hover:bg-red-600 text-white rounded text-sm">Delete</button>
-                  {p.status !== "Completed" && (
+                  {canWrite && <button onClick={() => openEdit(p)} className="px-3 py-1 bg-yellow-400 hover:bg-yellow-500 text-white rounded text-sm">Edit</button>}
+                  {canDelete && <button onClick={() => confirmDeleteProject(p.id)} className="px-3 py-1 bg-red-500 hover:bg-red-600 text-white rounded text-sm">Delete</button>}
+                  {canWrite && p.status !== "Completed" && (
                     <button onClick={() => openCompleteModal(p.id)} className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm">Mark Completed</button>
                   )}
                 </div>
@@ -432,41 +505,22 @@ export default function Projects() {
         )}
       </div>
 
-      {/* -------- Preview modal (scrollable) -------- */}
-      {preview && (
-        <div className="fixed inset-0 z-50 flex items-start justify-center p-4 overflow-y-auto">
-          <div className="fixed inset-0 bg-black/50" onClick={() => setPreview(null)} />
-          <div className="relative bg-white dark:bg-gray-900 rounded-xl p-6 z-50 w-full max-w-lg shadow-lg max-h-[90vh] overflow-y-auto">
-            <h2 className="text-2xl font-bold mb-2">{preview.name}</h2>
-            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">{preview.description || "—"}</p>
-            <p><strong>Type:</strong> {preview.type}</p>
-            <p><strong>Status:</strong> {preview.status}</p>
-            <p><strong>Tech:</strong> {(preview.tech || "").split(",").map(t => t.trim()).filter(Boolean).join(", ") || "—"}</p>
-            {preview.deadline && <p><strong>Deadline:</strong> {new Date(preview.deadline).toLocaleString()}</p>}
-
-            {preview.subprojects && preview.subprojects.length > 0 && (
-              <>
-                <h4 className="mt-3 font-semibold">Subprojects</h4>
-                <ul className="list-disc ml-5 mt-1">
-                  {preview.subprojects.map((s) => <li key={s.id}>{s.name} — {s.status}</li>)}
-                </ul>
-              </>
-            )}
-
-            <div className="mt-4 text-right">
-              <button onClick={() => setPreview(null)} className="px-4 py-2 bg-blue-600 text-white rounded">Close</button>
-            </div>
-          </div>
-        </div>
-      )}
-
       {/* -------- Add / Edit modal (scrollable) -------- */}
       {showModal && (
         <div className="fixed inset-0 z-50 flex items-start justify-center p-4 overflow-y-auto">
           <div className="fixed inset-0 bg-black/40" onClick={() => setShowModal(false)} />
-          <div className="relative bg-white dark:bg-gray-900 rounded-xl p-6 z-50 w-full max-w-md shadow-lg max-h-[90vh] overflow-y-auto">
+          <div className="relative bg-white dark:bg-gray-900 rounded-xl p-6 z-50 w-full max-w-lg shadow-lg max-h-[90vh] overflow-y-auto">
             <h3 className="text-lg font-semibold mb-3">{editing ? "Edit Project" : "Add Project"}</h3>
 
+            {editConflict && (
+              <div className="mb-3 p-3 rounded bg-amber-100 text-amber-800 text-sm dark:bg-amber-900/40 dark:text-amber-200">
+                {editConflict.type === "deleted" ? "Project ini dihapus di tab lain." : "Project ini diubah di tab lain."}
+                {editConflict.latest && (
+                  <button onClick={() => openEdit(editConflict.latest)} className="ml-2 underline">Muat versi terbaru</button>
+                )}
+              </div>
+            )}
+
             <div className="space-y-3">
               <input value={form.name} onChange={(e) => setForm((s) => ({ ...s, name: e.target.value }))} type="text" placeholder="Nama project" className="w-full p-2 border rounded dark:bg-gray-800 dark:text-gray-100" />
               <textarea value={form.description} onChange={(e) => setForm((s) => ({ ...s, description: e.target.value }))} placeholder="Deskripsi" className="w-full p-2 border rounded dark:bg-gray-800 dark:text-gray-100" />
@@ -488,11 +542,7 @@ export default function Projects() {
                 <input type="date" value={form.deadline} onChange={(e) => setForm((s) => ({ ...s, deadline: e.target.value }))} className="p-2 border rounded dark:bg-gray-800 dark:text-gray-100" />
               </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Subprojects (satu per baris)</label>
-                <textarea value={form.subprojectsText} onChange={(e) => setForm((s) => ({ ...s, subprojectsText: e.target.value }))} rows={4} placeholder={"Contoh:\nUI Design\nBackend API\nIntegrasi"} className="w-full mt-1 p-2 border rounded dark:bg-gray-800 dark:text-gray-100" />
-                <p className="text-xs text-gray-500 mt-1">Jika edit: baris baru akan ditambahkan ke subproject yang ada.</p>
-              </div>
+              <SubprojectEditor value={form.subprojects} onChange={(subprojects) => setForm((s) => ({ ...s, subprojects }))} />
             </div>
 
             <div className="mt-4 flex justify-end gap-3">
@@ -542,6 +592,130 @@ export default function Projects() {
           </div>
         </div>
       )}
+
+      {csvTable && <CsvMapping title="Import projects dari CSV" table={csvTable} fields={PROJECT_CSV.fields} makeId={(i) => Date.now() + i} onCancel={() => setCsvTable(null)} onApply={applyCsvMapping} />}
+      {importReport && <ImportReport title="Import projects" report={importReport} plan={importPlan} onResolve={resolveImport} onCancel={closeImport} onConfirm={confirmImport} />}
     </section>
   );
-}
\ No newline at end of file
+}
+
+/* ---------- Subproject editor (inside the Add / Edit modal) ---------- */
+function SubprojectEditor({ value, onChange }) {
+  const [newName, setNewName] = useState("");
+  const [openId, setOpenId] = useState(null); // row showing deadline / owner / weight / notes
+  const [dragIndex, setDragIndex] = useState(null);
+  const [minWeight, maxWeight] = SUBPROJECT_WEIGHT_LIMITS;
+
+  const update = (id, patch) => onChange(value.map((s) => (s.id === id ? { ...s, ...patch } : s)));
+  const remove = (id) => onChange(value.filter((s) => s.id !== id));
+  const add = () => {
+    const name = newName.trim();
+    if (!name) return;
+    onChange([...value, makeSubproject(name)]);
+    setNewName("");
+  };
+  const drop = (e, index) => {
+    e.preventDefault();
+    if (dragIndex != null) onChange(moveItem(value, dragIndex, index));
+    setDragIndex(null);
+  };
+
+  const totalWeight = value.reduce((sum, s) => sum + (Number(s.weight) || 0), 0);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Subprojects</label>
+      {value.length > 0 && (
+        <ul className="mt-1 space-y-2">
+          {value.map((s, i) => (
+            <li
+              key={s.id}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => drop(e, i)}
+              className={`border rounded p-2 dark:border-gray-700 ${dragIndex === i ? "opacity-50" : ""}`}
+            >
+              <div className="flex items-center gap-2">
+                <span
+                  draggable
+                  onDragStart={(e) => {
+                    setDragIndex(i);
+                    e.dataTransfer.effectAllowed = "move";
+                  }}
+                  onDragEnd={() => setDragIndex(null)}
+                  title="Geser untuk mengurutkan"
+                  className="cursor-grab select-none text-gray-400"
+                >
+                  ⠿
+                </span>
+                <input
+                  type="checkbox"
+                  checked={s.status === "Completed"}
+                  onChange={(e) => update(s.id, { status: e.target.checked ? "Completed" : "In Progress" })}
+                  title="Selesai"
+                />
+                <input
+                  value={s.name}
+                  onChange={(e) => update(s.id, { name: e.target.value })}
+                  placeholder="Nama subproject"
+                  className="flex-1 min-w-0 p-1 border rounded text-sm dark:bg-gray-800 dark:text-gray-100"
+                />
+                <button type="button" onClick={() => setOpenId(openId === s.id ? null : s.id)} className="px-2 py-1 text-xs rounded border">
+                  {openId === s.id ? "Tutup" : "Detail"}
+                </button>
+                <button type="button" onClick={() => remove(s.id)} title="Hapus subproject" className="px-2 py-1 text-xs rounded border text-red-600">
+                  ✕
+                </button>
+              </div>
+
+              {openId === s.id && (
+                <div className="mt-2 grid grid-cols-2 gap-2 text-sm">
+                  <label className="text-xs text-gray-500 dark:text-gray-400">
+                    Deadline
+                    <input type="date" value={s.deadline} onChange={(e) => update(s.id, { deadline: e.target.value })} className="w-full mt-1 p-1 border rounded dark:bg-gray-800 dark:text-gray-100" />
+                  </label>
+                  <label className="text-xs text-gray-500 dark:text-gray-400">
+                    Owner
+                    <input value={s.owner} onChange={(e) => update(s.id, { owner: e.target.value })} placeholder="Penanggung jawab" className="w-full mt-1 p-1 border rounded dark:bg-gray-800 dark:text-gray-100" />
+                  </label>
+                  <label className="text-xs text-gray-500 dark:text-gray-400 col-span-2">
+                    Bobot progress ({minWeight}-{maxWeight}){totalWeight > 0 && ` · ${Math.round(((Number(s.weight) || 0) / totalWeight) * 100)}% dari project`}
+                    <input
+                      type="number"
+                      min={minWeight}
+                      max={maxWeight}
+                      step="0.5"
+                      value={s.weight}
+                      onChange={(e) => update(s.id, { weight: e.target.value === "" ? "" : Math.min(maxWeight, Math.max(minWeight, Number(e.target.value))) })}
+                      className="w-full mt-1 p-1 border rounded dark:bg-gray-800 dark:text-gray-100"
+                    />
+                  </label>
+                  <label className="text-xs text-gray-500 dark:text-gray-400 col-span-2">
+                    Catatan
+                    <textarea value={s.notes} onChange={(e) => update(s.id, { notes: e.target.value })} rows={2} className="w-full mt-1 p-1 border rounded dark:bg-gray-800 dark:text-gray-100" />
+                  </label>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-2 flex gap-2">
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              add();
+            }
+          }}
+          placeholder="Tambah subproject (Enter)"
+          className="flex-1 p-2 border rounded text-sm dark:bg-gray-800 dark:text-gray-100"
+        />
+        <button type="button" onClick={add} className="px-3 py-2 rounded border text-sm">Tambah</button>
+      </div>
+      {value.length > 1 && <p className="text-xs text-gray-500 mt-1">Geser ⠿ untuk mengubah urutan. Bobot 0 = tidak dihitung di progress.</p>}
+    </div>
+  );
+}
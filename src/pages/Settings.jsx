@@ -1,7 +1,17 @@
 // src/pages/Settings.jsx
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import AOS from "aos";
 import "aos/dist/aos.css";
+import { useLocation } from "react-router-dom";
+import { DEFAULT_SETTINGS, loadSettings, saveSettings, loadProjects, loadTasks, subscribe } from "../data/db.js";
+import { getFailedWrites, subscribeWriteErrors, retryFailedWrites } from "../data/initStorage.js";
+import { getStorageUsage, getOriginEstimate, formatBytes } from "../data/storageHealth.js";
+import { DEFAULT_SCORING, SCORING_LIMITS, resolveScoring } from "../data/productivity.js";
+import { createBackup, validateBackup, restoreBackup } from "../data/backup.js";
+import { readJsonFile, validateObject, validateSettings } from "../data/validators.js";
+import ImportReport from "../components/ImportReport.jsx";
+import useAuth from "../hooks/useAuth.js";
+import { PERMISSIONS, DENIED_MESSAGE } from "../data/permissions.js";
 
 /**
  * Settings.jsx (Single-file, Enhanced UI)
@@ -12,19 +22,6 @@ import "aos/dist/aos.css";
  */
 
 /* ---------- helpers ---------- */
-const readJSON = (k, fallback = null) => {
-  try {
-    const raw = localStorage.getItem(k);
-    return raw ? JSON.parse(raw) : fallback;
-  } catch {
-    return fallback;
-  }
-};
-const writeJSON = (k, v) => {
-  try {
-    localStorage.setItem(k, JSON.stringify(v));
-  } catch {}
-};
 const downloadJSON = (obj, filename) => {
   const blob = new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" });
   const a = document.createElement("a");
@@ -35,17 +32,6 @@ const downloadJSON = (obj, filename) => {
 };
 
 /* ---------- keys & defaults ---------- */
-const getActiveUser = () => localStorage.getItem("activeUser") || null;
-const getSettingsKey = (userId) => (userId ? `settings_${userId}` : "settings_global");
-
-const DEFAULT_SETTINGS = {
-  theme: "system",
-  accentColor: "blue",
-  customAccent: "",
-  font: "inter",
-  fontSize: 16,
-};
-
 const PALETTE = [
   { id: "blue", classBg: "bg-blue-500", label: "Blue" },
   { id: "emerald", classBg: "bg-emerald-500", label: "Emerald" },
@@ -71,22 +57,29 @@ function useToast() {
 export default function Settings() {
   useEffect(() => { AOS.init({ duration: 600 }); }, []);
 
-  const activeUser = useMemo(() => getActiveUser(), []);
-  const settingsKey = useMemo(() => getSettingsKey(activeUser), [activeUser]);
+  const { user, can } = useAuth();
+  const activeUser = user?.id ?? null;
+  const canReset = can(PERMISSIONS.SETTINGS_RESET);
+  const canWrite = can(PERMISSIONS.SETTINGS_WRITE);
   const { toast, show } = useToast();
+  const location = useLocation();
 
-  const [activeTab, setActiveTab] = useState("appearance");
-  const [settings, setSettings] = useState(() => readJSON(settingsKey, DEFAULT_SETTINGS));
+  const [activeTab, setActiveTab] = useState(location.state?.tab || "appearance");
+  const [settings, setSettings] = useState(() => loadSettings(activeUser));
   const [customColor, setCustomColor] = useState(settings.customAccent || "");
   const [importing, setImporting] = useState(false);
+  const [importReport, setImportReport] = useState(null);
+  // workspace restore: { archive, counts, errors, mode, busy } while the preview is open
+  const [restore, setRestore] = useState(null);
+  const [backingUp, setBackingUp] = useState(false);
 
   // keep previous font to remove class cleanly
   const prevFontRef = useRef(settings.font);
 
-  // Persist settings when changed
+  // Persist settings when changed; without settings:write the stored scoring is kept
   useEffect(() => {
-    writeJSON(settingsKey, settings);
-  }, [settingsKey, settings]);
+    saveSettings(activeUser, canWrite ? settings : { ...settings, scoring: loadSettings(activeUser, {}).scoring });
+  }, [activeUser, settings, canWrite]);
 
   // Apply theme
   useEffect(() => {
@@ -182,35 +175,92 @@ export default function Settings() {
     show("Settings exported");
   };
 
-  const handleImport = (file) => {
+  // validated first; rejected fields keep their current value
+  const handleImport = async (file) => {
     if (!file) return;
+    if (!canWrite) return show(DENIED_MESSAGE);
     setImporting(true);
+    const { data, error } = await readJsonFile(file);
+    setImporting(false);
+    if (error) return show(error);
+    const report = validateObject(data, (raw) => validateSettings(raw, { palette: PALETTE.map((p) => p.id) }));
+    setImportReport({ ...report, note: report.rejected.length ? "Field yang ditolak tetap memakai nilai sekarang." : "" });
+  };
+
+  const confirmImport = () => {
+    const merged = { ...settings, ...importReport.accepted[0] };
+    setSettings(merged);
+    saveSettings(activeUser, merged);
+    setImportReport(null);
+    show("Settings imported");
+  };
+
+  /* ---------- workspace backup / restore ---------- */
+  const canRestore = can([PERMISSIONS.PROJECTS_WRITE, PERMISSIONS.TASKS_WRITE, PERMISSIONS.GALLERY_WRITE, PERMISSIONS.SETTINGS_WRITE]);
+  const canReplace = canRestore && can([PERMISSIONS.PROJECTS_DELETE, PERMISSIONS.TASKS_DELETE, PERMISSIONS.GALLERY_DELETE]);
+
+  const handleWorkspaceBackup = async () => {
+    if (!activeUser) return show("Login dulu untuk membuat backup");
+    setBackingUp(true);
+    try {
+      const archive = await createBackup(activeUser);
+      downloadJSON(archive, `technorex_workspace_${activeUser}_${new Date().toISOString().slice(0, 10)}.json`);
+      show("Workspace backup downloaded");
+    } catch (e) {
+      console.error(e);
+      show("Backup gagal");
+    } finally {
+      setBackingUp(false);
+    }
+  };
+
+  // parse + validate only; nothing is written until the preview is confirmed
+  const handleWorkspaceFile = (file) => {
+    if (!file) return;
+    if (!canRestore) return show(DENIED_MESSAGE);
     const reader = new FileReader();
     reader.onload = (ev) => {
+      let archive = null;
       try {
-        const json = JSON.parse(ev.target.result);
-        if (!json || typeof json !== "object") throw new Error("invalid");
-        const merged = { ...DEFAULT_SETTINGS, ...json };
-        setSettings(merged);
-        writeJSON(settingsKey, merged);
-        show("Settings imported");
+        archive = JSON.parse(ev.target.result);
       } catch {
-        show("Invalid settings file");
-      } finally {
-        setImporting(false);
+        setRestore({ archive: null, counts: null, errors: ["File bukan JSON yang valid."], rejected: [], mode: "merge", busy: false });
+        return;
       }
+      const { errors, counts, rejected = [] } = validateBackup(archive);
+      setRestore({ archive, counts, errors, rejected, mode: "merge", busy: false });
     };
     reader.readAsText(file);
   };
 
+  const confirmRestore = async () => {
+    if (!restore?.archive || restore.errors.length) return;
+    if (restore.mode === "replace") {
+      if (!canReplace) return show(DENIED_MESSAGE);
+      if (!confirm("Replace akan menghapus semua data workspace kamu sebelum restore. Lanjutkan?")) return;
+    }
+    setRestore((r) => ({ ...r, busy: true }));
+    try {
+      const res = await restoreBackup(activeUser, restore.archive, { mode: restore.mode });
+      setSettings(loadSettings(activeUser));
+      setRestore(null);
+      show(`Restore selesai: ${res.keys} data key, ${res.images} gambar`);
+    } catch (e) {
+      console.error(e);
+      setRestore((r) => ({ ...r, busy: false, errors: [e.message || "Restore gagal"] }));
+    }
+  };
+
   const handleResetDefaults = () => {
+    if (!canReset) return show(DENIED_MESSAGE);
     if (!confirm("Reset settings to default?")) return;
     setSettings(DEFAULT_SETTINGS);
-    writeJSON(settingsKey, DEFAULT_SETTINGS);
+    saveSettings(activeUser, DEFAULT_SETTINGS);
     show("Settings reset to default");
   };
 
   const handleClearUserData = () => {
+    if (!canReset) return show(DENIED_MESSAGE);
     if (!activeUser) {
       if (!confirm("No active user found. Clear ALL localStorage?")) return;
       localStorage.clear();
@@ -226,7 +276,7 @@ export default function Settings() {
     }
     keysToRemove.forEach((k) => localStorage.removeItem(k));
     show("User data cleared");
-    setTimeout(() => location.reload(), 700);
+    setTimeout(() => window.location.reload(), 700);
   };
 
   /* ---------- utilities ---------- */
@@ -253,8 +303,10 @@ export default function Settings() {
         <aside className="p-5 border-r dark:border-gray-700 space-y-3">
           <TabButton label="Appearance" active={activeTab === "appearance"} onClick={() => setActiveTab("appearance")} />
           <TabButton label="Preferences" active={activeTab === "preferences"} onClick={() => setActiveTab("preferences")} />
+          <TabButton label="Scoring" active={activeTab === "scoring"} onClick={() => setActiveTab("scoring")} />
           <TabButton label="Backup" active={activeTab === "backup"} onClick={() => setActiveTab("backup")} />
           <TabButton label="Data Info" active={activeTab === "data"} onClick={() => setActiveTab("data")} />
+          <TabButton label="Storage" active={activeTab === "storage"} onClick={() => setActiveTab("storage")} />
         </aside>
 
         {/* content */}
@@ -320,21 +372,62 @@ export default function Settings() {
               <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100">⚡ Quick Settings</h3>
               <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">Reset app settings to defaults (keeps data).</p>
               <div className="flex gap-3">
-                <button onClick={handleResetDefaults} className="px-4 py-2 border rounded-md">Reset to Defaults</button>
+                <button onClick={handleResetDefaults} disabled={!canReset} className="px-4 py-2 border rounded-md disabled:opacity-50">Reset to Defaults</button>
                 <button onClick={() => show("Not implemented: advanced quick actions")} className="px-4 py-2 border rounded-md">Other quick actions</button>
               </div>
             </Card>
           )}
 
+          {activeTab === "scoring" && (
+            <Card>
+              <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100">🏆 Productivity Score</h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">Bobot yang dipakai Dashboard untuk menghitung skor produktivitas.</p>
+              <ScoringPanel
+                scoring={resolveScoring(settings.scoring)}
+                readOnly={!canWrite}
+                onChange={(scoring) => (canWrite ? setSettings((s) => ({ ...s, scoring })) : show(DENIED_MESSAGE))}
+                onReset={() => {
+                  if (!canWrite) return show(DENIED_MESSAGE);
+                  setSettings((s) => ({ ...s, scoring: DEFAULT_SCORING }));
+                  show("Scoring reset to default");
+                }}
+              />
+            </Card>
+          )}
+
           {activeTab === "backup" && (
             <>
+              <Card>
+                <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100">📦 Workspace Backup</h3>
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">
+                  Satu file berisi projects, tasks, activity, profile, settings dan gambar gallery kamu — untuk pindah ke browser lain.
+                </p>
+                <div className="flex gap-3">
+                  <button onClick={handleWorkspaceBackup} disabled={backingUp || !activeUser} className="px-4 py-2 border rounded-md disabled:opacity-50">
+                    {backingUp ? "Membuat backup..." : "Download Backup"}
+                  </button>
+                  <input id="workspaceRestoreInput" type="file" accept="application/json" className="hidden" onChange={(e) => { handleWorkspaceFile(e.target.files?.[0]); e.target.value = ""; }} />
+                  <button onClick={() => document.getElementById("workspaceRestoreInput").click()} disabled={!canRestore} className="px-4 py-2 border rounded-md disabled:opacity-50">Restore...</button>
+                </div>
+
+                {restore && (
+                  <RestorePreview
+                    restore={restore}
+                    canReplace={canReplace}
+                    onMode={(mode) => setRestore((r) => ({ ...r, mode }))}
+                    onCancel={() => setRestore(null)}
+                    onConfirm={confirmRestore}
+                  />
+                )}
+              </Card>
+
               <Card>
                 <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100">💾 Backup & Restore</h3>
                 <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">Export or import your settings JSON.</p>
                 <div className="flex gap-3">
                   <button onClick={handleExport} className="px-4 py-2 border rounded-md">Export Settings</button>
 
-                  <input id="settingsImportInput" type="file" accept="application/json" className="hidden" onChange={(e) => handleImport(e.target.files?.[0])} />
+                  <input id="settingsImportInput" type="file" accept="application/json" className="hidden" onChange={(e) => { handleImport(e.target.files?.[0]); e.target.value = ""; }} />
                   <button onClick={() => document.getElementById("settingsImportInput").click()} className="px-4 py-2 border rounded-md">{importing ? "Importing..." : "Import Settings"}</button>
                 </div>
               </Card>
@@ -343,7 +436,7 @@ export default function Settings() {
                 <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100">🧹 Clear All User Data</h3>
                 <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">Remove data keys that include the active user's id (projects, tasks, profile, etc.).</p>
                 <div className="flex gap-3">
-                  <button onClick={handleClearUserData} className="px-4 py-2 bg-red-600 text-white rounded-md">Clear User Data</button>
+                  <button onClick={handleClearUserData} disabled={!canReset} className="px-4 py-2 bg-red-600 text-white rounded-md disabled:opacity-50">Clear User Data</button>
                 </div>
               </Card>
             </>
@@ -356,16 +449,26 @@ export default function Settings() {
               <DataOverview activeUser={activeUser} />
             </Card>
           )}
+
+          {activeTab === "storage" && (
+            <Card>
+              <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100">🗄️ Storage Usage</h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">localStorage usage per data type. Images are kept in IndexedDB.</p>
+              <StoragePanel show={show} />
+            </Card>
+          )}
         </section>
       </div>
 
       {/* footer actions */}
       <div className="flex justify-end gap-3">
-        <button onClick={() => { writeJSON(settingsKey, settings); show("Settings saved"); }} className="px-4 py-2 border rounded-md">Save</button>
-        <button onClick={() => { setSettings(readJSON(settingsKey, DEFAULT_SETTINGS)); show("Reverted to saved settings"); }} className="px-4 py-2 border rounded-md">Revert</button>
+        <button onClick={() => { if (!canWrite) return show(DENIED_MESSAGE); saveSettings(activeUser, settings); show("Settings saved"); }} className="px-4 py-2 border rounded-md">Save</button>
+        <button onClick={() => { setSettings(loadSettings(activeUser)); show("Reverted to saved settings"); }} className="px-4 py-2 border rounded-md">Revert</button>
       </div>
 
       {/* toast - lower z so it doesn't block sidebar */}
+      {importReport && <ImportReport title="Import settings" report={importReport} onCancel={() => setImportReport(null)} onConfirm={confirmImport} />}
+
       {toast && (
         <div className="fixed right-4 bottom-6 z-30 pointer-events-none">
           <div className="bg-black/80 text-white px-4 py-2 rounded shadow pointer-events-auto">{toast}</div>
@@ -388,23 +491,143 @@ function TabButton({ label, active, onClick }) {
   );
 }
 
+/* ---------- RestorePreview inline ---------- */
+function RestorePreview({ restore, canReplace, onMode, onCancel, onConfirm }) {
+  const { archive, counts, errors, rejected, mode, busy } = restore;
+  const m = archive?.manifest;
+  return (
+    <div className="mt-4 border rounded-xl p-4 dark:border-gray-700 space-y-3">
+      {errors.length > 0 ? (
+        <div className="text-sm text-red-600">
+          <p className="font-semibold">File backup tidak bisa dipakai:</p>
+          <ul className="list-disc pl-5">
+            {errors.slice(0, 8).map((e, i) => <li key={i}>{e}</li>)}
+          </ul>
+        </div>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Backup dari <span className="font-medium">{m.sourceUser}</span>, {new Date(m.createdAt).toLocaleString()} (schema v{m.schemaVersion})
+          </p>
+          <ul className="grid grid-cols-2 sm:grid-cols-3 gap-2 text-sm text-gray-700 dark:text-gray-200">
+            <li>📁 {counts.projects} projects</li>
+            <li>✅ {counts.tasks} tasks ({counts.taskLists} list)</li>
+            <li>📸 {counts.images} gambar</li>
+            <li>📝 {counts.activities} activity</li>
+            <li>⚙️ Settings: {counts.settings ? "ya" : "tidak"}</li>
+            <li>👤 Profile: {counts.profile ? "ya" : "tidak"}</li>
+          </ul>
+          {rejected.length > 0 && (
+            <details className="text-sm text-red-600 dark:text-red-400">
+              <summary className="cursor-pointer">{rejected.length} record/field ditolak dan tidak akan di-restore</summary>
+              <ul className="list-disc pl-5 mt-1 max-h-40 overflow-y-auto">
+                {rejected.map((r, i) => (
+                  <li key={i}>
+                    {r.row}{r.id ? ` (id ${r.id})` : ""}: {r.reasons.join("; ")}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+          <div className="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-200">
+            <label className="flex items-center gap-2">
+              <input type="radio" checked={mode === "merge"} onChange={() => onMode("merge")} />
+              Merge — gabungkan dengan data yang ada (record yang lebih baru menang)
+            </label>
+            <label className={`flex items-center gap-2 ${canReplace ? "" : "opacity-50"}`}>
+              <input type="radio" checked={mode === "replace"} disabled={!canReplace} onChange={() => onMode("replace")} />
+              Replace — hapus data workspace sekarang, lalu pakai isi backup
+            </label>
+          </div>
+        </>
+      )}
+      <div className="flex justify-end gap-3">
+        <button onClick={onCancel} disabled={busy} className="px-4 py-2 border rounded-md">Batal</button>
+        {errors.length === 0 && (
+          <button onClick={onConfirm} disabled={busy} className="px-4 py-2 bg-blue-600 text-white rounded-md disabled:opacity-50">
+            {busy ? "Restoring..." : "Restore"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* ---------- ScoringPanel inline ---------- */
+// weights for src/data/productivity.js; values are clamped there too
+// read-only for accounts without settings:write (the fieldset disables every input)
+function ScoringPanel({ scoring, readOnly, onChange, onReset }) {
+  const set = (field, value) => onChange({ ...scoring, [field]: value });
+  const setWeight = (priority, value) => onChange({ ...scoring, priorityWeights: { ...scoring.priorityWeights, [priority]: value } });
+
+  return (
+    <fieldset disabled={readOnly} className="space-y-5 disabled:opacity-60">
+      {readOnly && <p className="text-xs text-amber-600">Hanya bisa dilihat: butuh izin settings untuk mengubah bobot.</p>}
+      <div>
+        <p className="text-sm font-semibold text-gray-700 dark:text-gray-200 mb-2">Bobot prioritas</p>
+        <div className="grid grid-cols-3 gap-3">
+          {["low", "medium", "high"].map((p) => (
+            <ScoringField key={p} label={capitalizeWord(p)} value={scoring.priorityWeights[p]} limits={SCORING_LIMITS.priorityWeight} step={0.5} onValue={(v) => setWeight(p, v)} />
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <ScoringField label="Kredit terlambat" hint="Bagian bobot untuk task yang selesai setelah deadline (0–1)" value={scoring.lateCredit} limits={SCORING_LIMITS.lateCredit} step={0.1} onValue={(v) => set("lateCredit", v)} />
+        <ScoringField label="Penalti overdue" hint="Poin dikurangi per bobot task overdue" value={scoring.overduePenalty} limits={SCORING_LIMITS.overduePenalty} step={0.5} onValue={(v) => set("overduePenalty", v)} />
+        <ScoringField label="Bonus streak" hint="Poin per hari berturut-turut ada task selesai" value={scoring.streakBonus} limits={SCORING_LIMITS.streakBonus} step={0.5} onValue={(v) => set("streakBonus", v)} />
+        <ScoringField label="Batas streak (hari)" value={scoring.streakCap} limits={SCORING_LIMITS.streakCap} onValue={(v) => set("streakCap", v)} />
+        <ScoringField label="Periode (hari)" hint="Task yang selesai dalam periode ini ikut dihitung" value={scoring.windowDays} limits={SCORING_LIMITS.windowDays} onValue={(v) => set("windowDays", v)} />
+      </div>
+
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        Skor = penyelesaian (bobot didapat ÷ bobot total × 100) − penalti overdue + bonus streak, dibatasi 0–100.
+      </p>
+      <button onClick={onReset} className="px-4 py-2 border rounded-md">Reset Scoring</button>
+    </fieldset>
+  );
+}
+
+function capitalizeWord(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+function ScoringField({ label, hint, value, limits, step = 1, onValue }) {
+  return (
+    <label className="block">
+      <span className="text-sm font-medium text-gray-700 dark:text-gray-200">{label}</span>
+      <input
+        type="number"
+        min={limits[0]}
+        max={limits[1]}
+        step={step}
+        value={value}
+        onChange={(e) => onValue(e.target.value === "" ? "" : Number(e.target.value))}
+        className="mt-1 w-full border px-3 py-2 rounded-md dark:bg-gray-900 dark:text-gray-100"
+      />
+      {hint && <span className="text-xs text-gray-500 dark:text-gray-400">{hint}</span>}
+    </label>
+  );
+}
+
 /* ---------- DataOverview inline ---------- */
+function readOverview(activeUser) {
+  let userRelated = 0;
+  if (activeUser) {
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      if (!k) continue;
+      if (k.includes(activeUser)) userRelated++;
+    }
+  }
+  return { projects: loadProjects(activeUser).length, tasks: loadTasks(activeUser).length, settingsKeyCount: userRelated };
+}
+
+// the page remounts when the user changes (MainLayout keys it), so only data changes need a re-read
 function DataOverview({ activeUser }) {
-  const [info, setInfo] = useState({ projects: 0, tasks: 0, settingsKeyCount: 0 });
+  const [info, setInfo] = useState(() => readOverview(activeUser));
 
-  useEffect(() => {
-    const projects = readJSON("projects", []) || [];
-    const tasksGlobal = readJSON("tasks_global", []) || [];
-    let userRelated = 0;
-    if (activeUser) {
-      for (let i = 0; i < localStorage.length; i++) {
-        const k = localStorage.key(i);
-        if (!k) continue;
-        if (k.includes(activeUser)) userRelated++;
-      }
-    }
-    setInfo({ projects: projects.length, tasks: tasksGlobal.length, settingsKeyCount: userRelated });
-  }, [activeUser]);
+  useEffect(() => subscribe(() => setInfo(readOverview(activeUser))), [activeUser]);
 
   return (
     <div className="text-gray-700 dark:text-gray-300">
@@ -416,3 +639,76 @@ function DataOverview({ activeUser }) {
     </div>
   );
 }
+
+/* ---------- StoragePanel inline ---------- */
+function StoragePanel({ show }) {
+  const [usage, setUsage] = useState(getStorageUsage);
+  const [origin, setOrigin] = useState(null);
+  const [failed, setFailed] = useState(getFailedWrites);
+  const [openFamily, setOpenFamily] = useState(null);
+
+  useEffect(() => subscribe(() => setUsage(getStorageUsage())), []);
+  useEffect(() => subscribeWriteErrors(setFailed), []);
+  useEffect(() => {
+    getOriginEstimate().then(setOrigin);
+  }, []);
+
+  const barColor = usage.percent >= 90 ? "bg-red-600" : usage.percent >= 70 ? "bg-amber-500" : "bg-blue-600";
+
+  return (
+    <div className="space-y-4 text-gray-700 dark:text-gray-300">
+      <div>
+        <div className="flex justify-between text-sm mb-1">
+          <span>localStorage: {formatBytes(usage.totalBytes)} / ~{formatBytes(usage.quotaBytes)}</span>
+          <span>{usage.percent}%</span>
+        </div>
+        <div className="h-2 rounded bg-gray-200 dark:bg-gray-700 overflow-hidden">
+          <div className={`h-full ${barColor}`} style={{ width: `${usage.percent}%` }} />
+        </div>
+        {usage.percent >= 80 && (
+          <p className="text-sm text-amber-600 mt-2">Storage is almost full — export a backup and remove old data to avoid failed saves.</p>
+        )}
+        {origin && (
+          <p className="text-xs text-gray-500 mt-2">
+            Browser storage for this site (incl. IndexedDB images): {formatBytes(origin.usage)} of {formatBytes(origin.quota)}
+          </p>
+        )}
+      </div>
+
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+        {usage.families.map((f) => (
+          <li key={f.id} className="py-2">
+            <button onClick={() => setOpenFamily(openFamily === f.id ? null : f.id)} className="w-full flex justify-between text-sm">
+              <span>{f.label} <span className="text-gray-400">({f.keys.length} keys)</span></span>
+              <span>{formatBytes(f.bytes)}</span>
+            </button>
+            {openFamily === f.id && (
+              <ul className="mt-2 pl-4 text-xs text-gray-500 space-y-1">
+                {f.keys.map((k) => (
+                  <li key={k.key} className="flex justify-between gap-3">
+                    <span className="truncate">{k.key}</span>
+                    <span>{formatBytes(k.bytes)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {failed.length > 0 && (
+        <div className="p-3 rounded-lg bg-red-50 dark:bg-red-900/30 text-sm text-red-700 dark:text-red-300">
+          <div className="font-medium mb-1">{failed.length} unsaved change(s): {failed.map((w) => w.key).join(", ")}</div>
+          <button
+            onClick={() => show(retryFailedWrites() ? "Still failing — free up space first" : "All changes saved")}
+            className="px-3 py-1 border border-red-400 rounded-md"
+          >
+            Retry saving
+          </button>
+        </div>
+      )}
+
+      <button onClick={() => setUsage(getStorageUsage())} className="px-4 py-2 border rounded-md text-sm">Refresh</button>
+    </div>
+  );
+}
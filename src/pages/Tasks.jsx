@@ -1,35 +1,41 @@
 // src/pages/Tasks.jsx
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
 import AOS from "aos";
 import "aos/dist/aos.css";
+import { claimLegacyTasks } from "../data/migrations.js";
+import { loadProjects, loadTasks, saveTasks, saveGalleryEntry, loadSettings, updateSettings, getTasksKey, findConflict, logActivity, applyTaskStatus } from "../data/db.js";
+import useRemoteChanges from "../hooks/useRemoteChanges.js";
+import useAuth from "../hooks/useAuth.js";
+import { PERMISSIONS, DENIED_MESSAGE } from "../data/permissions.js";
+import { readJsonFile, validateRecords, validateTask, TASK_STATUSES } from "../data/validators.js";
+import { TASK_CSV, toCsv, readCsvFile, isCsvFile, overlayLocal } from "../data/csv.js";
+import { toIcs, readIcsFile, isIcsFile } from "../data/ical.js";
+import { TASK_MERGE_FIELDS, planImport, resolvePlan, applyPlan } from "../data/importMerge.js";
+import { BOARD_COLUMNS, WIP_LIMIT_RANGE, resolveWipLimits, resolveTaskView, hasRoom, moveBefore } from "../data/taskBoard.js";
+import { deadlineEnd } from "../data/analytics.js";
+import ImportReport from "../components/ImportReport.jsx";
+import CsvMapping from "../components/CsvMapping.jsx";
 
 /**
  * Tasks.jsx (upgraded + gallery integration)
  * - All original Tasks features preserved (drag/drop, per-user keys, migration, accent)
  * - Style aligned with Projects/Gallery (Tailwind, AOS)
- * - Task "Mark Completed" requires upload of documentation (image + title + desc) -> saved to KEY_GALLERY
+ * - Task "Mark Completed" requires upload of documentation (image + title + desc) -> saved to the gallery
  * - Upload panel for manual docs (same UX as Gallery page)
- * - Sync button to reload gallery from storage (useful when switching pages)
+ * - Live-updates when another tab changes the same task list; edits warn on conflicts
+ * - Viewer accounts browse only (tasks:write / tasks:delete / gallery:write permissions)
+ * - Project scope from the route: /projects/:projectId/tasks (the global list is /tasks)
+ * - Export JSON / CSV / iCalendar; import any of them (CSV via column mapping), validated and reviewed before merging
+ * - List or board view (remembered per user); on the board, dragging a card to another column
+ *   changes its status (completing still asks for documentation) and columns have WIP limits
  *
- * Storage keys:
- * - tasksKeyFor(...) (existing logic)
- * - KEY_GALLERY = "gallery" (shared with Projects/Gallery pages)
+ * Storage (see src/data/db.js):
+ * - getTasksKey(user, project) in localStorage
+ * - gallery entries in IndexedDB (shared with Projects/Gallery pages)
  */
 
 // ---------- Helpers ----------
-const readJSON = (k, fallback = null) => {
-  try {
-    const raw = localStorage.getItem(k);
-    return raw ? JSON.parse(raw) : fallback;
-  } catch {
-    return fallback;
-  }
-};
-const writeJSON = (k, v) => {
-  try {
-    localStorage.setItem(k, JSON.stringify(v));
-  } catch {}
-};
 const downloadJSON = (obj, filename) => {
   const blob = new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" });
   const a = document.createElement("a");
@@ -38,36 +44,22 @@ const downloadJSON = (obj, filename) => {
   a.click();
   URL.revokeObjectURL(a.href);
 };
-
-// ---------- Keys & user helpers ----------
-const LEGACY_KEYS = ["tasks", "tasks_global", "tasks_last_backup"]; // keys to consider migrating
-const SETTINGS_GLOBAL_KEY = "settings_global";
-const KEY_GALLERY = "gallery";
-
-function getActiveUser() {
-  return (
-    localStorage.getItem("activeUser") ||
-    (() => {
-      try {
-        const auth = JSON.parse(localStorage.getItem("auth:user") || "null");
-        if (auth && auth.id) return auth.id;
-      } catch {}
-      return localStorage.getItem("astrava_user") || null;
-    })()
-  );
-}
-
-function tasksKeyFor(userId, projectId = null) {
-  if (userId) {
-    return projectId ? `tasks_${userId}_${projectId}` : `tasks_${userId}`;
-  } else {
-    return projectId ? `tasks_${projectId}` : "tasks_global";
-  }
-}
-
-function settingsKeyFor(userId) {
-  return userId ? `settings_${userId}` : SETTINGS_GLOBAL_KEY;
-}
+const downloadCSV = (text, filename) => {
+  const blob = new Blob([text], { type: "text/csv;charset=utf-8" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(a.href);
+};
+const downloadICS = (text, filename) => {
+  const blob = new Blob([text], { type: "text/calendar;charset=utf-8" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(a.href);
+};
 
 function makeGalleryEntry({ id, type = "manual", refId = null, title = "", description = "", image = "" }) {
   return {
@@ -81,6 +73,12 @@ function makeGalleryEntry({ id, type = "manual", refId = null, title = "", descr
   };
 }
 
+// same end-of-day rule as the Dashboard (deadlineEnd in src/data/analytics.js)
+const isExpired = (d) => {
+  const end = deadlineEnd({ deadline: d });
+  return end != null && end < Date.now();
+};
+
 // ---------- Toast ----------
 function useToast() {
   const [msg, setMsg] = useState(null);
@@ -92,29 +90,9 @@ function useToast() {
   return { show: (m) => setMsg(m), Toast: () => (msg ? <div className="fixed right-4 bottom-6 z-50"><div className="bg-black/80 text-white px-4 py-2 rounded shadow">{msg}</div></div> : null) };
 }
 
-// ---------- Migration ----------
-function migrateLegacyTasks(activeUser, projectId) {
-  const target = tasksKeyFor(activeUser, projectId);
-  if (readJSON(target, null)?.length) return; // already has data
-
-  const candidates = [];
-  if (projectId) candidates.push(`tasks_${projectId}`);
-  candidates.push("tasks_global", "tasks");
-
-  for (const k of candidates) {
-    const v = readJSON(k, null);
-    if (Array.isArray(v) && v.length) {
-      writeJSON(target, v);
-      console.info(`[Tasks] Migrated key ${k} -> ${target}`);
-      break;
-    }
-  }
-}
-
 // ---------- Accent loader ----------
 function loadAccent(userId) {
-  const sKey = settingsKeyFor(userId);
-  const settings = readJSON(sKey, null);
+  const settings = userId ? loadSettings(userId, null) : null;
   if (settings) {
     if (settings.customAccent && settings.customAccent.startsWith("#")) return settings.customAccent;
     if (settings.accentColor) {
@@ -122,7 +100,7 @@ function loadAccent(userId) {
       return map[settings.accentColor] || map.blue;
     }
   }
-  const g = readJSON(SETTINGS_GLOBAL_KEY, null);
+  const g = loadSettings(null, null);
   if (g) {
     if (g.customAccent && g.customAccent.startsWith("#")) return g.customAccent;
     if (g.accentColor) {
@@ -134,36 +112,42 @@ function loadAccent(userId) {
 }
 
 // ---------- Component ----------
+// The project comes from the URL (/projects/:projectId/tasks; /tasks is the
+// global list). Keyed by it so switching projects starts from a fresh state
+// instead of saving one project's list under another's key. The same goes for
+// the signed-in user.
 export default function Tasks() {
+  const { projectId } = useParams();
+  const { user } = useAuth();
+  return <TaskList key={`${user?.id ?? ""}:${projectId ?? "global"}`} projectId={projectId ?? null} />;
+}
+
+function TaskList({ projectId }) {
   // AOS
   useEffect(() => {
     AOS.init({ duration: 420, once: true });
   }, []);
 
-  const activeUser = useMemo(() => getActiveUser(), []);
-  const currentProjectRaw = useMemo(() => {
-    try {
-      return JSON.parse(localStorage.getItem("currentProject") || "null");
-    } catch {
-      return null;
-    }
-  }, []);
-  const projectContext = currentProjectRaw ? currentProjectRaw.id : null;
-  const projectName = currentProjectRaw ? currentProjectRaw.name : null;
+  const { user, can } = useAuth();
+  const activeUser = user?.id ?? null;
+  const canWrite = can(PERMISSIONS.TASKS_WRITE);
+  const canDelete = can(PERMISSIONS.TASKS_DELETE);
+  const canUpload = can(PERMISSIONS.GALLERY_WRITE);
+  const canEditLimits = can(PERMISSIONS.SETTINGS_WRITE);
+  const projectContext = projectId;
+  const project = useMemo(() => (projectContext ? loadProjects(activeUser).find((p) => String(p.id) === projectContext) : null), [activeUser, projectContext]);
+  const projectName = project?.name ?? null;
 
   // accent
   const [accent, setAccent] = useState(() => loadAccent(activeUser));
 
-  // migration
-  useEffect(() => {
-    migrateLegacyTasks(activeUser, projectContext);
-  }, [activeUser, projectContext]);
-
-  // storage key
-  const storageKey = useMemo(() => tasksKeyFor(activeUser, projectContext), [activeUser, projectContext]);
-
-  // tasks state
-  const [tasks, setTasks] = useState(() => readJSON(storageKey, []) || []);
+  // tasks state; pre-login task lists are adopted before the first read, or
+  // the persist effect below would write the empty list over the claimed one
+  // (schema migrations already ran at boot)
+  const [tasks, setTasks] = useState(() => {
+    claimLegacyTasks(activeUser, projectContext);
+    return loadTasks(activeUser, projectContext);
+  });
   const [search, setSearch] = useState("");
   const [filterStatus, setFilterStatus] = useState("all");
   const [filterPriority, setFilterPriority] = useState("all");
@@ -171,14 +155,20 @@ export default function Tasks() {
   // modal/editing
   const [showModal, setShowModal] = useState(false);
   const [editingTaskId, setEditingTaskId] = useState(null);
+  const [editBase, setEditBase] = useState(null); // task as it was when the edit started
+  const [editConflict, setEditConflict] = useState(null);
   const [form, setForm] = useState({ title: "", description: "", deadline: "", priority: "medium", status: "pending" });
   const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  const [importPlan, setImportPlan] = useState(null);
+  const [csvTable, setCsvTable] = useState(null); // parsed CSV waiting for column mapping
 
   // drag/drop
   const [draggedId, setDraggedId] = useState(null);
 
-  // gallery (shared)
-  const [gallery, setGallery] = useState(() => readJSON(KEY_GALLERY, []) || []);
+  // list | board, and the board's WIP limits (per user, in settings)
+  const [view, setView] = useState(() => resolveTaskView(loadSettings(activeUser, null)?.tasksView));
+  const [wipLimits, setWipLimits] = useState(() => resolveWipLimits(loadSettings(activeUser, null)?.wipLimits));
 
   // upload panel for manual gallery add (same as Gallery page)
   const [uploadOpen, setUploadOpen] = useState(false);
@@ -196,22 +186,17 @@ export default function Tasks() {
   const { show, Toast } = useToast();
   const progressRef = useRef(null);
 
-  // load tasks when storageKey changes
-  useEffect(() => {
-    const loaded = readJSON(storageKey, []) || [];
-    setTasks(Array.isArray(loaded) ? loaded : []);
-  }, [storageKey]);
-
   // persist tasks
   useEffect(() => {
-    writeJSON(storageKey, tasks);
-  }, [tasks, storageKey]);
+    saveTasks(activeUser, projectContext, tasks);
+  }, [tasks, activeUser, projectContext]);
 
-  // persist gallery when changed
-  useEffect(() => {
-    writeJSON(KEY_GALLERY, gallery);
-    AOS.refresh();
-  }, [gallery]);
+  // another tab changed this task list: reload and flag the task being edited
+  useRemoteChanges(getTasksKey(activeUser, projectContext), () => {
+    const latest = loadTasks(activeUser, projectContext);
+    setTasks(latest);
+    if (editBase) setEditConflict(findConflict(editBase, latest));
+  });
 
   // accent var
   useEffect(() => {
@@ -248,45 +233,83 @@ export default function Tasks() {
   // ---------- Handlers (Tasks) ----------
   const openAddModal = () => {
     setEditingTaskId(null);
+    setEditBase(null);
+    setEditConflict(null);
     setForm({ title: "", description: "", deadline: "", priority: "medium", status: "pending" });
     setShowModal(true);
   };
   const openEditModal = (task) => {
     setEditingTaskId(task.id);
+    setEditBase(task);
+    setEditConflict(null);
     setForm({ title: task.title || "", description: task.description || "", deadline: task.deadline || "", priority: task.priority || "medium", status: task.status || "pending" });
     setShowModal(true);
   };
   const closeModal = () => {
     setShowModal(false);
     setEditingTaskId(null);
+    setEditBase(null);
+    setEditConflict(null);
   };
 
+  // completing a task asks for documentation first (see submitComplete)
+  const openComplete = (task) =>
+    setCompleteModal({ open: true, taskId: String(task.id), title: `Dokumentasi: ${task.title}`, description: "", file: null, previewImage: null, uploading: false });
+
   const saveTask = (e) => {
     e && e.preventDefault && e.preventDefault();
+    if (!canWrite) return show(DENIED_MESSAGE);
     const title = (form.title || "").trim();
     if (!title) {
       show("⚠️ Task title required!");
       return;
     }
-    const newTask = {
-      id: editingTaskId || Date.now().toString(), // ensure string id
-      title,
-      description: form.description || "",
-      deadline: form.deadline || "",
-      priority: form.priority || "medium",
-      status: form.status || "pending",
-      projectId: projectContext || null,
-      updatedAt: new Date().toISOString(),
-      createdAt: editingTaskId ? tasks.find((t) => String(t.id) === String(editingTaskId))?.createdAt : new Date().toISOString(),
-    };
-    if (editingTaskId) {
+    const now = new Date().toISOString();
+    const existing = editingTaskId ? tasks.find((t) => String(t.id) === String(editingTaskId)) : null;
+    // a status change here goes through the same checks as a board drop
+    const target = form.status || "pending";
+    if (existing?.status !== target && !hasRoom(tasks, target, wipLimits)) {
+      return show(`🚧 ${BOARD_COLUMNS.find((c) => c.status === target)?.label} penuh (WIP limit ${wipLimits[target]})`);
+    }
+    // completing still goes through the documentation upload, after the other edits are saved
+    const needsDoc = target === "completed" && existing?.status !== "completed";
+    const newTask = applyTaskStatus(
+      {
+        ...existing,
+        id: editingTaskId || Date.now().toString(), // ensure string id
+        title,
+        description: form.description || "",
+        deadline: form.deadline || "",
+        priority: form.priority || "medium",
+        status: existing?.status || (needsDoc ? "pending" : target),
+        projectId: projectContext || null,
+        updatedAt: now,
+        createdAt: existing?.createdAt || now,
+      },
+      needsDoc ? existing?.status || "pending" : target,
+      now
+    );
+    const conflict = editingTaskId ? findConflict(editBase, loadTasks(activeUser, projectContext)) : null;
+    const logTask = (action) =>
+      logActivity(activeUser, { entityType: "task", entityId: newTask.id, action, payload: { title, status: newTask.status, projectId: projectContext } });
+    if (conflict?.type === "deleted") {
+      if (!confirm("This task was deleted in another tab. Save it again?")) return;
+      setTasks((prev) => [{ ...newTask, createdAt: editBase?.createdAt || newTask.updatedAt }, ...prev]);
+      logTask("created");
+      show("✅ Task restored!");
+    } else if (conflict && !confirm("This task was changed in another tab since you started editing. Overwrite it?")) {
+      return;
+    } else if (editingTaskId) {
       setTasks((prev) => prev.map((t) => (String(t.id) === String(editingTaskId) ? newTask : t)));
+      logTask("updated");
       show("✏️ Task updated!");
     } else {
       setTasks((prev) => [newTask, ...prev]);
+      logTask("created");
       show("✅ Task added!");
     }
     closeModal();
+    if (needsDoc) openComplete(newTask);
   };
 
   // set confirmDeleteId as string
@@ -295,27 +318,36 @@ export default function Tasks() {
   // actual delete function (works with string/number ids)
   const doDelete = () => {
     if (confirmDeleteId == null) return;
+    if (!canDelete) {
+      setConfirmDeleteId(null);
+      show(DENIED_MESSAGE);
+      return;
+    }
 
+    const removed = tasks.find((t) => String(t.id) === String(confirmDeleteId));
     setTasks((prev) =>
       prev.filter((t) => String(t.id) !== String(confirmDeleteId))
     );
+    logActivity(activeUser, { entityType: "task", entityId: confirmDeleteId, action: "deleted", payload: { title: removed?.title, projectId: projectContext } });
 
     setConfirmDeleteId(null);
     show("🗑️ Task deleted!");
   };
 
   const toggleStatus = (id) => {
+    if (!canWrite) return show(DENIED_MESSAGE);
     // If marking completed, open completeModal to require image
     const current = tasks.find((t) => String(t.id) === String(id));
     if (!current) return;
     if (current.status !== "completed") {
       // open complete modal to upload documentation
-      setCompleteModal({ open: true, taskId: String(id), title: `Dokumentasi: ${current.title}`, description: "", file: null, previewImage: null, uploading: false });
+      openComplete(current);
       return;
     }
 
     // if already completed, revert
-    setTasks((prev) => prev.map((t) => (String(t.id) === String(id) ? { ...t, status: "pending", updatedAt: new Date().toISOString() } : t)));
+    setTasks((prev) => prev.map((t) => (String(t.id) === String(id) ? applyTaskStatus(t, "pending") : t)));
+    logActivity(activeUser, { entityType: "task", entityId: id, action: "reopened", payload: { title: current.title, projectId: projectContext } });
     show("⏳ Task reopened");
   };
 
@@ -323,7 +355,7 @@ export default function Tasks() {
   const onDragStart = (e, id) => {
     setDraggedId(String(id));
     e.dataTransfer.effectAllowed = "move";
-    try { e.dataTransfer.setData("text/plain", String(id)); } catch {}
+    e.dataTransfer.setData("text/plain", String(id));
   };
   const onDragOver = (e) => {
     e.preventDefault();
@@ -331,6 +363,7 @@ export default function Tasks() {
   };
   const onDrop = (e, dropId) => {
     e.preventDefault();
+    if (!canWrite) return;
     const dragged = draggedId || (e.dataTransfer && e.dataTransfer.getData && e.dataTransfer.getData("text/plain"));
     if (!dragged) return;
     const draggedIdStr = String(dragged);
@@ -346,50 +379,129 @@ export default function Tasks() {
     show("🔀 Tasks reordered");
   };
 
-  const isExpired = (d) => {
-    if (!d) return false;
-    try {
-      return new Date(d).setHours(23, 59, 59, 999) < new Date();
-    } catch {
-      return false;
+  // ---------- Board ----------
+  const changeView = (next) => {
+    setView(next);
+    updateSettings(activeUser, { tasksView: next });
+  };
+  // the view is a personal preference; WIP limits need the settings permission
+  const changeWipLimit = (status, value) => {
+    if (!canEditLimits) return show(DENIED_MESSAGE);
+    const next = resolveWipLimits({ ...wipLimits, [status]: value });
+    setWipLimits(next);
+    updateSettings(activeUser, { wipLimits: next });
+  };
+
+  // card dropped on a column (beforeId: the card it was dropped on, null for the column itself)
+  const onBoardDrop = (e, status, beforeId = null) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const dragged = draggedId || (e.dataTransfer && e.dataTransfer.getData && e.dataTransfer.getData("text/plain"));
+    setDraggedId(null);
+    if (!dragged) return;
+    if (!canWrite) return show(DENIED_MESSAGE);
+    const current = tasks.find((t) => String(t.id) === String(dragged));
+    if (!current) return;
+    const column = BOARD_COLUMNS.find((c) => c.status === status);
+
+    if (current.status === status) {
+      setTasks((prev) => moveBefore(prev, current.id, beforeId));
+      return;
     }
+    if (!hasRoom(tasks, status, wipLimits)) return show(`🚧 ${column.label} penuh (WIP limit ${wipLimits[status]})`);
+    // completing still goes through the documentation upload
+    if (status === "completed") return toggleStatus(current.id);
+
+    setTasks((prev) => moveBefore(prev, current.id, beforeId).map((t) => (String(t.id) === String(current.id) ? applyTaskStatus(t, status) : t)));
+    logActivity(activeUser, {
+      entityType: "task",
+      entityId: current.id,
+      action: current.status === "completed" ? "reopened" : "updated",
+      payload: { title: current.title, status, projectId: projectContext },
+    });
+    show(`🔀 Task moved to ${column.label}`);
   };
 
   // Accent change UI
   const setAccentAndPersist = (hex) => {
     setAccent(hex);
-    const sKey = settingsKeyFor(activeUser);
-    const s = readJSON(sKey, {}) || {};
-    s.customAccent = hex;
-    s.accentColor = "custom";
-    writeJSON(sKey, s);
+    updateSettings(activeUser, { customAccent: hex, accentColor: "custom" });
     show("🎨 Accent updated");
   };
 
-  // Export/import tasks
+  // Export/import tasks (JSON or CSV)
+  const exportFileName = (ext) => `technorex_tasks_${activeUser || "global"}${projectContext ? `_${projectContext}` : ""}.${ext}`;
   const exportTasks = () => {
-    downloadJSON(tasks, `technorex_tasks_${activeUser || "global"}${projectContext ? `_${projectContext}` : ""}.json`);
+    downloadJSON(tasks, exportFileName("json"));
     show("💾 Tasks exported");
   };
-  const importTasks = (file) => {
+  const exportTasksCsv = () => {
+    downloadCSV(toCsv(tasks, TASK_CSV.columns, { projectName }), exportFileName("csv"));
+    show("💾 Tasks exported (CSV)");
+  };
+  // tasks with a deadline, as calendar events (see src/data/ical.js)
+  const exportTasksIcs = () => {
+    const dated = tasks.filter((t) => t.deadline);
+    if (!dated.length) return show("⚠️ Tidak ada task dengan deadline");
+    downloadICS(toIcs({ tasks: dated.map((t) => ({ ...t, projectId: projectContext })) }), exportFileName("ics"));
+    show(`💾 ${dated.length} deadline exported (.ics)`);
+  };
+  // validate, then diff against the current list; nothing is written until the report is confirmed
+  const reviewImport = (data, note = "") => {
+    const report = validateRecords(data, validateTask);
+    setImportPlan(planImport(tasks, report.accepted, { fields: TASK_MERGE_FIELDS }));
+    setImportReport({ ...report, note });
+  };
+  const importTasks = async (file) => {
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = (ev) => {
-      try {
-        const arr = JSON.parse(ev.target.result);
-        if (!Array.isArray(arr)) throw new Error("invalid");
-        const existingIds = new Set(tasks.map((t) => String(t.id)));
-        const merged = [...tasks];
-        arr.forEach((t) => {
-          if (!existingIds.has(String(t.id))) merged.push({ ...t, id: String(t.id) });
-        });
-        setTasks(merged);
-        show("📂 Tasks imported");
-      } catch {
-        show("❌ Invalid tasks file");
-      }
-    };
-    reader.readAsText(file);
+    if (!canWrite) return show(DENIED_MESSAGE);
+    if (isCsvFile(file)) {
+      const { table, error } = await readCsvFile(file);
+      if (error) return show(`❌ ${error}`);
+      return setCsvTable(table);
+    }
+    if (isIcsFile(file)) {
+      // only tasks exported from this list (or from other apps) come in; see src/data/ical.js
+      const { records, skippedProjects, otherList, error } = await readIcsFile(file, { projectId: projectContext });
+      if (error) return show(`❌ ${error}`);
+      const note = [
+        otherList > 0 && `${otherList} task dari list ${projectContext ? "lain" : "project"} dilewati (import di halaman tasks-nya).`,
+        skippedProjects > 0 && `${skippedProjects} event project dilewati.`,
+      ].filter(Boolean).join(" ");
+      return reviewPartial(records, note);
+    }
+    const { data, error } = await readJsonFile(file);
+    if (error) return show(`❌ ${error}`);
+    reviewImport(data);
+  };
+  // records carrying only some fields (mapped CSV rows, .ics events) are laid over the local
+  // task; a changed status is recorded in the task's history like a manual change
+  const reviewPartial = (records, note) => {
+    const localById = new Map(tasks.map((t) => [String(t.id), t]));
+    reviewImport(
+      overlayLocal(records, tasks).map((t) => {
+        const local = localById.get(String(t.id));
+        if (!local || t.status === local.status || !TASK_STATUSES.includes(t.status)) return t;
+        return { ...applyTaskStatus({ ...t, status: local.status }, t.status), updatedAt: t.updatedAt };
+      }),
+      note
+    );
+  };
+  const applyCsvMapping = (records) => {
+    setCsvTable(null);
+    reviewPartial(records);
+  };
+  const resolveImport = (id, resolution) => setImportPlan((plan) => plan.map((r) => (r.id === id ? { ...r, resolution } : r)));
+  const closeImport = () => {
+    setImportReport(null);
+    setImportPlan(null);
+  };
+  const confirmImport = () => {
+    const { put, copies } = resolvePlan(importPlan);
+    setTasks((prev) => applyPlan(prev, importPlan));
+    logActivity(activeUser, { entityType: "note", entityId: null, action: "imported", payload: { text: `${put.length + copies.length} task diimpor`, projectId: projectContext } });
+    closeImport();
+    show(`📂 ${put.length + copies.length} tasks imported`);
   };
 
   // ---------- Handlers (Gallery Uploads) ----------
@@ -407,10 +519,19 @@ export default function Tasks() {
 
   const handleAddManual = async (e) => {
     e && e.preventDefault && e.preventDefault();
-    if (!uploadPreview) return alert("Pilih gambar terlebih dahulu.");
+    if (!canUpload) return show(DENIED_MESSAGE);
+    if (!uploadFile) return alert("Pilih gambar terlebih dahulu.");
     setSavingUpload(true);
-    const entry = makeGalleryEntry({ type: uploadType || "manual", refId: uploadRefId || null, title: uploadTitle || "Dokumentasi", description: uploadDesc || "", image: uploadPreview });
-    setGallery((s) => [entry, ...s]);
+    const entry = makeGalleryEntry({ type: uploadType || "manual", refId: uploadRefId || null, title: uploadTitle || "Dokumentasi", description: uploadDesc || "", image: uploadFile });
+    try {
+      await saveGalleryEntry(activeUser, entry);
+    } catch (err) {
+      console.error(err);
+      setSavingUpload(false);
+      show("❌ Gagal menyimpan dokumentasi");
+      return;
+    }
+    logActivity(activeUser, { entityType: "gallery", entityId: entry.id, action: "uploaded", payload: { title: entry.title, type: entry.type, refId: entry.refId } });
     // reset
     setUploadFile(null);
     setUploadPreview(null);
@@ -432,18 +553,32 @@ export default function Tasks() {
   };
 
   const submitComplete = async () => {
-    if (!completeModal.file || !completeModal.previewImage) {
+    if (!canWrite || !canUpload) return show(DENIED_MESSAGE);
+    if (!completeModal.file) {
       alert("Silakan pilih gambar bukti sebelum menandai selesai.");
       return;
     }
     setCompleteModal((c) => ({ ...c, uploading: true }));
 
     // create gallery entry
-    const entry = makeGalleryEntry({ type: "task", refId: completeModal.taskId, title: completeModal.title || "Dokumentasi", description: completeModal.description || "", image: completeModal.previewImage });
-    setGallery((g) => [entry, ...g]);
+    const entry = makeGalleryEntry({ type: "task", refId: completeModal.taskId, title: completeModal.title || "Dokumentasi", description: completeModal.description || "", image: completeModal.file });
+    try {
+      await saveGalleryEntry(activeUser, entry);
+    } catch (err) {
+      console.error(err);
+      setCompleteModal((c) => ({ ...c, uploading: false }));
+      show("❌ Gagal menyimpan dokumentasi");
+      return;
+    }
 
     // update task status
-    setTasks((prev) => prev.map((t) => (String(t.id) === String(completeModal.taskId) ? { ...t, status: "completed", updatedAt: new Date().toISOString() } : t)));
+    setTasks((prev) => prev.map((t) => (String(t.id) === String(completeModal.taskId) ? applyTaskStatus(t, "completed") : t)));
+    logActivity(activeUser, {
+      entityType: "task",
+      entityId: completeModal.taskId,
+      action: "completed",
+      payload: { title: tasks.find((t) => String(t.id) === String(completeModal.taskId))?.title, projectId: projectContext, galleryId: entry.id },
+    });
 
     setTimeout(() => {
       setCompleteModal({ open: false, taskId: null, title: "", description: "", file: null, previewImage: null, uploading: false });
@@ -452,21 +587,6 @@ export default function Tasks() {
     }, 300);
   };
 
-  // sync gallery from storage
-  const syncFromStorage = () => {
-    const g = readJSON(KEY_GALLERY, []);
-    setGallery(Array.isArray(g) ? g : []);
-    AOS.refresh();
-    show("🔁 Gallery synced");
-  };
-
-  // add manual gallery helper (exposed in-page)
-  const addManualGallery = ({ title, description, image, type = "manual", refId = null }) => {
-    const entry = makeGalleryEntry({ type, refId, title, description, image });
-    setGallery((g) => [entry, ...g]);
-    show("📸 Dokumentasi ditambahkan");
-  };
-
   // ---------- Render ----------
   return (
     <main className="min-h-screen bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 p-6 md:p-8">
@@ -479,12 +599,21 @@ export default function Tasks() {
       <div className="sticky top-4 z-39 bg-white dark:bg-neutral-900/80 backdrop-blur-sm border border-gray-100 dark:border-gray-800 rounded-xl p-3 md:p-4 flex flex-col md:flex-row gap-3 md:items-center md:justify-between shadow-sm">
         <div className="flex items-center gap-3 w-full md:w-auto">
           <h1 className="text-2xl font-semibold">🗂️ Tasks</h1>
+          {projectContext && (
+            <Link to={`/projects/${projectContext}`} className="text-sm font-medium text-[var(--accent)] hover:underline truncate">
+              {projectName || "Project tidak ditemukan"}
+            </Link>
+          )}
           <p className="text-sm text-gray-500 dark:text-gray-400 hidden md:block">Manage tasks per-project or globally. Upload documentation upon completion..</p>
         </div>
 
         <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-3 w-full md:w-auto">
           <div className="flex items-center gap-1 bg-gray-100 dark:bg-gray-800 rounded-md p-1">
-            <button className={`px-3 py-1 text-sm rounded-md transition bg-white dark:bg-neutral-900 shadow-sm`}>All</button>
+            {[["list", "List"], ["board", "Board"]].map(([id, label]) => (
+              <button key={id} onClick={() => changeView(id)} className={`px-3 py-1 text-sm rounded-md transition ${view === id ? "bg-white dark:bg-neutral-900 shadow-sm" : "text-gray-500 dark:text-gray-400"}`}>
+                {label}
+              </button>
+            ))}
           </div>
 
           <div className="relative flex-1 sm:flex-none">
@@ -493,8 +622,7 @@ export default function Tasks() {
           </div>
 
           <div className="flex items-center gap-2">
-            <button onClick={() => setUploadOpen((s) => !s)} className="px-3 py-2 bg-blue-600 text-white rounded-md text-sm hover:opacity-95">+ Add Doc</button>
-            <button onClick={syncFromStorage} className="px-3 py-2 border rounded-md text-sm">Sync Gallery</button>
+            {canUpload && <button onClick={() => setUploadOpen((s) => !s)} className="px-3 py-2 bg-blue-600 text-white rounded-md text-sm hover:opacity-95">+ Add Doc</button>}
           </div>
         </div>
       </div>
@@ -515,7 +643,16 @@ export default function Tasks() {
               <option value="medium">Medium</option>
               <option value="high">High</option>
             </select>
-            <button onClick={openAddModal} className="bg-[var(--accent)] hover:opacity-95 text-white px-4 py-2 rounded-lg shadow transition">+ Add Task</button>
+            {canWrite && <button onClick={openAddModal} className="bg-[var(--accent)] hover:opacity-95 text-white px-4 py-2 rounded-lg shadow transition">+ Add Task</button>}
+            <button onClick={exportTasks} className="border rounded-md px-3 py-2 text-sm">Export JSON</button>
+            <button onClick={exportTasksCsv} className="border rounded-md px-3 py-2 text-sm">Export CSV</button>
+            <button onClick={exportTasksIcs} className="border rounded-md px-3 py-2 text-sm">Export .ics</button>
+            {canWrite && (
+              <label className="border rounded-md px-3 py-2 text-sm cursor-pointer">
+                Import
+                <input type="file" accept="application/json,.json,text/csv,.csv,text/calendar,.ics" className="hidden" onChange={(e) => { importTasks(e.target.files?.[0]); e.target.value = ""; }} />
+              </label>
+            )}
             <input title="Pick accent color" type="color" value={accent} onChange={(e) => setAccentAndPersist(e.target.value)} className="w-9 h-9 p-0 border rounded" />
           </div>
         </div>
@@ -546,51 +683,72 @@ export default function Tasks() {
         </div>
       </div>
 
+      {/* board view */}
+      {view === "board" && (
+        <TaskBoard
+          tasks={filteredTasks}
+          allTasks={tasks}
+          limits={wipLimits}
+          canWrite={canWrite}
+          canDelete={canDelete}
+          canEditLimits={canEditLimits}
+          draggedId={draggedId}
+          onDragStart={onDragStart}
+          onDragEnd={() => setDraggedId(null)}
+          onDrop={onBoardDrop}
+          onLimitChange={changeWipLimit}
+          onEdit={openEditModal}
+          onDelete={confirmDelete}
+        />
+      )}
+
       {/* task cards grid */}
-      <section className="mt-6">
-        <div className="grid sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
-          {filteredTasks.length === 0 ? (
-            <div className="col-span-full text-center text-gray-500 dark:text-gray-400 py-8 rounded-lg border">No tasks found</div>
-          ) : (
-            filteredTasks.map((t, idx) => {
-              const deadlineExpired = isExpired(t.deadline);
-              return (
-                <article
-                  key={t.id}
-                  draggable
-                  onDragStart={(e) => onDragStart(e, t.id)}
-                  onDragOver={onDragOver}
-                  onDrop={(e) => onDrop(e, t.id)}
-                  className={`bg-white dark:bg-gray-800 border-l-4 rounded-lg p-5 shadow hover:shadow-lg transition flex flex-col justify-between min-h-[180px] ${t.status === "completed" ? "border-green-500" : t.status === "inprogress" ? "border-yellow-500" : "border-red-500"}`}
-                  data-aos="fade-up"
-                  data-aos-delay={Math.min(idx * 20, 300)}
-                >
-                  <div>
-                    <div className="flex justify-between items-start">
-                      <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100 break-words">{t.title}</h3>
-                      <span className={`text-xs px-2 py-1 rounded-full ${t.priority === "high" ? "bg-red-200 text-red-700 dark:bg-red-800 dark:text-red-200" : t.priority === "medium" ? "bg-yellow-200 text-yellow-700 dark:bg-yellow-800 dark:text-yellow-200" : "bg-green-200 text-green-700 dark:bg-green-800 dark:text-green-200"}`}>{t.priority}</span>
+      {view === "list" && (
+        <section className="mt-6">
+          <div className="grid sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+            {filteredTasks.length === 0 ? (
+              <div className="col-span-full text-center text-gray-500 dark:text-gray-400 py-8 rounded-lg border">No tasks found</div>
+            ) : (
+              filteredTasks.map((t, idx) => {
+                const deadlineExpired = isExpired(t.deadline);
+                return (
+                  <article
+                    key={t.id}
+                    draggable={canWrite}
+                    onDragStart={(e) => onDragStart(e, t.id)}
+                    onDragOver={onDragOver}
+                    onDrop={(e) => onDrop(e, t.id)}
+                    className={`bg-white dark:bg-gray-800 border-l-4 rounded-lg p-5 shadow hover:shadow-lg transition flex flex-col justify-between min-h-[180px] ${t.status === "completed" ? "border-green-500" : t.status === "inprogress" ? "border-yellow-500" : "border-red-500"}`}
+                    data-aos="fade-up"
+                    data-aos-delay={Math.min(idx * 20, 300)}
+                  >
+                    <div>
+                      <div className="flex justify-between items-start">
+                        <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100 break-words">{t.title}</h3>
+                        <span className={`text-xs px-2 py-1 rounded-full ${t.priority === "high" ? "bg-red-200 text-red-700 dark:bg-red-800 dark:text-red-200" : t.priority === "medium" ? "bg-yellow-200 text-yellow-700 dark:bg-yellow-800 dark:text-yellow-200" : "bg-green-200 text-green-700 dark:bg-green-800 dark:text-green-200"}`}>{t.priority}</span>
+                      </div>
+
+                      <p className="text-sm text-gray-500 dark:text-gray-400 mt-2 break-words">{t.description || "No description"}</p>
+
+                      <div className="flex justify-between items-center mt-3 text-sm">
+                        <span className={`${deadlineExpired ? "text-red-500 font-medium" : "text-gray-500 dark:text-gray-400"}`}>{t.deadline || "No deadline"}</span>
+                        <span className={`capitalize ${t.status === "completed" ? "text-green-600" : t.status === "inprogress" ? "text-yellow-600" : "text-red-600"}`}>{t.status}</span>
+                      </div>
                     </div>
 
-                    <p className="text-sm text-gray-500 dark:text-gray-400 mt-2 break-words">{t.description || "No description"}</p>
-
-                    <div className="flex justify-between items-center mt-3 text-sm">
-                      <span className={`${deadlineExpired ? "text-red-500 font-medium" : "text-gray-500 dark:text-gray-400"}`}>{t.deadline || "No deadline"}</span>
-                      <span className={`capitalize ${t.status === "completed" ? "text-green-600" : t.status === "inprogress" ? "text-yellow-600" : "text-red-600"}`}>{t.status}</span>
+                    <div className="flex flex-wrap justify-end gap-2 mt-4">
+                      {canWrite && <button onClick={() => toggleStatus(t.id)} className={`px-3 py-1 rounded text-white text-sm min-w-[78px] ${t.status === "completed" ? "bg-gray-500 hover:bg-gray-600" : "bg-green-500 hover:bg-green-600"}`}>{t.status === "completed" ? "Undo" : "Complete"}</button>}
+                      {canWrite && <button onClick={() => openEditModal(t)} className="px-3 py-1 bg-yellow-400 hover:bg-yellow-500 text-white rounded text-sm min-w-[65px]">Edit</button>}
+                      {canDelete && <button onClick={() => confirmDelete(t.id)} className="px-3 py-1 bg-red-500 hover:bg-red-600 text-white rounded text-sm min-w-[70px]">Delete</button>}
+                      {canUpload && <button onClick={() => setCompleteModal((c) => ({ ...c, open: true, taskId: t.id, title: `Dokumentasi: ${t.title}`, description: "" }))} className="px-3 py-1 border rounded text-sm">Add Doc</button>}
                     </div>
-                  </div>
-
-                  <div className="flex flex-wrap justify-end gap-2 mt-4">
-                    <button onClick={() => toggleStatus(t.id)} className={`px-3 py-1 rounded text-white text-sm min-w-[78px] ${t.status === "completed" ? "bg-gray-500 hover:bg-gray-600" : "bg-green-500 hover:bg-green-600"}`}>{t.status === "completed" ? "Undo" : "Complete"}</button>
-                    <button onClick={() => openEditModal(t)} className="px-3 py-1 bg-yellow-400 hover:bg-yellow-500 text-white rounded text-sm min-w-[65px]">Edit</button>
-                    <button onClick={() => confirmDelete(t.id)} className="px-3 py-1 bg-red-500 hover:bg-red-600 text-white rounded text-sm min-w-[70px]">Delete</button>
-                    <button onClick={() => setCompleteModal((c) => ({ ...c, open: true, taskId: t.id, title: `Dokumentasi: ${t.title}`, description: "" }))} className="px-3 py-1 border rounded text-sm">Add Doc</button>
-                  </div>
-                </article>
-              );
-            })
-          )}
-        </div>
-      </section>
+                  </article>
+                );
+              })
+            )}
+          </div>
+        </section>
+      )}
 
       {/* Add/Edit Task Modal */}
       {showModal && (
@@ -598,6 +756,14 @@ export default function Tasks() {
           <div className="fixed inset-0 bg-black/50" onClick={closeModal} />
           <form onSubmit={saveTask} className="bg-white dark:bg-gray-900 rounded-xl p-6 z-50 w-full max-w-md shadow-lg">
             <h2 className="text-2xl font-bold mb-4">{editingTaskId ? "Edit Task" : "Add Task"}</h2>
+            {editConflict && (
+              <div className="mb-3 p-3 rounded bg-amber-100 text-amber-800 text-sm dark:bg-amber-900/40 dark:text-amber-200">
+                {editConflict.type === "deleted" ? "This task was deleted in another tab." : "This task was changed in another tab."}
+                {editConflict.latest && (
+                  <button type="button" onClick={() => openEditModal(editConflict.latest)} className="ml-2 underline">Load latest</button>
+                )}
+              </div>
+            )}
 
             <input value={form.title} onChange={(e) => setForm((s) => ({ ...s, title: e.target.value }))} id="inputTitle" type="text" placeholder="Task title..." required className="border rounded-lg px-3 py-2 dark:bg-gray-800 dark:text-gray-100 w-full" />
             <textarea value={form.description} onChange={(e) => setForm((s) => ({ ...s, description: e.target.value }))} id="inputDesc" placeholder="Description..." className="border rounded-lg px-3 py-2 dark:bg-gray-800 dark:text-gray-100 w-full mt-3" />
@@ -710,11 +876,92 @@ export default function Tasks() {
       {/* Footer */}
       <footer className="text-center mt-6 text-gray-500 dark:text-gray-400 text-sm border-t border-gray-200 dark:border-gray-700 pt-4">
         © {new Date().getFullYear()} Technorex Tasks
-        <div className="text-xs opacity-75 mt-1">Autosaved to localStorage • Gallery key: {KEY_GALLERY}</div>
+        <div className="text-xs opacity-75 mt-1">Autosaved to localStorage • Documentation images in IndexedDB</div>
       </footer>
 
+      {csvTable && <CsvMapping title="Import tasks dari CSV" table={csvTable} fields={TASK_CSV.fields} makeId={(i) => String(Date.now() + i)} onCancel={() => setCsvTable(null)} onApply={applyCsvMapping} />}
+      {importReport && <ImportReport title="Import tasks" report={importReport} plan={importPlan} onResolve={resolveImport} onCancel={closeImport} onConfirm={confirmImport} />}
+
       {/* Toast */}
       <Toast />
     </main>
   );
 }
+
+// ---------- Board view ----------
+// one column per status; `tasks` is the filtered list shown, `allTasks` counts against the WIP limits
+function TaskBoard({ tasks, allTasks, limits, canWrite, canDelete, canEditLimits, draggedId, onDragStart, onDragEnd, onDrop, onLimitChange, onEdit, onDelete }) {
+  const [minLimit, maxLimit] = WIP_LIMIT_RANGE;
+  return (
+    <section className="mt-6 grid md:grid-cols-3 gap-4">
+      {BOARD_COLUMNS.map(({ status, label }) => {
+        const cards = tasks.filter((t) => t.status === status);
+        const count = allTasks.filter((t) => t.status === status).length;
+        const limit = limits[status];
+        const over = limit != null && count > limit;
+        const full = limit != null && count >= limit;
+        return (
+          <div
+            key={status}
+            onDragOver={(e) => {
+              e.preventDefault();
+              e.dataTransfer.dropEffect = "move";
+            }}
+            onDrop={(e) => onDrop(e, status)}
+            className={`flex flex-col rounded-xl p-3 min-h-[240px] bg-gray-100 dark:bg-gray-800/60 border-t-4 ${status === "completed" ? "border-green-500" : status === "inprogress" ? "border-yellow-500" : "border-red-500"} ${over ? "ring-2 ring-red-400" : ""}`}
+          >
+            <div className="flex items-center justify-between gap-2 mb-3">
+              <h2 className="font-semibold">{label}</h2>
+              <div className="flex items-center gap-2 text-xs">
+                <span className={over ? "text-red-600 font-semibold" : full ? "text-amber-600 font-medium" : "text-gray-500 dark:text-gray-400"}>
+                  {count}
+                  {limit != null && ` / ${limit}`}
+                </span>
+                <label className="flex items-center gap-1 text-gray-500 dark:text-gray-400" title={canEditLimits ? "WIP limit (kosong = tanpa batas)" : "WIP limit (butuh izin settings)"}>
+                  WIP
+                  <input
+                    type="number"
+                    min={minLimit}
+                    max={maxLimit}
+                    value={limit ?? ""}
+                    placeholder="∞"
+                    disabled={!canEditLimits}
+                    onChange={(e) => onLimitChange(status, e.target.value)}
+                    className="w-12 px-1 py-0.5 border rounded bg-white dark:bg-neutral-900 disabled:opacity-60"
+                  />
+                </label>
+              </div>
+            </div>
+
+            <div className="flex-1 space-y-2">
+              {cards.length === 0 && <p className="text-center text-xs text-gray-400 py-6 border border-dashed rounded-lg dark:border-gray-700">Tarik task ke sini</p>}
+              {cards.map((t) => (
+                <article
+                  key={t.id}
+                  draggable={canWrite}
+                  onDragStart={(e) => onDragStart(e, t.id)}
+                  onDragEnd={onDragEnd}
+                  onDrop={(e) => onDrop(e, status, t.id)}
+                  className={`bg-white dark:bg-gray-800 rounded-lg p-3 shadow-sm ${canWrite ? "cursor-grab" : ""} ${String(draggedId) === String(t.id) ? "opacity-50" : ""}`}
+                >
+                  <div className="flex justify-between items-start gap-2">
+                    <h3 className="text-sm font-semibold text-gray-800 dark:text-gray-100 break-words">{t.title}</h3>
+                    <span className={`text-xs px-2 py-0.5 rounded-full shrink-0 ${t.priority === "high" ? "bg-red-200 text-red-700 dark:bg-red-800 dark:text-red-200" : t.priority === "medium" ? "bg-yellow-200 text-yellow-700 dark:bg-yellow-800 dark:text-yellow-200" : "bg-green-200 text-green-700 dark:bg-green-800 dark:text-green-200"}`}>{t.priority}</span>
+                  </div>
+                  {t.description && <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 line-clamp-2 break-words">{t.description}</p>}
+                  <div className="flex items-center justify-between mt-2 text-xs">
+                    <span className={isExpired(t.deadline) && t.status !== "completed" ? "text-red-500 font-medium" : "text-gray-500 dark:text-gray-400"}>{t.deadline || "No deadline"}</span>
+                    <span className="flex gap-2">
+                      {canWrite && <button onClick={() => onEdit(t)} className="text-yellow-600 hover:underline">Edit</button>}
+                      {canDelete && <button onClick={() => onDelete(t.id)} className="text-red-600 hover:underline">Delete</button>}
+                    </span>
+                  </div>
+                </article>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </section>
+  );
+}